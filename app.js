@@ -4,387 +4,1858 @@
 
 "use strict";
 
+// Translated UI strings (i18n.js): t("dashboard.totalLoss"), t(key, params)
+const { t } = DietI18n;
+
 // ----- CONSTANTS & STORAGE KEYS -----
 
-const ENTRIES_STORAGE_KEY = "dietEntries";
-const SETTINGS_STORAGE_KEY = "dietUserSettings";
+// Key of the user settings record in the storage "settings" store
+const SETTINGS_RECORD_KEY = "userSettings";
+
+// Id of the first profile (the main database) on new installs
+const MAIN_PROFILE_ID = "main";
+
+// Weight trend & forecast
+const TREND_SMOOTHING_ALPHA = 0.1; // EWMA weight of a new day's weigh-in
+const FORECAST_WINDOW_DAYS = 28; // regression looks at the last 4 weeks
+const FORECAST_WEEKS_AHEAD = 4;
+
+// Weight chart: range presets (labels: chart.range.<id>; days = how far
+// back from today) and the time axis
+const CHART_RANGE_PRESETS = [
+  { id: "30", days: 30 },
+  { id: "90", days: 90 },
+  { id: "365", days: 365 },
+  { id: "all" },
+  { id: "custom" },
+];
+const CHART_MAX_TICKS = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Meal types for the food log. Only the ids are stored; labels are
+// mealType.<id> in i18n.js.
+const MEAL_TYPES = [
+  { id: "breakfast" },
+  { id: "lunch" },
+  { id: "dinner" },
+  { id: "snack" },
+];
+
+// Activity intensity levels; `met` is the suggested MET for a new activity
+// (labels: intensity.<id>)
+const ACTIVITY_INTENSITIES = [
+  { id: "light", met: 3.0 },
+  { id: "moderate", met: 5.0 },
+  { id: "vigorous", met: 8.0 },
+];
+
+// Built-in activity catalog (users can add, rename, hide and delete).
+// Entries store the activity id, plus its name as a fallback. Until the
+// user renames a built-in activity it is shown as activity.<id> in the
+// current language (see getActivityName).
+const DEFAULT_ACTIVITIES = [
+  { id: "walking", name: "הליכה", intensity: "moderate", met: 4.0 },
+  { id: "running", name: "ריצה", intensity: "vigorous", met: 10.0 },
+  { id: "cycling", name: "רכיבה", intensity: "vigorous", met: 8.0 },
+  { id: "gym", name: "חדר כושר", intensity: "moderate", met: 5.0 },
+  { id: "other", name: "אחר", intensity: "moderate", met: 5.0 },
+];
+
+// MET for entries whose activity is unknown (e.g. free text from old data)
+const DEFAULT_ACTIVITY_MET = 5.0;
+
+// Optional body measurements stored per entry (entry.measurements).
+// Labels are measurement.<id> in i18n.js.
+const BODY_MEASUREMENTS = [
+  { id: "waistCm", unit: "cm", csvHeader: "Waist (cm)" },
+  { id: "hipsCm", unit: "cm", csvHeader: "Hips (cm)" },
+  { id: "chestCm", unit: "cm", csvHeader: "Chest (cm)" },
+  { id: "armCm", unit: "cm", csvHeader: "Arm (cm)" },
+  { id: "thighCm", unit: "cm", csvHeader: "Thigh (cm)" },
+  { id: "bodyFatPct", unit: "%", csvHeader: "Body Fat (%)", min: 2, max: 75 },
+];
+const MEASUREMENT_CM_RANGE = { min: 10, max: 300 };
+
+// Display units (userSettings.unitSystem). Data is always stored in kg and
+// cm; only what is shown and typed is converted.
+const UNIT_SYSTEMS = ["metric", "imperial"];
+const KG_PER_LB = 0.45359237;
+const CM_PER_INCH = 2.54;
+const INCHES_PER_FOOT = 12;
+
+// Water tracker
+const WATER_GLASS_ML = 250;
+const WATER_BOTTLE_ML = 500;
+const WATER_HISTORY_DAYS = 7;
+
+// Reminders (schedule in reminders.js): how often the open page checks,
+// and the periodic background sync the service worker asks for (browsers
+// may wake it less often)
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+const REMINDER_SYNC_TAG = "reminders";
+const REMINDER_SYNC_MIN_INTERVAL_MS = 60 * 60 * 1000;
+const CALENDAR_EVENT_MINUTES = 15; // length of exported calendar events
+
+// Sleep log: nights shorter than this count as "short" in the insights
+const SLEEP_SHORT_HOURS = 7;
+const SLEEP_CHART_NIGHTS = 14;
+const SLEEP_INSIGHTS_MIN_NIGHTS = 3; // per group, before comparing
+// Quality is 1-5 (labels: sleepQuality.<n>)
+
+// Streaks: what a streak counts (labels: streak.type.<id>). Weigh-in
+// streaks count weeks (Sunday to Saturday), the others count days.
+const STREAK_TYPES = ["logging", "activity", "weighIn"];
+// Missed days / weeks in a row a streak survives (userSettings.streakGrace)
+const STREAK_GRACE_OPTIONS = [0, 1, 2, 3];
+
+// Daily energy budget (Mifflin-St Jeor BMR x activity factor = TDEE).
+// Labels: activityLevel.<id>
+const ACTIVITY_LEVELS = [
+  { id: "sedentary", factor: 1.2 },
+  { id: "light", factor: 1.375 },
+  { id: "moderate", factor: 1.55 },
+  { id: "active", factor: 1.725 },
+  { id: "very_active", factor: 1.9 },
+];
+const WEEKLY_LOSS_RATES_KG = [0, 0.25, 0.5, 0.75, 1];
+const KCAL_PER_KG = 7700; // energy in 1 kg of body weight (approx.)
+// Don't suggest eating less than this without medical supervision
+const MIN_DAILY_BUDGET_KCAL = { male: 1500, female: 1200 };
 
 // ----- STATE -----
 
-// Load entries immediately
-let entries = loadEntries();
+// Filled from storage on startup (see loadAppData)
+let entries = [];
+let userSettings = getDefaultSettings();
+let meals = []; // food log
+let waterLogs = []; // water intake, one record per drink
+let sleepLogs = []; // one record per night
 
-// Load settings immediately
-let userSettings = loadSettings();
+// { activeId, profiles: [{ id, name, dbName }] } (see loadProfiles)
+let profileRegistry = null;
 
 /** @type {Chart | null} */
 let weightChart = null;
+/** @type {Chart | null} */
+let measurementChart = null;
+/** @type {Chart | null} */
+let sleepChart = null;
 
-// ----- LOCAL STORAGE HELPERS -----
+// ----- STORAGE HELPERS -----
+// All persistence goes through DietStorage (storage.js, IndexedDB).
+// Handlers update the in-memory state first and render right away; the
+// write itself finishes in the background (see persist).
 
-function loadEntries() {
-  try {
-    const raw = localStorage.getItem(ENTRIES_STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (e) {
-    console.error("Failed to parse stored entries:", e);
-    return [];
+function persist(promise) {
+  return promise.catch((e) => {
+    console.error("Failed to save data:", e);
+    alert(t("storage.saveFailed"));
+  });
+}
+
+async function loadEntries() {
+  const stored = await DietStorage.getAll("entries");
+
+  // One-time migration: old data was keyed by date (one entry per day)
+  // and had no id / timestamp, and named its activity instead of
+  // referencing the catalog. Fix them up and persist once. Needs
+  // userSettings (the activity catalog) to be loaded.
+  const migrated = migrateLegacyEntries(stored);
+  if (migrated.changed) {
+    await DietStorage.replaceAll("entries", migrated.list);
   }
+  return migrated.list;
+}
+
+function saveEntry(entry) {
+  return persist(DietStorage.put("entries", entry));
+}
+
+function removeEntry(entryId) {
+  return persist(DietStorage.remove("entries", entryId));
 }
 
 function saveEntries(list) {
-  localStorage.setItem(ENTRIES_STORAGE_KEY, JSON.stringify(list));
+  return persist(DietStorage.replaceAll("entries", list));
 }
 
-function loadSettings() {
-  try {
-    const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
-    const defaults = {
-      firstName: "",
-      heightCm: null,
-      weighInDay: null,
-      profilePicUrl: "", // הוספנו לכאן את שדה התמונה כברירת מחדל
-    };
+async function loadMeals() {
+  const stored = await DietStorage.getAll("meals");
+  return stored.map(normalizeMeal).filter(Boolean);
+}
 
-    if (!raw) return defaults;
+function saveMeal(meal) {
+  return persist(DietStorage.put("meals", meal));
+}
 
-    const parsed = JSON.parse(raw);
-    return {
-      firstName: parsed.firstName || "",
-      heightCm: Number(parsed.heightCm) || null,
-      weighInDay:
-        typeof parsed.weighInDay === "number" ? parsed.weighInDay : null,
-      profilePicUrl: parsed.profilePicUrl || "", // התוספת הקריטית ששולפת את הלינק!
-    };
-  } catch (e) {
-    console.error("Failed to parse user settings:", e);
-    return {
-      firstName: "",
-      heightCm: null,
-      weighInDay: null,
-      profilePicUrl: "",
-    };
-  }
+function removeMeal(mealId) {
+  return persist(DietStorage.remove("meals", mealId));
 }
 
-function saveSettings(settings) {
-  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+function saveMeals(list) {
+  return persist(DietStorage.replaceAll("meals", list));
 }
 
-// ----- DATE HELPERS -----
+function getDefaultSettings() {
+  return {
+    firstName: "",
+    heightCm: null,
+    weighInDay: null,
+    profilePicUrl: "", // הוספנו לכאן את שדה התמונה כברירת מחדל
+    goalWeightKg: null,
+    goalDate: "", // YYYY-MM-DD, optional
+    celebratedMilestones: [], // keys of milestones already celebrated
+    useTrendForLoss: false, // total loss from the trend line instead of raw
+    birthDate: "", // YYYY-MM-DD
+    sex: "", // "male" | "female" (for the BMR formula)
+    activityLevel: "", // id from ACTIVITY_LEVELS
+    weeklyLossRateKg: 0.5, // target loss for the daily calorie budget
+    waterTargetMl: 2000,
+    waterInStreak: false, // days that reach the water target count as logged
+    streakType: "logging", // see STREAK_TYPES
+    streakGrace: 0, // missed days / weeks a streak survives
+    achievements: {}, // achievement id -> unlock date (YYYY-MM-DD)
+    reminders: DietReminders.getDefaultReminders(null),
+    quietHoursStart: "22:00", // no reminders from start to end ("" = off)
+    quietHoursEnd: "07:00",
+    unitSystem: "metric", // display units only, see UNITS
+    language: DietI18n.getLocale(), // UI language, kept for new profiles
+    activities: DEFAULT_ACTIVITIES.map((a) => ({
+      ...a,
+      hidden: false,
+      deleted: false,
+    })),
+  };
+}
 
-function getTodayDateString() {
-  const today = new Date();
-  return formatDateToYMD(today);
+// Fill in missing / invalid fields so older stored settings and backups
+// always have the full shape.
+function normalizeSettings(parsed) {
+  if (!parsed || typeof parsed !== "object") return getDefaultSettings();
+
+  return {
+    firstName: parsed.firstName || "",
+    heightCm: Number(parsed.heightCm) || null,
+    weighInDay:
+      typeof parsed.weighInDay === "number" ? parsed.weighInDay : null,
+    profilePicUrl: parsed.profilePicUrl || "", // התוספת הקריטית ששולפת את הלינק!
+    goalWeightKg:
+      Number(parsed.goalWeightKg) > 0 ? Number(parsed.goalWeightKg) : null,
+    goalDate:
+      typeof parsed.goalDate === "string" &&
+      /^\d{4}-\d{2}-\d{2}$/.test(parsed.goalDate)
+        ? parsed.goalDate
+        : "",
+    celebratedMilestones: Array.isArray(parsed.celebratedMilestones)
+      ? parsed.celebratedMilestones
+          .filter((k) => typeof k === "string")
+          // Step keys used to include the starting weight
+          .map((k) => k.replace(/^step-[\d.]+-(loss|gain)-/, "step-$1-"))
+      : [],
+    useTrendForLoss: parsed.useTrendForLoss === true,
+    birthDate:
+      typeof parsed.birthDate === "string" &&
+      /^\d{4}-\d{2}-\d{2}$/.test(parsed.birthDate)
+        ? parsed.birthDate
+        : "",
+    sex: ["male", "female"].includes(parsed.sex) ? parsed.sex : "",
+    activityLevel: ACTIVITY_LEVELS.some((l) => l.id === parsed.activityLevel)
+      ? parsed.activityLevel
+      : "",
+    weeklyLossRateKg: WEEKLY_LOSS_RATES_KG.includes(parsed.weeklyLossRateKg)
+      ? parsed.weeklyLossRateKg
+      : 0.5,
+    waterTargetMl:
+      Number(parsed.waterTargetMl) > 0 ? Number(parsed.waterTargetMl) : 2000,
+    waterInStreak: parsed.waterInStreak === true,
+    streakType: STREAK_TYPES.includes(parsed.streakType)
+      ? parsed.streakType
+      : "logging",
+    streakGrace: STREAK_GRACE_OPTIONS.includes(parsed.streakGrace)
+      ? parsed.streakGrace
+      : 0,
+    achievements: normalizeAchievements(parsed.achievements),
+    reminders: DietReminders.normalizeReminders(
+      parsed.reminders,
+      parsed.weighInDay,
+    ),
+    quietHoursStart: normalizeQuietHour(parsed.quietHoursStart, "22:00"),
+    quietHoursEnd: normalizeQuietHour(parsed.quietHoursEnd, "07:00"),
+    unitSystem: UNIT_SYSTEMS.includes(parsed.unitSystem)
+      ? parsed.unitSystem
+      : "metric",
+    language: DietI18n.isSupported(parsed.language)
+      ? parsed.language
+      : DietI18n.DEFAULT_LOCALE,
+    activities: normalizeActivityCatalog(parsed.activities),
+  };
 }
 
-function formatDateToYMD(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
+async function loadWaterLogs() {
+  const stored = await DietStorage.getAll("water");
+  return stored.map(normalizeWaterLog).filter(Boolean);
 }
 
-function dateFromYMD(ymd) {
-  if (!ymd) return new Date();
-  const [y, m, d] = ymd.split("-").map(Number);
-  return new Date(y, m - 1, d);
+function saveWaterLog(log) {
+  return persist(DietStorage.put("water", log));
 }
 
-function hasEntryOnDate(dateStr) {
-  return entries.some((e) => e.date === dateStr);
+function removeWaterLog(logId) {
+  return persist(DietStorage.remove("water", logId));
 }
 
-// ----- UI & DASHBOARD FUNCTIONS -----
+function saveWaterLogs(list) {
+  return persist(DietStorage.replaceAll("water", list));
+}
 
-function getTimeOfDayGreeting() {
-  const hour = new Date().getHours();
-  if (hour < 12) return "בוקר טוב";
-  if (hour < 18) return "צהריים טובים";
-  return "ערב טוב";
+async function loadSleepLogs() {
+  const stored = await DietStorage.getAll("sleep");
+  return stored.map(normalizeSleepLog).filter(Boolean);
 }
 
-function updateGreeting() {
-  const titleEl = document.getElementById("greetingTitle");
-  const subtitleEl = document.getElementById("greetingSubtitle");
-  if (!titleEl || !subtitleEl) return;
+function saveSleepLog(log) {
+  return persist(DietStorage.put("sleep", log));
+}
 
-  const baseGreeting = getTimeOfDayGreeting();
-  const name = (userSettings.firstName || "").trim();
+function removeSleepLog(logId) {
+  return persist(DietStorage.remove("sleep", logId));
+}
 
-  if (name) {
-    titleEl.textContent = `${baseGreeting}, ${name}!`;
-    subtitleEl.textContent = "כיף לראות אותך שוב במעקב.";
-  } else {
-    titleEl.textContent = `${baseGreeting}!`;
-    subtitleEl.textContent = "המסע הבריא שלך מתחיל כאן";
-  }
+function saveSleepLogs(list) {
+  return persist(DietStorage.replaceAll("sleep", list));
 }
 
-function populateSettingsForm() {
-  const firstNameInput = document.getElementById("settingsFirstName");
-  const heightInput = document.getElementById("settingsHeightCm");
-  const weighInSelect = document.getElementById("settingsWeighInDay");
-  const profilePicInput = document.getElementById("profilePicInput"); // <--- הוספנו את השדה של התמונה
+async function loadSettings() {
+  const stored = await DietStorage.getSetting(SETTINGS_RECORD_KEY);
+  return stored ? normalizeSettings(stored) : getDefaultSettings();
+}
 
-  if (!firstNameInput || !heightInput || !weighInSelect) return;
+function saveSettings(settings) {
+  return persist(DietStorage.setSetting(SETTINGS_RECORD_KEY, settings));
+}
 
-  firstNameInput.value = userSettings.firstName || "";
-  heightInput.value = userSettings.heightCm || "";
-  weighInSelect.value =
-    userSettings.weighInDay !== null ? String(userSettings.weighInDay) : "";
+// While data loads, the page and all forms are inert: a record added now
+// would be lost when the loaded lists replace the in-memory ones.
+function setDataLoading(loading) {
+  const main = document.querySelector("main");
+  [main, ...document.querySelectorAll("form")].forEach((el) => {
+    if (el) el.inert = loading;
+  });
+  if (main) main.setAttribute("aria-busy", String(loading));
+}
 
-  // <--- הוספנו את טעינת הלינק לתוך השדה
-  if (profilePicInput) {
-    profilePicInput.value = userSettings.profilePicUrl || "";
+// Open the active profile's DB (running any pending migrations) and load
+// all state
+async function loadAppData() {
+  setDataLoading(true);
+  try {
+    await loadProfiles();
+    await DietStorage.useDatabase(getActiveProfile().dbName);
+    // Settings first: the entry migration resolves activities in the catalog
+    userSettings = await loadSettings();
+    const [storedEntries, storedMeals, storedWater, storedSleep] =
+      await Promise.all([
+        loadEntries(),
+        loadMeals(),
+        loadWaterLogs(),
+        loadSleepLogs(),
+      ]);
+    entries = storedEntries;
+    meals = storedMeals;
+    waterLogs = storedWater;
+    sleepLogs = storedSleep;
+  } finally {
+    setDataLoading(false);
   }
 }
 
-function openSettingsModal() {
-  populateSettingsForm();
-  const modal = document.getElementById("settingsModal");
-  if (modal) modal.classList.remove("hidden");
+// ----- ENTRY IDS & NORMALIZATION -----
+
+function generateEntryId() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return window.crypto.randomUUID();
+  }
+  return (
+    Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10)
+  );
 }
 
-function closeSettingsModal() {
-  const modal = document.getElementById("settingsModal");
-  if (modal) modal.classList.add("hidden");
+// Deterministic id for entries created before ids existed. Legacy data had
+// at most one entry per date, so restoring an old backup after the
+// migration maps onto the same entries instead of duplicating them.
+function getLegacyEntryId(dateStr) {
+  return `legacy-${dateStr}`;
 }
 
-// ----- METRICS CALCULATION -----
+// Timestamp used for legacy entries: noon of the entry's day.
+function getLegacyCreatedAt(dateStr) {
+  const d = dateFromYMD(dateStr);
+  d.setHours(12, 0, 0, 0);
+  return d.toISOString();
+}
 
-// Latest known weight (kg). If limitDateStr is provided (YYYY-MM-DD),
-// only considers entries on or before that date.
-function getLatestWeightUpToDate(limitDateStr) {
-  const hasLimit = !!limitDateStr;
-  let latestWeight = null;
-  let latestDate = null;
+// Entries that only have an activity name get the catalog id it resolves
+// to, so renaming the activity later doesn't detach them.
+function migrateLegacyEntries(list) {
+  let changed = false;
+  const usedIds = new Set();
+
+  const migratedList = list
+    .filter((e) => e && e.date)
+    .map((e) => {
+      const activityId = !e.activityId && resolveActivityId(e.activityType);
+      if (activityId) {
+        changed = true;
+        e = { ...e, activityId };
+      }
 
-  entries.forEach((entry) => {
-    if (typeof entry.weight !== "number" || isNaN(entry.weight)) return;
-    if (hasLimit && entry.date > limitDateStr) return;
-    if (!latestDate || entry.date > latestDate) {
-      latestDate = entry.date;
-      latestWeight = entry.weight;
-    }
-  });
+      if (e.id && e.createdAt && !usedIds.has(e.id)) {
+        usedIds.add(e.id);
+        return e;
+      }
+
+      changed = true;
+      let id = e.id || getLegacyEntryId(e.date);
+      while (usedIds.has(id)) id = generateEntryId();
+      usedIds.add(id);
+
+      return {
+        ...e,
+        id,
+        createdAt: e.createdAt || getLegacyCreatedAt(e.date),
+      };
+    });
 
-  return latestWeight;
+  if (migratedList.length !== list.length) changed = true;
+  return { list: migratedList, changed };
 }
 
-// MET value by activity type (Hebrew labels)
-function getMetForActivity(activityType) {
-  switch (activityType) {
-    case "הליכה":
-      return 4.0;
-    case "ריצה":
-      return 10.0;
-    case "רכיבה":
-      return 8.0;
-    case "חדר כושר":
-    case "אחר":
-    default:
-      return 5.0;
+// Parse a raw log (from a backup or storage) into a clean entry object.
+// Returns null if the log has no date.
+function normalizeEntry(inLog) {
+  if (!inLog || !inLog.date) return null;
+
+  let weightNum = null;
+  if (typeof inLog.weight === "number") {
+    weightNum = inLog.weight;
+  } else if (typeof inLog.weight === "string" && inLog.weight.trim() !== "") {
+    const parsedWeight = parseFloat(inLog.weight);
+    if (!isNaN(parsedWeight)) weightNum = parsedWeight;
   }
-}
 
-// Calories = MET * weight(kg) * (durationMinutes / 60)
-function calculateEntryCalories(entry) {
-  const duration =
-    typeof entry.durationMinutes === "number" && !isNaN(entry.durationMinutes)
-      ? entry.durationMinutes
-      : null;
-  if (!duration || duration <= 0) return null;
+  let durationMinutes = null;
+  if (typeof inLog.durationMinutes === "number") {
+    durationMinutes = inLog.durationMinutes;
+  } else if (
+    typeof inLog.durationMinutes === "string" &&
+    inLog.durationMinutes.trim() !== ""
+  ) {
+    const d = parseInt(inLog.durationMinutes.trim(), 10);
+    if (!isNaN(d)) durationMinutes = d;
+  }
 
-  let weightToUse =
-    typeof entry.weight === "number" && !isNaN(entry.weight)
-      ? entry.weight
-      : getLatestWeightUpToDate(entry.date);
+  const measurements = normalizeMeasurements(inLog.measurements);
+  const activityId = inLog.activityId || resolveActivityId(inLog.activityType);
+
+  return {
+    id: inLog.id || getLegacyEntryId(inLog.date),
+    createdAt: inLog.createdAt || getLegacyCreatedAt(inLog.date),
+    ...(inLog.updatedAt ? { updatedAt: inLog.updatedAt } : {}),
+    date: inLog.date,
+    weight: weightNum,
+    ...(measurements ? { measurements } : {}),
+    ...(activityId ? { activityId } : {}),
+    activityType: inLog.activityType || "",
+    notes: inLog.notes || "",
+    durationMinutes,
+  };
+}
 
-  if (!weightToUse || isNaN(weightToUse) || weightToUse <= 0) return null;
+// Parse a raw meal (from a backup or storage) into a clean meal object.
+// Returns null if the meal has no date or no valid calories.
+function normalizeMeal(inMeal) {
+  if (!inMeal || !inMeal.date) return null;
+
+  const calories =
+    typeof inMeal.calories === "number"
+      ? inMeal.calories
+      : parseFloat(String(inMeal.calories || "").trim());
+  if (isNaN(calories) || calories < 0) return null;
+
+  const mealType = MEAL_TYPES.some((t) => t.id === inMeal.mealType)
+    ? inMeal.mealType
+    : "snack";
+
+  return {
+    id: inMeal.id || generateEntryId(),
+    createdAt: inMeal.createdAt || getLegacyCreatedAt(inMeal.date),
+    date: inMeal.date,
+    mealType,
+    name: inMeal.name || "",
+    calories,
+  };
+}
 
-  const met = getMetForActivity(entry.activityType || "");
-  const calories = met * weightToUse * (duration / 60);
-  return calories > 0 ? calories : null;
+// Parse a raw water log. Returns null without a date or a positive amount.
+function normalizeWaterLog(inLog) {
+  if (!inLog || !inLog.date) return null;
+  const amountMl = Number(inLog.amountMl);
+  if (!(amountMl > 0)) return null;
+
+  return {
+    id: inLog.id || generateEntryId(),
+    createdAt: inLog.createdAt || getLegacyCreatedAt(inLog.date),
+    date: inLog.date,
+    amountMl,
+  };
 }
 
-// Total calories burned in the last 7 days (including today)
-function calculateCaloriesThisWeek() {
-  if (!entries.length) return 0;
+// Parse a raw sleep log. `date` is the morning the night ended.
+// Returns null if a time or the quality is missing / invalid.
+function normalizeSleepLog(inLog) {
+  if (!inLog || !inLog.date) return null;
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const quality = Number(inLog.quality);
+  if (
+    !timePattern.test(inLog.bedtime || "") ||
+    !timePattern.test(inLog.wakeTime || "") ||
+    !(Number.isInteger(quality) && quality >= 1 && quality <= 5)
+  ) {
+    return null;
+  }
 
-  const today = dateFromYMD(getTodayDateString());
-  const sevenDaysAgo = new Date(today);
-  sevenDaysAgo.setDate(today.getDate() - 6);
+  return {
+    id: inLog.id || generateEntryId(),
+    createdAt: inLog.createdAt || getLegacyCreatedAt(inLog.date),
+    date: inLog.date,
+    bedtime: inLog.bedtime,
+    wakeTime: inLog.wakeTime,
+    quality,
+  };
+}
 
-  let total = 0;
+// Validate the raw weight / duration strings typed into an entry form.
+// Empty values are allowed (the entry can be a weight-only or activity-only
+// log). The weight is typed in display units; previousWeight is the
+// entry's stored weight when editing. Returns { error } or
+// { weight (kg), durationMinutes }.
+function validateEntryFields(weightRaw, durationRaw, previousWeight = null) {
+  let weight = null;
+  if (weightRaw !== "") {
+    const typed = parseFloat(weightRaw);
+    if (isNaN(typed) || typed <= 0) {
+      return { error: t("entry.invalidWeight") };
+    }
+    weight = displayWeightToKg(typed, previousWeight);
+  }
 
-  entries.forEach((entry) => {
-    const d = dateFromYMD(entry.date);
-    if (d < sevenDaysAgo || d > today) return;
-    const cals = calculateEntryCalories(entry);
-    if (typeof cals === "number" && !isNaN(cals)) {
-      total += cals;
+  let durationMinutes = null;
+  if (durationRaw !== "") {
+    const d = Number(durationRaw);
+    if (!Number.isInteger(d) || d <= 0) {
+      return { error: t("entry.invalidDuration") };
     }
-  });
+    durationMinutes = d;
+  }
 
-  return total;
+  return { weight, durationMinutes };
 }
 
-function refreshDashboardSummary() {
-  const currentWeightElement = document.getElementById("currentWeightDisplay");
-  const totalLossElement = document.getElementById("totalLossDisplay");
-  const entriesWeekElement = document.getElementById("entriesWeekDisplay");
-  const streakElement = document.getElementById("streakDisplay");
-  const caloriesWeekElement = document.getElementById("caloriesWeekDisplay");
+// Keep known measurements with positive numeric values (strings from
+// older exports are parsed). Returns null when nothing is left.
+function normalizeMeasurements(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const result = {};
+  BODY_MEASUREMENTS.forEach(({ id }) => {
+    const value = typeof raw[id] === "string" ? parseFloat(raw[id]) : raw[id];
+    if (typeof value === "number" && value > 0) result[id] = value;
+  });
+  return Object.keys(result).length ? result : null;
+}
 
-  if (
-    !currentWeightElement ||
-    !totalLossElement ||
-    !entriesWeekElement ||
-    !streakElement ||
-    !caloriesWeekElement
-  )
-    return;
+// Read the measurement inputs ([data-measurement]) inside a form section,
+// typed in display units. `previous` are the stored measurements when
+// editing. Returns { error } or { measurements } (null when all are empty).
+function readMeasurementInputs(containerId, previous = null) {
+  const container = document.getElementById(containerId);
+  if (!container) return { measurements: null };
 
-  if (!entries.length) {
-    currentWeightElement.textContent = "—";
-    totalLossElement.textContent = "—";
-    entriesWeekElement.textContent = "0";
-    streakElement.textContent = "0";
-    caloriesWeekElement.textContent = "0";
-    return;
-  }
+  const measurements = {};
+  for (const input of container.querySelectorAll("[data-measurement]")) {
+    const raw = input.value.trim();
+    if (raw === "") continue;
 
-  // Use only entries with valid weight for weight metrics
-  const entriesWithWeight = entries.filter(
-    (e) => typeof e.weight === "number" && !isNaN(e.weight),
-  );
+    const def = BODY_MEASUREMENTS.find(
+      (m) => m.id === input.dataset.measurement,
+    );
+    const isLength = def.unit !== "%";
+    const min = def.min || MEASUREMENT_CM_RANGE.min;
+    const max = def.max || MEASUREMENT_CM_RANGE.max;
+    const typed = parseFloat(raw);
+    const value = isLength
+      ? displayLengthToCm(typed, previous && previous[def.id])
+      : typed;
+    if (isNaN(value) || value < min || value > max) {
+      const [shownMin, shownMax] = isLength
+        ? [min, max].map((cm) => roundForDisplay(cmToDisplay(cm)))
+        : [min, max];
+      return {
+        error: t("entry.invalidMeasurement", {
+          name: getMeasurementLabel(def.id),
+          min: shownMin,
+          max: shownMax,
+          unit: getMeasurementUnit(def),
+        }),
+      };
+    }
+    measurements[def.id] = value;
+  }
+  return {
+    measurements: Object.keys(measurements).length ? measurements : null,
+  };
+}
 
-  if (!entriesWithWeight.length) {
-    currentWeightElement.textContent = "—";
-    totalLossElement.textContent = "—";
-  } else {
-    const sortedByDate = [...entriesWithWeight].sort(
-      (a, b) => dateFromYMD(a.date) - dateFromYMD(b.date),
+function fillMeasurementInputs(containerId, measurements) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  container.querySelectorAll("[data-measurement]").forEach((input) => {
+    const def = BODY_MEASUREMENTS.find(
+      (m) => m.id === input.dataset.measurement,
     );
-    const earliest = sortedByDate[0];
-    const latest = sortedByDate[sortedByDate.length - 1];
+    const value = measurements && measurements[def.id];
+    if (!value) input.value = "";
+    else input.value = def.unit === "%" ? value : lengthToInputValue(value);
+  });
+}
 
-    currentWeightElement.textContent = latest.weight.toFixed(1);
+function getMeasurementLabel(measurementId) {
+  return t(`measurement.${measurementId}`);
+}
 
-    const diff = earliest.weight - latest.weight;
-    totalLossElement.textContent = diff.toFixed(1);
-  }
+// "מותניים 85 ס"מ · אחוז שומן 24%"
+function formatMeasurementsSummary(measurements) {
+  if (!measurements) return "";
+  return BODY_MEASUREMENTS.filter((m) => measurements[m.id])
+    .map((m) =>
+      m.unit === "%"
+        ? `${getMeasurementLabel(m.id)} ${measurements[m.id]}%`
+        : `${getMeasurementLabel(m.id)} ${formatLength(measurements[m.id])}`,
+    )
+    .join(" · ");
+}
 
-  // Entries this week (any log)
-  const today = dateFromYMD(getTodayDateString());
-  const sevenDaysAgo = new Date(today);
-  sevenDaysAgo.setDate(today.getDate() - 6);
+// Oldest -> newest: by date, then by creation time within the same day.
+function compareEntriesChronologically(a, b) {
+  if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+  const aTime = a.createdAt || "";
+  const bTime = b.createdAt || "";
+  if (aTime === bTime) return 0;
+  return aTime < bTime ? -1 : 1;
+}
 
-  const entriesThisWeek = entries.filter((entry) => {
-    const d = dateFromYMD(entry.date);
-    return d >= sevenDaysAgo && d <= today;
-  });
-  entriesWeekElement.textContent = entriesThisWeek.length.toString();
+// ----- DATE HELPERS -----
 
-  // Streak
-  const streak = calculateCurrentStreak();
-  streakElement.textContent = String(streak);
+function getTodayDateString() {
+  const today = new Date();
+  return formatDateToYMD(today);
+}
 
-  // Calories this week
-  const caloriesWeek = calculateCaloriesThisWeek();
-  caloriesWeekElement.textContent = caloriesWeek.toFixed(0);
+function formatDateToYMD(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
 }
 
-function calculateCurrentStreak() {
-  if (!entries.length) return 0;
+function dateFromYMD(ymd) {
+  if (!ymd) return new Date();
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
 
-  // Create a set of unique dates
-  const uniqueDates = new Set(entries.map((e) => e.date));
-  const sortedDatesDesc = Array.from(uniqueDates).sort(
-    (a, b) => dateFromYMD(b) - dateFromYMD(a),
-  );
+function hasEntryOnDate(dateStr) {
+  return entries.some((e) => e.date === dateStr);
+}
 
-  let streak = 0;
-  // Logic: Check today, if exists -> streak++. If not, check yesterday.
-  // Actually, standard streak logic usually allows missing "today" if you logged "yesterday".
+function formatTimeFromIso(isoStr) {
+  if (!isoStr) return "";
+  const d = new Date(isoStr);
+  if (isNaN(d.getTime())) return "";
+  const hh = String(d.getHours()).padStart(2, "0");
+  const mm = String(d.getMinutes()).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
 
-  const todayStr = getTodayDateString();
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayStr = formatDateToYMD(yesterday);
+// ----- UNITS -----
+// Weights and lengths are shown (and typed) rounded to one decimal in the
+// chosen unit system. Reading a typed value back keeps the stored value
+// when the number wasn't changed, so 80 kg -> 176.4 lb -> save stays
+// exactly 80 kg instead of drifting to 80.0150 kg.
 
-  let currentCheckDate = uniqueDates.has(todayStr) ? new Date() : yesterday;
-  // If neither today nor yesterday has an entry, streak is broken/0 (unless we strictly count from most recent log)
+function getUnitSystem() {
+  return userSettings.unitSystem === "imperial" ? "imperial" : "metric";
+}
 
-  // Let's count backwards from the most recent log, but if the most recent log is older than yesterday, streak is 0.
-  const mostRecentLogDate = sortedDatesDesc[0]; // String YYYY-MM-DD
-  const mostRecentDateObj = dateFromYMD(mostRecentLogDate);
-  const diffTime = Math.abs(new Date() - mostRecentDateObj);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+// Unit label for [data-unit] spans: "weight" | "length" | "height"
+function getUnitLabel(kind, system = getUnitSystem()) {
+  const imperial = system === "imperial";
+  if (kind === "weight") return imperial ? "lb" : t("unit.kg");
+  if (kind === "height") return imperial ? "ft / in" : t("unit.cm");
+  return imperial ? "in" : t("unit.cm");
+}
 
-  if (mostRecentLogDate !== todayStr && mostRecentLogDate !== yesterdayStr) {
-    return 0;
-  }
+function roundForDisplay(value) {
+  return Math.round(value * 10) / 10;
+}
 
-  // Start counting
-  streak = 1;
-  let cursor = dateFromYMD(mostRecentLogDate);
+function kgToDisplay(kg, system = getUnitSystem()) {
+  return system === "imperial" ? kg / KG_PER_LB : kg;
+}
 
-  while (true) {
-    cursor.setDate(cursor.getDate() - 1);
-    const prevStr = formatDateToYMD(cursor);
-    if (uniqueDates.has(prevStr)) {
-      streak++;
-    } else {
-      break;
-    }
-  }
+function displayToKg(value, system = getUnitSystem()) {
+  return system === "imperial" ? value * KG_PER_LB : value;
+}
 
-  return streak;
+function cmToDisplay(cm, system = getUnitSystem()) {
+  return system === "imperial" ? cm / CM_PER_INCH : cm;
 }
 
-function calculateCurrentBmi() {
-  if (!entries.length) return null;
-  if (
-    !userSettings ||
-    typeof userSettings.heightCm !== "number" ||
-    isNaN(userSettings.heightCm) ||
-    userSettings.heightCm <= 0
-  ) {
-    return null;
-  }
+function displayToCm(value, system = getUnitSystem()) {
+  return system === "imperial" ? value * CM_PER_INCH : value;
+}
 
-  const entriesWithWeight = entries.filter(
-    (e) => typeof e.weight === "number" && !isNaN(e.weight),
-  );
-  if (!entriesWithWeight.length) return null;
+// "72.5 ק"ג" / "159.8 lb". Also used for differences and rates.
+function formatWeight(kg, decimals = 1) {
+  return `${kgToDisplay(kg).toFixed(decimals)} ${getUnitLabel("weight")}`;
+}
 
-  const sortedByDate = [...entriesWithWeight].sort(
-    (a, b) => dateFromYMD(a.date) - dateFromYMD(b.date),
-  );
-  const latest = sortedByDate[sortedByDate.length - 1];
+function formatLength(cm) {
+  return `${roundForDisplay(cmToDisplay(cm))} ${getUnitLabel("length")}`;
+}
 
-  const heightM = userSettings.heightCm / 100;
-  const bmi = latest.weight / (heightM * heightM);
+// Metric: "175 ס"מ", imperial: 5' 9"
+function formatHeight(cm) {
+  if (getUnitSystem() === "metric") return `${Math.round(cm)} ${t("unit.cm")}`;
+  const { feet, inches } = cmToFeetInches(cm);
+  return `${feet}' ${inches}"`;
+}
 
-  let category = "";
-  if (bmi < 18.5) category = "תת־משקל";
-  else if (bmi < 25) category = "טווח תקין";
-  else if (bmi < 30) category = "עודף משקל";
-  else category = "השמנה";
+function cmToFeetInches(cm) {
+  const total = roundForDisplay(cm / CM_PER_INCH);
+  const feet = Math.floor(total / INCHES_PER_FOOT);
+  return { feet, inches: roundForDisplay(total - feet * INCHES_PER_FOOT) };
+}
 
-  return { value: bmi, category };
+// Value for a number input ("" when there is none)
+function weightToInputValue(kg, system = getUnitSystem()) {
+  return typeof kg === "number" && !isNaN(kg)
+    ? String(roundForDisplay(kgToDisplay(kg, system)))
+    : "";
 }
 
-function refreshBmiDisplay() {
-  const bmiValueEl = document.getElementById("bmiDisplay");
+function lengthToInputValue(cm, system = getUnitSystem()) {
+  return typeof cm === "number" && !isNaN(cm)
+    ? String(roundForDisplay(cmToDisplay(cm, system)))
+    : "";
+}
+
+// Typed / imported value -> kg. If it is just the rounded display of
+// `previousKg`, the previous (exact) value is kept.
+function displayWeightToKg(value, previousKg, system = getUnitSystem()) {
+  if (
+    typeof previousKg === "number" &&
+    roundForDisplay(kgToDisplay(previousKg, system)) === roundForDisplay(value)
+  ) {
+    return previousKg;
+  }
+  return displayToKg(value, system);
+}
+
+function displayLengthToCm(value, previousCm, system = getUnitSystem()) {
+  if (
+    typeof previousCm === "number" &&
+    roundForDisplay(cmToDisplay(previousCm, system)) === roundForDisplay(value)
+  ) {
+    return previousCm;
+  }
+  return displayToCm(value, system);
+}
+
+// Unit of a BODY_MEASUREMENTS item in the current system
+function getMeasurementUnit(def, system = getUnitSystem()) {
+  return def.unit === "%" ? "%" : getUnitLabel("length", system);
+}
+
+// Refresh [data-unit] labels and show only the [data-unit-system] inputs of
+// `system` inside `root` (the settings form passes its unsaved choice).
+function refreshUnitLabels(root = document, system = getUnitSystem()) {
+  root.querySelectorAll("[data-unit]").forEach((el) => {
+    el.textContent = getUnitLabel(el.dataset.unit, system);
+  });
+  root.querySelectorAll("[data-unit-system]").forEach((el) => {
+    el.classList.toggle("hidden", el.dataset.unitSystem !== system);
+  });
+}
+
+// ----- LANGUAGE -----
+
+// Switch the UI to userSettings.language: static text (index.html),
+// direction, and labels kept by the charts and the measurement select.
+// Everything rendered by refreshAllUI (or when the settings form opens)
+// follows on its own.
+function applyLanguage() {
+  DietI18n.setLocale(userSettings.language);
+  DietI18n.translateDom();
+
+  [weightChart, sleepChart].forEach((chart) => {
+    if (!chart) return;
+    chart.data.datasets.forEach((ds) => (ds.label = t(`chart.${ds.id}`)));
+    chart.update();
+  });
+  const measurementSelect = document.getElementById("measurementChartSelect");
+  if (measurementSelect) {
+    Array.from(measurementSelect.options).forEach((option) => {
+      option.textContent = getMeasurementLabel(option.value);
+    });
+  }
+}
+
+// ----- ACTIVITY CATALOG -----
+// The catalog lives in userSettings.activities, so it is saved and backed
+// up with the settings. Deleting only marks an activity as deleted: entries
+// that point at it keep their name and MET.
+
+// Keep valid items and make sure every built-in activity is present
+function normalizeActivityCatalog(list) {
+  const catalog = [];
+  const seenIds = new Set();
+
+  (Array.isArray(list) ? list : []).forEach((a) => {
+    if (!a || typeof a.id !== "string" || !a.id || seenIds.has(a.id)) return;
+    const name = typeof a.name === "string" ? a.name.trim() : "";
+    const met = Number(a.met);
+    if (!name || !(met > 0)) return;
+
+    seenIds.add(a.id);
+    catalog.push({
+      id: a.id,
+      name,
+      intensity: ACTIVITY_INTENSITIES.some((i) => i.id === a.intensity)
+        ? a.intensity
+        : "moderate",
+      met,
+      hidden: a.hidden === true,
+      deleted: a.deleted === true,
+    });
+  });
+
+  DEFAULT_ACTIVITIES.forEach((a) => {
+    if (!seenIds.has(a.id)) {
+      catalog.push({ ...a, hidden: false, deleted: false });
+    }
+  });
+  return catalog;
+}
+
+// Activities offered in the entry forms
+function getVisibleActivities() {
+  return userSettings.activities.filter((a) => !a.hidden && !a.deleted);
+}
+
+function getActivityById(activityId) {
+  return userSettings.activities.find((a) => a.id === activityId) || null;
+}
+
+// A built-in activity that was never renamed still has its default name
+// (in whichever language it was saved), and is shown translated.
+function isDefaultActivityName(activity) {
+  return (
+    DEFAULT_ACTIVITIES.some((d) => d.id === activity.id) &&
+    DietI18n.translateAll(`activity.${activity.id}`).includes(activity.name)
+  );
+}
+
+function getActivityName(activity) {
+  return isDefaultActivityName(activity)
+    ? t(`activity.${activity.id}`)
+    : activity.name;
+}
+
+// Case-insensitive name lookup, preferring activities that aren't deleted.
+// Built-in activities that keep their default name match it in every
+// language.
+function findActivityByName(name) {
+  const key = String(name || "")
+    .trim()
+    .toLowerCase();
+  if (!key) return null;
+  const matches = userSettings.activities.filter((a) => {
+    const names = isDefaultActivityName(a)
+      ? DietI18n.translateAll(`activity.${a.id}`)
+      : [a.name];
+    return names.some((n) => n.toLowerCase() === key);
+  });
+  return matches.find((a) => !a.deleted) || matches[0] || null;
+}
+
+// Catalog id for an activity name, for records that only carry the name
+// (entries from before the catalog, CSV files). Built-in activities also
+// match their default name in every language after being renamed, since
+// that is the name old entries were saved with. null = not in the catalog.
+function resolveActivityId(name) {
+  const activity = findActivityByName(name);
+  if (activity) return activity.id;
+  const key = String(name || "")
+    .trim()
+    .toLowerCase();
+  if (!key) return null;
+  const builtIn = DEFAULT_ACTIVITIES.find((d) =>
+    DietI18n.translateAll(`activity.${d.id}`).some(
+      (n) => n.toLowerCase() === key,
+    ),
+  );
+  return builtIn ? builtIn.id : null;
+}
+
+// Entries reference the catalog by id. `activityType` (the name when the
+// entry was saved, or free text not in the catalog) is only shown when the
+// id isn't in the catalog; it never decides which activity it was.
+function getActivityForEntry(entry) {
+  return entry.activityId ? getActivityById(entry.activityId) : null;
+}
+
+function getEntryActivityLabel(entry) {
+  const activity = getActivityForEntry(entry);
+  return activity ? getActivityName(activity) : entry.activityType || "";
+}
+
+// Groups entries by activity: the catalog id, or the free text of entries
+// whose activity isn't in the catalog ("text:" = no activity)
+function getEntryActivityKey(entry) {
+  const activity = getActivityForEntry(entry);
+  return activity
+    ? activity.id
+    : entry.activityId || `text:${entry.activityType || ""}`;
+}
+
+function getIntensityLabel(intensityId) {
+  return ACTIVITY_INTENSITIES.some((i) => i.id === intensityId)
+    ? t(`intensity.${intensityId}`)
+    : "";
+}
+
+// Fill an activity <select> with the visible activities. `extraActivity`
+// (e.g. the hidden activity of an edited entry) is added if not offered.
+function populateActivitySelect(select, extraActivity) {
+  if (!select) return;
+  const previous = select.value;
+  const options = getVisibleActivities();
+  if (extraActivity && !options.some((a) => a.id === extraActivity.id)) {
+    options.push(extraActivity);
+  }
+
+  select.innerHTML = "";
+  options.forEach((a) => {
+    const option = document.createElement("option");
+    option.value = a.id;
+    option.textContent = getActivityName(a);
+    select.appendChild(option);
+  });
+  if (options.some((a) => a.id === previous)) select.value = previous;
+}
+
+function refreshActivityCatalog() {
+  populateActivitySelect(document.getElementById("activityType"));
+
+  const list = document.getElementById("activityCatalogList");
+  if (!list) return;
+  list.innerHTML = "";
+
+  userSettings.activities
+    .filter((a) => !a.deleted)
+    .forEach((activity) => {
+      const li = document.createElement("li");
+      li.className = `flex items-center gap-2 text-xs${
+        activity.hidden ? " opacity-50" : ""
+      }`;
+      li.dataset.activityId = activity.id;
+
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.maxLength = 30;
+      nameInput.value = getActivityName(activity);
+      nameInput.className =
+        "flex-1 min-w-0 rounded-xl border border-slate-200 px-2 py-1.5 bg-slate-50";
+      nameInput.setAttribute("aria-label", t("activities.name"));
+      nameInput.onchange = () =>
+        updateActivity(activity.id, { name: nameInput.value });
+
+      const intensitySelect = document.createElement("select");
+      intensitySelect.className =
+        "rounded-xl border border-slate-200 px-1 py-1.5 bg-slate-50";
+      intensitySelect.setAttribute("aria-label", t("activities.intensity"));
+      ACTIVITY_INTENSITIES.forEach((i) => {
+        const option = document.createElement("option");
+        option.value = i.id;
+        option.textContent = getIntensityLabel(i.id);
+        intensitySelect.appendChild(option);
+      });
+      intensitySelect.value = activity.intensity;
+      intensitySelect.onchange = () =>
+        updateActivity(activity.id, { intensity: intensitySelect.value });
+
+      const metInput = document.createElement("input");
+      metInput.type = "number";
+      metInput.min = "1";
+      metInput.max = "25";
+      metInput.step = "0.1";
+      metInput.value = activity.met;
+      metInput.className =
+        "w-14 rounded-xl border border-slate-200 px-2 py-1.5 bg-slate-50";
+      metInput.setAttribute("aria-label", t("activities.met"));
+      metInput.onchange = () =>
+        updateActivity(activity.id, { met: parseFloat(metInput.value) });
+
+      const hideBtn = document.createElement("button");
+      hideBtn.type = "button";
+      hideBtn.className =
+        "w-7 h-7 rounded-full flex items-center justify-center text-slate-400 hover:bg-slate-100";
+      hideBtn.setAttribute(
+        "aria-label",
+        t(activity.hidden ? "activities.show" : "activities.hide"),
+      );
+      hideBtn.innerHTML = `<i class="fa-regular ${
+        activity.hidden ? "fa-eye-slash" : "fa-eye"
+      } text-xs"></i>`;
+      hideBtn.onclick = () =>
+        updateActivity(activity.id, { hidden: !activity.hidden });
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className =
+        "w-7 h-7 rounded-full flex items-center justify-center text-rose-400 hover:bg-rose-50";
+      deleteBtn.setAttribute("aria-label", t("activities.delete"));
+      deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can text-xs"></i>';
+      deleteBtn.onclick = () => deleteActivity(activity.id);
+
+      li.appendChild(nameInput);
+      li.appendChild(intensitySelect);
+      li.appendChild(metInput);
+      li.appendChild(hideBtn);
+      li.appendChild(deleteBtn);
+      list.appendChild(li);
+    });
+}
+
+// Apply a change to one activity. Returns an error message or null.
+function updateActivity(activityId, changes) {
+  const activity = getActivityById(activityId);
+  if (!activity) return null;
+
+  let error = null;
+  if (changes.name !== undefined) {
+    const name = changes.name.trim();
+    const existing = findActivityByName(name);
+    if (!name) error = t("activities.nameRequired");
+    else if (existing && !existing.deleted && existing.id !== activityId) {
+      error = t("activities.nameTaken");
+    } else changes = { ...changes, name };
+  }
+  if (changes.met !== undefined && !(changes.met >= 1 && changes.met <= 25)) {
+    error = t("activities.invalidMet");
+  }
+  if (
+    (changes.hidden || changes.deleted) &&
+    !activity.hidden &&
+    getVisibleActivities().length <= 1
+  ) {
+    error = t("activities.lastVisible");
+  }
+
+  if (!error) {
+    Object.assign(activity, changes);
+    saveSettings(userSettings);
+  }
+  refreshAllUI();
+  if (error) alert(error);
+  return error;
+}
+
+function addActivity(name, intensity, met) {
+  const trimmed = (name || "").trim();
+  const existing = findActivityByName(trimmed);
+  if (!trimmed) return t("activities.nameRequired");
+  if (existing && !existing.deleted) return t("activities.nameTaken");
+  if (!(met >= 1 && met <= 25)) return t("activities.invalidMet");
+
+  userSettings.activities.push({
+    id: generateEntryId(),
+    name: trimmed,
+    intensity,
+    met,
+    hidden: false,
+    deleted: false,
+  });
+  saveSettings(userSettings);
+  refreshAllUI();
+  return null;
+}
+
+function deleteActivity(activityId) {
+  const activity = getActivityById(activityId);
+  if (!activity) return;
+  if (
+    !confirm(t("activities.confirmDelete", { name: getActivityName(activity) }))
+  ) {
+    return;
+  }
+  updateActivity(activityId, { deleted: true });
+}
+
+// Restoring another device's settings must not drop activities that local
+// entries still point at: keep them, marked as deleted.
+function mergeActivityCatalogs(incoming, local) {
+  const ids = new Set(incoming.map((a) => a.id));
+  return [
+    ...incoming,
+    ...local
+      .filter((a) => !ids.has(a.id))
+      .map((a) => ({ ...a, deleted: true })),
+  ];
+}
+
+// ----- PROFILES -----
+// Each profile has its own database (see storage.js), so switching
+// profiles reloads all state from that database.
+
+// Read the registry; on first run the existing data becomes the first
+// profile. Its id is the same on every device, so a backup of it restores
+// into it on a new phone. Registries created before keep their random id.
+async function loadProfiles() {
+  let registry = await DietStorage.getProfileRegistry();
+  if (
+    !registry ||
+    !Array.isArray(registry.profiles) ||
+    !registry.profiles.length
+  ) {
+    registry = {
+      activeId: MAIN_PROFILE_ID,
+      profiles: [
+        { id: MAIN_PROFILE_ID, name: "", dbName: DietStorage.MAIN_DB_NAME },
+      ],
+    };
+    await DietStorage.setProfileRegistry(registry);
+  }
+  if (!registry.profiles.some((p) => p.id === registry.activeId)) {
+    registry.activeId = registry.profiles[0].id;
+  }
+  profileRegistry = registry;
+}
+
+function getActiveProfile() {
+  return profileRegistry.profiles.find(
+    (p) => p.id === profileRegistry.activeId,
+  );
+}
+
+function getProfileName(profile) {
+  return (profile && profile.name) || t("profile.defaultName");
+}
+
+function saveProfileRegistry() {
+  return persist(DietStorage.setProfileRegistry(profileRegistry));
+}
+
+// Drop the in-memory data of the current profile
+function resetProfileState() {
+  entries = [];
+  meals = [];
+  waterLogs = [];
+  sleepLogs = [];
+  userSettings = getDefaultSettings();
+  pendingRestorePlan = null;
+  closeRestorePreview();
+  closeCsvImport();
+}
+
+async function switchProfile(profileId) {
+  closeProfileMenu();
+  if (!profileRegistry || profileId === profileRegistry.activeId) return;
+  if (!profileRegistry.profiles.some((p) => p.id === profileId)) return;
+
+  setDataLoading(true);
+  profileRegistry.activeId = profileId;
+  await saveProfileRegistry();
+  resetProfileState();
+  refreshAllUI();
+  try {
+    await loadAppData();
+  } catch (e) {
+    console.error("Failed to load profile:", e);
+    alert(t("profile.loadFailed"));
+  }
+  refreshAllUI();
+}
+
+// `id` may be given to recreate a profile from a backup taken on another
+// device. Returns the new profile.
+async function createProfile(name, id = generateEntryId()) {
+  const profile = { id, name: name.trim(), dbName: `dietTracker-${id}` };
+  profileRegistry.profiles.push(profile);
+  await saveProfileRegistry();
+  await switchProfile(profile.id);
+  return profile;
+}
+
+function promptNewProfile() {
+  closeProfileMenu();
+  const name = prompt(t("profile.newPrompt"));
+  if (name === null) return;
+  if (!name.trim()) {
+    alert(t("profile.nameRequired"));
+    return;
+  }
+  createProfile(name);
+}
+
+function renameActiveProfile() {
+  closeProfileMenu();
+  const profile = getActiveProfile();
+  const name = prompt(t("profile.renamePrompt"), profile.name || "");
+  if (name === null || !name.trim()) return;
+  profile.name = name.trim();
+  saveProfileRegistry();
+  refreshProfileSwitcher();
+}
+
+async function deleteProfile(profileId) {
+  const profile = profileRegistry.profiles.find((p) => p.id === profileId);
+  if (
+    !profile ||
+    profileId === profileRegistry.activeId ||
+    profile.dbName === DietStorage.MAIN_DB_NAME
+  ) {
+    return;
+  }
+  if (!confirm(t("profile.confirmDelete", { name: getProfileName(profile) }))) {
+    return;
+  }
+
+  profileRegistry.profiles = profileRegistry.profiles.filter(
+    (p) => p.id !== profileId,
+  );
+  await saveProfileRegistry();
+  persist(DietStorage.deleteDatabase(profile.dbName));
+  refreshProfileSwitcher();
+}
+
+function closeProfileMenu() {
+  const menu = document.getElementById("profileMenu");
+  if (menu) menu.classList.add("hidden");
+}
+
+function refreshProfileSwitcher() {
+  const nameEl = document.getElementById("profileSwitcherName");
+  const list = document.getElementById("profileMenuList");
+  if (!nameEl || !list || !profileRegistry) return;
+
+  nameEl.textContent = getProfileName(getActiveProfile());
+  list.innerHTML = "";
+  profileRegistry.profiles.forEach((profile) => {
+    const isActive = profile.id === profileRegistry.activeId;
+    const li = document.createElement("li");
+    li.className = "flex items-center justify-between";
+
+    const switchBtn = document.createElement("button");
+    switchBtn.type = "button";
+    switchBtn.className = `flex-1 text-start px-3 py-2 text-xs rounded-xl hover:bg-slate-50 ${
+      isActive ? "font-semibold text-emerald-700" : "text-slate-700"
+    }`;
+    switchBtn.textContent = `${isActive ? "✓ " : ""}${getProfileName(profile)}`;
+    switchBtn.onclick = () => switchProfile(profile.id);
+    li.appendChild(switchBtn);
+
+    if (!isActive && profile.dbName !== DietStorage.MAIN_DB_NAME) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className =
+        "text-rose-400 hover:text-rose-600 hover:bg-rose-50 p-1.5 rounded-full transition";
+      deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can text-[10px]"></i>';
+      deleteBtn.title = t("profile.delete");
+      deleteBtn.onclick = () => deleteProfile(profile.id);
+      li.appendChild(deleteBtn);
+    }
+    list.appendChild(li);
+  });
+}
+
+// ----- UI & DASHBOARD FUNCTIONS -----
+
+function getTimeOfDayGreeting() {
+  const hour = new Date().getHours();
+  if (hour < 12) return t("greeting.morning");
+  if (hour < 18) return t("greeting.afternoon");
+  return t("greeting.evening");
+}
+
+function updateGreeting() {
+  const titleEl = document.getElementById("greetingTitle");
+  const subtitleEl = document.getElementById("greetingSubtitle");
+  if (!titleEl || !subtitleEl) return;
+
+  const baseGreeting = getTimeOfDayGreeting();
+  const name = (userSettings.firstName || "").trim();
+
+  if (name) {
+    titleEl.textContent = `${baseGreeting}, ${name}!`;
+    subtitleEl.textContent = t("greeting.subtitleReturning");
+  } else {
+    titleEl.textContent = `${baseGreeting}!`;
+    subtitleEl.textContent = t("greeting.subtitleNew");
+  }
+}
+
+function populateSettingsForm() {
+  const firstNameInput = document.getElementById("settingsFirstName");
+  const weighInSelect = document.getElementById("settingsWeighInDay");
+  const profilePicInput = document.getElementById("profilePicInput"); // <--- הוספנו את השדה של התמונה
+
+  if (!firstNameInput || !weighInSelect) return;
+
+  firstNameInput.value = userSettings.firstName || "";
+  const languageSelect = document.getElementById("settingsLanguage");
+  if (languageSelect) languageSelect.value = userSettings.language;
+  const unitSelect = document.getElementById("settingsUnitSystem");
+  if (unitSelect) unitSelect.value = getUnitSystem();
+  fillSettingsUnitFields(
+    getUnitSystem(),
+    userSettings.heightCm,
+    userSettings.goalWeightKg,
+  );
+  weighInSelect.value =
+    userSettings.weighInDay !== null ? String(userSettings.weighInDay) : "";
+
+  // <--- הוספנו את טעינת הלינק לתוך השדה
+  if (profilePicInput) {
+    profilePicInput.value = userSettings.profilePicUrl || "";
+  }
+
+  const trendLossInput = document.getElementById("settingsUseTrendForLoss");
+  if (trendLossInput) trendLossInput.checked = !!userSettings.useTrendForLoss;
+
+  const goalDateInput = document.getElementById("settingsGoalDate");
+  if (goalDateInput) goalDateInput.value = userSettings.goalDate || "";
+
+  const birthDateInput = document.getElementById("settingsBirthDate");
+  const sexSelect = document.getElementById("settingsSex");
+  const activityLevelSelect = document.getElementById("settingsActivityLevel");
+  const lossRateSelect = document.getElementById("settingsWeeklyLossRate");
+  if (birthDateInput) birthDateInput.value = userSettings.birthDate || "";
+  if (sexSelect) sexSelect.value = userSettings.sex || "";
+  if (activityLevelSelect) {
+    activityLevelSelect.value = userSettings.activityLevel || "";
+  }
+  if (lossRateSelect) {
+    lossRateSelect.value = String(userSettings.weeklyLossRateKg);
+  }
+
+  const waterTargetInput = document.getElementById("settingsWaterTarget");
+  const waterStreakInput = document.getElementById("settingsWaterInStreak");
+  if (waterTargetInput) waterTargetInput.value = userSettings.waterTargetMl;
+  if (waterStreakInput) waterStreakInput.checked = userSettings.waterInStreak;
+
+  const streakTypeSelect = document.getElementById("settingsStreakType");
+  const streakGraceSelect = document.getElementById("settingsStreakGrace");
+  if (streakTypeSelect) streakTypeSelect.value = userSettings.streakType;
+  if (streakGraceSelect) {
+    streakGraceSelect.value = String(userSettings.streakGrace);
+  }
+}
+
+// Height, goal weight, loss-rate options and unit labels of the settings
+// form in `system`. Also called when the unit select changes before
+// saving, so the typed values are converted instead of reinterpreted.
+function fillSettingsUnitFields(system, heightCm, goalWeightKg) {
+  const form = document.getElementById("settingsForm");
+  if (!form) return;
+  form.dataset.unitSystem = system;
+
+  document.getElementById("settingsHeightCm").value = lengthToInputValue(
+    heightCm,
+    "metric",
+  );
+  const feetInput = document.getElementById("settingsHeightFt");
+  const inchesInput = document.getElementById("settingsHeightIn");
+  if (feetInput && inchesInput) {
+    const imperial = heightCm ? cmToFeetInches(heightCm) : null;
+    feetInput.value = imperial ? imperial.feet : "";
+    inchesInput.value = imperial ? imperial.inches : "";
+  }
+
+  const goalWeightInput = document.getElementById("settingsGoalWeight");
+  if (goalWeightInput) {
+    goalWeightInput.value = weightToInputValue(goalWeightKg, system);
+    // Same 20-400 kg range as the metric input
+    goalWeightInput.min = Math.floor(kgToDisplay(20, system));
+    goalWeightInput.max = Math.ceil(kgToDisplay(400, system));
+  }
+
+  const lossRateSelect = document.getElementById("settingsWeeklyLossRate");
+  if (lossRateSelect) {
+    Array.from(lossRateSelect.options).forEach((option) => {
+      const kg = Number(option.value);
+      if (!kg) return;
+      const shown = Number(kgToDisplay(kg, system).toFixed(2));
+      option.textContent = t("settings.lossRateOption", {
+        amount: shown,
+        unit: getUnitLabel("weight", system),
+      });
+    });
+  }
+
+  refreshUnitLabels(form, system);
+}
+
+// Height in cm from the settings form as typed in `system` (null if empty)
+function readSettingsHeightCm(system) {
+  if (system === "imperial") {
+    const feet = document.getElementById("settingsHeightFt").value.trim();
+    const inches = document.getElementById("settingsHeightIn").value.trim();
+    if (feet === "" && inches === "") return null;
+    const totalInches = Number(feet) * INCHES_PER_FOOT + Number(inches);
+    return totalInches > 0
+      ? displayLengthToCm(totalInches, userSettings.heightCm, system)
+      : null;
+  }
+  const cm = Number(document.getElementById("settingsHeightCm").value);
+  return cm > 0 ? displayLengthToCm(cm, userSettings.heightCm, system) : null;
+}
+
+// Goal weight in kg from the settings form: null if empty, NaN if invalid
+function readSettingsGoalWeightKg(system) {
+  const raw = document.getElementById("settingsGoalWeight").value.trim();
+  if (raw === "") return null;
+  const value = parseFloat(raw);
+  if (isNaN(value) || value <= 0) return NaN;
+  return displayWeightToKg(value, userSettings.goalWeightKg, system);
+}
+
+// Options come from ACTIVITY_LEVELS; labels are relabeled on every call
+// so they follow the UI language
+function populateActivityLevelOptions() {
+  const select = document.getElementById("settingsActivityLevel");
+  if (!select) return;
+  if (select.options.length <= 1) {
+    ACTIVITY_LEVELS.forEach((level) => {
+      const option = document.createElement("option");
+      option.value = level.id;
+      select.appendChild(option);
+    });
+  }
+  Array.from(select.options).forEach((option) => {
+    if (option.value) option.textContent = t(`activityLevel.${option.value}`);
+  });
+}
+
+function openSettingsModal() {
+  populateActivityLevelOptions();
+  populateSettingsForm();
+  const modal = document.getElementById("settingsModal");
+  if (modal) modal.classList.remove("hidden");
+}
+
+function closeSettingsModal() {
+  const modal = document.getElementById("settingsModal");
+  if (modal) modal.classList.add("hidden");
+}
+
+// ----- METRICS CALCULATION -----
+
+// Latest known weight (kg). If limitDateStr is provided (YYYY-MM-DD),
+// only considers entries on or before that date.
+function getLatestWeightUpToDate(limitDateStr) {
+  const hasLimit = !!limitDateStr;
+  let latestEntry = null;
+
+  entries.forEach((entry) => {
+    if (typeof entry.weight !== "number" || isNaN(entry.weight)) return;
+    if (hasLimit && entry.date > limitDateStr) return;
+    if (!latestEntry || compareEntriesChronologically(entry, latestEntry) > 0) {
+      latestEntry = entry;
+    }
+  });
+
+  return latestEntry ? latestEntry.weight : null;
+}
+
+// One weight per day (the last weigh-in of that day), oldest -> newest.
+function getDailyWeights() {
+  const byDate = new Map();
+
+  [...entries].sort(compareEntriesChronologically).forEach((entry) => {
+    if (typeof entry.weight !== "number" || isNaN(entry.weight)) return;
+    byDate.set(entry.date, entry.weight);
+  });
+
+  return Array.from(byDate, ([date, weight]) => ({ date, weight }));
+}
+
+// MET value of the entry's activity in the catalog
+function getMetForActivity(entry) {
+  const activity = getActivityForEntry(entry);
+  return activity ? activity.met : DEFAULT_ACTIVITY_MET;
+}
+
+// Calories = MET * weight(kg) * (durationMinutes / 60)
+function calculateEntryCalories(entry) {
+  const duration =
+    typeof entry.durationMinutes === "number" && !isNaN(entry.durationMinutes)
+      ? entry.durationMinutes
+      : null;
+  if (!duration || duration <= 0) return null;
+
+  let weightToUse =
+    typeof entry.weight === "number" && !isNaN(entry.weight)
+      ? entry.weight
+      : getLatestWeightUpToDate(entry.date);
+
+  if (!weightToUse || isNaN(weightToUse) || weightToUse <= 0) return null;
+
+  const met = getMetForActivity(entry);
+  const calories = met * weightToUse * (duration / 60);
+  return calories > 0 ? calories : null;
+}
+
+// Total calories burned on a single day (YYYY-MM-DD)
+function calculateCaloriesBurnedOnDate(dateStr) {
+  let total = 0;
+  entries.forEach((entry) => {
+    if (entry.date !== dateStr) return;
+    const cals = calculateEntryCalories(entry);
+    if (typeof cals === "number" && !isNaN(cals)) {
+      total += cals;
+    }
+  });
+  return total;
+}
+
+// Total calories eaten on a single day (YYYY-MM-DD)
+function calculateIntakeOnDate(dateStr) {
+  return meals
+    .filter((m) => m.date === dateStr)
+    .reduce((sum, m) => sum + m.calories, 0);
+}
+
+function getMealTypeLabel(mealType) {
+  return MEAL_TYPES.some((type) => type.id === mealType)
+    ? t(`mealType.${mealType}`)
+    : mealType;
+}
+
+// Total calories burned in the last 7 days (including today)
+function calculateCaloriesThisWeek() {
+  if (!entries.length) return 0;
+
+  const today = dateFromYMD(getTodayDateString());
+  const sevenDaysAgo = new Date(today);
+  sevenDaysAgo.setDate(today.getDate() - 6);
+
+  let total = 0;
+
+  entries.forEach((entry) => {
+    const d = dateFromYMD(entry.date);
+    if (d < sevenDaysAgo || d > today) return;
+    const cals = calculateEntryCalories(entry);
+    if (typeof cals === "number" && !isNaN(cals)) {
+      total += cals;
+    }
+  });
+
+  return total;
+}
+
+function refreshDashboardSummary() {
+  const currentWeightElement = document.getElementById("currentWeightDisplay");
+  const totalLossElement = document.getElementById("totalLossDisplay");
+  const entriesWeekElement = document.getElementById("entriesWeekDisplay");
+  const streakElement = document.getElementById("streakDisplay");
+  const longestStreakElement = document.getElementById("longestStreakDisplay");
+  const caloriesWeekElement = document.getElementById("caloriesWeekDisplay");
+
+  if (
+    !currentWeightElement ||
+    !totalLossElement ||
+    !entriesWeekElement ||
+    !streakElement ||
+    !caloriesWeekElement
+  )
+    return;
+
+  const streakHintElement = document.getElementById("streakHint");
+  if (streakHintElement) {
+    streakHintElement.textContent = t(`streak.hint.${userSettings.streakType}`);
+  }
+
+  if (!entries.length) {
+    currentWeightElement.textContent = "—";
+    totalLossElement.textContent = "—";
+    entriesWeekElement.textContent = "0";
+    streakElement.textContent = "0";
+    if (longestStreakElement) longestStreakElement.textContent = "";
+    caloriesWeekElement.textContent = "0";
+    return;
+  }
+
+  // Use only entries with valid weight for weight metrics
+  const dailyWeights = getDailyWeights();
+
+  if (!dailyWeights.length) {
+    currentWeightElement.textContent = "—";
+    totalLossElement.textContent = "—";
+  } else {
+    const earliest = dailyWeights[0];
+    const latest = dailyWeights[dailyWeights.length - 1];
+
+    currentWeightElement.textContent = kgToDisplay(latest.weight).toFixed(1);
+
+    // Raw: first vs last weigh-in. Trend: first vs last smoothed value,
+    // so a single heavy/light day doesn't swing the figure.
+    let diff = earliest.weight - latest.weight;
+    if (userSettings.useTrendForLoss) {
+      const trend = calculateWeightTrend(dailyWeights);
+      diff = trend[0].trend - trend[trend.length - 1].trend;
+    }
+    totalLossElement.textContent = kgToDisplay(diff).toFixed(1);
+  }
+
+  const lossBasisEl = document.getElementById("totalLossBasisLabel");
+  if (lossBasisEl) {
+    lossBasisEl.textContent = userSettings.useTrendForLoss
+      ? t("dashboard.lossByTrend", { unit: getUnitLabel("weight") })
+      : getUnitLabel("weight");
+  }
+
+  // Entries this week (any log)
+  const today = dateFromYMD(getTodayDateString());
+  const sevenDaysAgo = new Date(today);
+  sevenDaysAgo.setDate(today.getDate() - 6);
+
+  const entriesThisWeek = entries.filter((entry) => {
+    const d = dateFromYMD(entry.date);
+    return d >= sevenDaysAgo && d <= today;
+  });
+  entriesWeekElement.textContent = entriesThisWeek.length.toString();
+
+  // Streak
+  const streak = calculateStreaks();
+  streakElement.textContent = String(streak.current);
+  if (longestStreakElement) {
+    longestStreakElement.textContent = t("dashboard.longestStreak", {
+      count: streak.longest,
+    });
+  }
+
+  // Calories this week
+  const caloriesWeek = calculateCaloriesThisWeek();
+  caloriesWeekElement.textContent = caloriesWeek.toFixed(0);
+}
+
+// Today's energy balance: calories eaten minus calories burned in activity
+function refreshEnergyBalance() {
+  const balanceEl = document.getElementById("energyBalanceDisplay");
+  const detailsEl = document.getElementById("energyBalanceDetails");
+  if (!balanceEl || !detailsEl) return;
+
+  const todayStr = getTodayDateString();
+  const intake = calculateIntakeOnDate(todayStr);
+  const burned = calculateCaloriesBurnedOnDate(todayStr);
+  const balance = intake - burned;
+
+  balanceEl.textContent = balance.toFixed(0);
+  detailsEl.textContent = t("dashboard.balanceDetails", {
+    intake: intake.toFixed(0),
+    burned: burned.toFixed(0),
+  });
+}
+
+// Full years between birthDate and dateStr (both YYYY-MM-DD)
+function calculateAgeOnDate(birthDate, dateStr) {
+  const [by, bm, bd] = birthDate.split("-").map(Number);
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+}
+
+// Mifflin-St Jeor basal metabolic rate (kcal/day)
+function calculateBmr(weightKg, heightCm, ageYears, sex) {
+  const base = 10 * weightKg + 6.25 * heightCm - 5 * ageYears;
+  return sex === "male" ? base + 5 : base - 161;
+}
+
+// Daily calorie budget from the profile and the latest weight up to dateStr.
+// Returns { missing: [labels] } when the profile is incomplete, otherwise
+// { weight, bmr, tdee, deficit, budget, floored }. `floored` is true when
+// the budget was raised to the safe minimum.
+function calculateDailyBudget(dateStr) {
+  const { birthDate, sex, heightCm, activityLevel, weeklyLossRateKg } =
+    userSettings;
+  const weight = getLatestWeightUpToDate(dateStr);
+  const level = ACTIVITY_LEVELS.find((l) => l.id === activityLevel);
+
+  const missing = [];
+  if (!weight) missing.push(t("budget.missing.weight"));
+  if (!heightCm) missing.push(t("budget.missing.height"));
+  if (!birthDate) missing.push(t("budget.missing.birthDate"));
+  if (!sex) missing.push(t("budget.missing.sex"));
+  if (!level) missing.push(t("budget.missing.activityLevel"));
+  if (missing.length) return { missing };
+
+  const age = calculateAgeOnDate(birthDate, dateStr);
+  const bmr = calculateBmr(weight, heightCm, age, sex);
+  const tdee = bmr * level.factor;
+  const deficit = (weeklyLossRateKg * KCAL_PER_KG) / 7;
+  const minimum = MIN_DAILY_BUDGET_KCAL[sex];
+  const budget = Math.max(tdee - deficit, minimum);
+
+  return {
+    weight,
+    bmr,
+    tdee,
+    deficit,
+    budget,
+    floored: tdee - deficit < minimum,
+  };
+}
+
+function refreshCalorieBudget() {
+  const budgetEl = document.getElementById("calorieBudgetDisplay");
+  const detailsEl = document.getElementById("calorieBudgetDetails");
+  const remainingEl = document.getElementById("calorieBudgetRemaining");
+  if (!budgetEl || !detailsEl || !remainingEl) return;
+
+  const todayStr = getTodayDateString();
+  const result = calculateDailyBudget(todayStr);
+  if (result.missing) {
+    budgetEl.textContent = "—";
+    detailsEl.textContent = t("budget.missing", {
+      fields: result.missing.join(", "),
+    });
+    remainingEl.textContent = "";
+    return;
+  }
+
+  budgetEl.textContent = t("unit.kcalAmount", {
+    amount: result.budget.toFixed(0),
+  });
+  detailsEl.textContent = t("budget.details", {
+    bmr: result.bmr.toFixed(0),
+    tdee: result.tdee.toFixed(0),
+    rate: formatWeight(userSettings.weeklyLossRateKg, 2),
+  });
+
+  const remaining = result.budget - calculateIntakeOnDate(todayStr);
+  remainingEl.textContent = result.floored
+    ? t("budget.floored")
+    : remaining >= 0
+      ? t("budget.remaining", { amount: remaining.toFixed(0) })
+      : t("budget.over", { amount: Math.abs(remaining).toFixed(0) });
+}
+
+// Days that count for a logging streak: any entry, plus (optionally) days
+// on which the water target was reached.
+function getStreakDates() {
+  const dates = new Set(entries.map((e) => e.date));
+  if (userSettings.waterInStreak) {
+    new Set(waterLogs.map((w) => w.date)).forEach((date) => {
+      if (calculateWaterOnDate(date) >= userSettings.waterTargetMl) {
+        dates.add(date);
+      }
+    });
+  }
+  return dates;
+}
+
+// Sunday of the week `ymd` falls in (weeks start on Sunday, like weighInDay)
+function getWeekStartYMD(ymd) {
+  return addDaysToYMD(ymd, -dateFromYMD(ymd).getDay());
+}
+
+// The streak's units for `type`: the days (or, for weigh-ins, the weeks by
+// their Sunday) that count, and the step from one unit to the next.
+function getStreakUnits(type) {
+  if (type === "weighIn") {
+    return {
+      units: new Set(getDailyWeights().map((w) => getWeekStartYMD(w.date))),
+      step: 7,
+      current: getWeekStartYMD(getTodayDateString()),
+    };
+  }
+  const units =
+    type === "activity"
+      ? new Set(entries.filter((e) => e.durationMinutes > 0).map((e) => e.date))
+      : getStreakDates();
+  return { units, step: 1, current: getTodayDateString() };
+}
+
+// Current and longest streak for userSettings.streakType.
+// Up to streakGrace missed units in a row don't break a streak (they just
+// don't add to it). The current unit (today / this week) is still open, so
+// not having logged it yet doesn't cost a grace unit.
+function calculateStreaks() {
+  const { units, step, current } = getStreakUnits(userSettings.streakType);
+  if (!units.size) return { current: 0, longest: 0 };
+
+  const grace = userSettings.streakGrace;
+  let run = 0;
+  let missed = 0;
+  let longest = 0;
+  let cursor = Array.from(units).sort()[0];
+  for (; cursor < current; cursor = addDaysToYMD(cursor, step)) {
+    if (units.has(cursor)) {
+      run++;
+      missed = 0;
+    } else if (++missed > grace) {
+      run = 0;
+    }
+    longest = Math.max(longest, run);
+  }
+
+  if (units.has(current)) run++;
+  return { current: run, longest: Math.max(longest, run) };
+}
+
+function calculateCurrentBmi() {
+  if (!entries.length) return null;
+  if (
+    !userSettings ||
+    typeof userSettings.heightCm !== "number" ||
+    isNaN(userSettings.heightCm) ||
+    userSettings.heightCm <= 0
+  ) {
+    return null;
+  }
+
+  const latestWeight = getLatestWeightUpToDate();
+  if (typeof latestWeight !== "number" || isNaN(latestWeight)) return null;
+
+  const heightM = userSettings.heightCm / 100;
+  const bmi = latestWeight / (heightM * heightM);
+
+  let category = "";
+  if (bmi < 18.5) category = t("bmi.underweight");
+  else if (bmi < 25) category = t("bmi.normal");
+  else if (bmi < 30) category = t("bmi.overweight");
+  else category = t("bmi.obese");
+
+  return { value: bmi, category };
+}
+
+function refreshBmiDisplay() {
+  const bmiValueEl = document.getElementById("bmiDisplay");
   const bmiCategoryEl = document.getElementById("bmiCategoryDisplay");
   const bmiCard = document.getElementById("bmiCard");
   if (!bmiValueEl || !bmiCategoryEl || !bmiCard) return;
 
+  refreshWaistToHeightDisplay();
   const result = calculateCurrentBmi();
 
   // Reset dynamic background
@@ -403,9 +1874,9 @@ function refreshBmiDisplay() {
       !isNaN(userSettings.heightCm) &&
       userSettings.heightCm > 0
     ) {
-      bmiCategoryEl.textContent = "הזן/י משקל לחישוב BMI";
+      bmiCategoryEl.textContent = t("bmi.needWeight");
     } else {
-      bmiCategoryEl.textContent = "הגדר/י גובה בהגדרות לחישוב BMI";
+      bmiCategoryEl.textContent = t("bmi.needHeight");
     }
     return;
   }
@@ -425,125 +1896,1857 @@ function refreshBmiDisplay() {
   }
 }
 
-// ----- HISTORY TABLE -----
+// ----- BODY MEASUREMENTS -----
+
+// One value per day for a measurement (the last one logged that day),
+// oldest -> newest.
+function getMeasurementSeries(measurementId) {
+  const byDate = new Map();
+  [...entries].sort(compareEntriesChronologically).forEach((entry) => {
+    const value = entry.measurements && entry.measurements[measurementId];
+    if (typeof value === "number") byDate.set(entry.date, value);
+  });
+  return Array.from(byDate, ([date, value]) => ({ date, value }));
+}
+
+function getLatestMeasurement(measurementId) {
+  const series = getMeasurementSeries(measurementId);
+  return series.length ? series[series.length - 1].value : null;
+}
+
+// Waist-to-height ratio; 0.5 and above signals abdominal fat risk
+function calculateWaistToHeightRatio() {
+  const waist = getLatestMeasurement("waistCm");
+  const heightCm = userSettings.heightCm;
+  if (!waist || !heightCm) return null;
+
+  const value = waist / heightCm;
+  let category;
+  if (value < 0.4) category = t("waistToHeight.low");
+  else if (value < 0.5) category = t("waistToHeight.normal");
+  else if (value < 0.6) category = t("waistToHeight.elevated");
+  else category = t("waistToHeight.high");
+  return { value, category };
+}
+
+function refreshWaistToHeightDisplay() {
+  const el = document.getElementById("waistToHeightDisplay");
+  if (!el) return;
+  const result = calculateWaistToHeightRatio();
+  el.textContent = result
+    ? t("waistToHeight.display", {
+        value: result.value.toFixed(2),
+        category: result.category,
+      })
+    : "";
+}
+
+// ----- TREND & FORECAST -----
+
+function daysBetween(fromYmd, toYmd) {
+  return Math.round(
+    (dateFromYMD(toYmd) - dateFromYMD(fromYmd)) / (1000 * 60 * 60 * 24),
+  );
+}
+
+function addDaysToYMD(ymd, days) {
+  const d = dateFromYMD(ymd);
+  d.setDate(d.getDate() + days);
+  return formatDateToYMD(d);
+}
+
+// Exponentially weighted moving average of the daily weights.
+// Gaps between weigh-ins decay the old trend as if every missing day
+// had been weighed at the new value: alpha_eff = 1 - (1 - alpha)^gapDays.
+function calculateWeightTrend(dailyWeights) {
+  const result = [];
+  let trend = null;
+  let prevDate = null;
+
+  dailyWeights.forEach(({ date, weight }) => {
+    if (trend === null) {
+      trend = weight;
+    } else {
+      const gap = Math.max(1, daysBetween(prevDate, date));
+      const alpha = 1 - Math.pow(1 - TREND_SMOOTHING_ALPHA, gap);
+      trend = trend + alpha * (weight - trend);
+    }
+    prevDate = date;
+    result.push({ date, trend });
+  });
+
+  return result;
+}
+
+// Two-sided 95% Student-t critical values for small samples (by df).
+function getTCritical95(df) {
+  const table = [
+    12.71, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201,
+    2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  ];
+  if (df < 1) return null;
+  if (df <= table.length) return table[df - 1];
+  return df <= 30 ? 2.05 : 1.96;
+}
+
+// Least-squares line over the last FORECAST_WINDOW_DAYS of weigh-ins,
+// projected weekly for FORECAST_WEEKS_AHEAD weeks with a 95% prediction
+// band. Returns null when there is not enough recent data to fit.
+function calculateWeightForecast(dailyWeights) {
+  if (!dailyWeights.length) return null;
+
+  const lastDate = dailyWeights[dailyWeights.length - 1].date;
+  const windowStart = addDaysToYMD(lastDate, -(FORECAST_WINDOW_DAYS - 1));
+  const points = dailyWeights
+    .filter((d) => d.date >= windowStart)
+    .map((d) => ({ x: daysBetween(windowStart, d.date), y: d.weight }));
+
+  const n = points.length;
+  if (n < 3) return null;
+
+  const meanX = points.reduce((s, p) => s + p.x, 0) / n;
+  const meanY = points.reduce((s, p) => s + p.y, 0) / n;
+  const sxx = points.reduce((s, p) => s + (p.x - meanX) ** 2, 0);
+  if (sxx === 0) return null;
+
+  const sxy = points.reduce((s, p) => s + (p.x - meanX) * (p.y - meanY), 0);
+  const slope = sxy / sxx; // kg per day
+  const intercept = meanY - slope * meanX;
+
+  const sse = points.reduce(
+    (s, p) => s + (p.y - (intercept + slope * p.x)) ** 2,
+    0,
+  );
+  const stdError = Math.sqrt(sse / (n - 2));
+  const t = getTCritical95(n - 2);
+
+  const lastX = daysBetween(windowStart, lastDate);
+  const projection = [];
+  for (let week = 0; week <= FORECAST_WEEKS_AHEAD; week++) {
+    const x = lastX + week * 7;
+    const value = intercept + slope * x;
+    const margin = t * stdError * Math.sqrt(1 + 1 / n + (x - meanX) ** 2 / sxx);
+    projection.push({
+      date: addDaysToYMD(lastDate, week * 7),
+      value,
+      lower: value - margin,
+      upper: value + margin,
+    });
+  }
+
+  return { weeklyRate: slope * 7, sampleSize: n, projection };
+}
+
+// ----- GOAL & MILESTONES -----
+
+// Remaining kg and required weekly pace towards the goal weight.
+// Returns null if no goal or no weight is known yet.
+function calculateGoalProgress() {
+  const goal = userSettings.goalWeightKg;
+  const current = getLatestWeightUpToDate();
+  if (!goal || typeof current !== "number" || isNaN(current)) return null;
+
+  const remainingKg = current - goal; // positive = still to lose
+  let weeksLeft = null;
+  let weeklyPace = null;
+
+  if (userSettings.goalDate) {
+    const today = dateFromYMD(getTodayDateString());
+    const target = dateFromYMD(userSettings.goalDate);
+    const daysLeft = Math.round((target - today) / (1000 * 60 * 60 * 24));
+    weeksLeft = daysLeft / 7;
+    if (daysLeft > 0) weeklyPace = remainingKg / weeksLeft;
+  }
+
+  return { goal, current, remainingKg, weeksLeft, weeklyPace };
+}
+
+// Weight at which BMI equals the given value, for the saved height.
+function getWeightForBmi(bmi) {
+  const heightCm = userSettings.heightCm;
+  if (typeof heightCm !== "number" || isNaN(heightCm) || heightCm <= 0) {
+    return null;
+  }
+  const heightM = heightCm / 100;
+  return bmi * heightM * heightM;
+}
+
+// All milestones between the starting weight and the goal direction:
+// every 5 kg from the start, the BMI category boundaries that
+// calculateCurrentBmi uses, and the goal itself. Step keys leave out the
+// starting weight, so backfilling an earlier weigh-in doesn't make the
+// steps already reached new again.
+function getMilestones() {
+  const dailyWeights = getDailyWeights();
+  if (!dailyWeights.length) return [];
+
+  const start = dailyWeights[0].weight;
+  const goal = userSettings.goalWeightKg;
+  const losing = !goal || goal < start;
+  const milestones = [];
+
+  for (let step = 5; step < 100; step += 5) {
+    const threshold = losing ? start - step : start + step;
+    if (goal && (losing ? threshold <= goal : threshold >= goal)) break;
+    if (threshold <= 0) break;
+    milestones.push({
+      key: `step-${losing ? "loss" : "gain"}-${step}`,
+      threshold,
+      label: t(losing ? "milestone.lost" : "milestone.gained", {
+        amount: formatWeight(step, 0),
+      }),
+    });
+  }
+
+  const bmiBoundaries = losing
+    ? [
+        { bmi: 30, label: t("milestone.belowObese") },
+        { bmi: 25, label: t("milestone.normalBmi") },
+      ]
+    : [{ bmi: 18.5, label: t("milestone.normalBmi") }];
+
+  bmiBoundaries.forEach((b) => {
+    const threshold = getWeightForBmi(b.bmi);
+    if (!threshold) return;
+    // Only boundaries we start on the other side of
+    if (losing ? start < threshold : start >= threshold) return;
+    milestones.push({ key: `bmi-${b.bmi}`, threshold, label: b.label });
+  });
+
+  if (goal) {
+    milestones.push({
+      key: `goal-${goal}`,
+      threshold: goal,
+      label: t("milestone.goal", { weight: formatWeight(goal) }),
+    });
+  }
+
+  return milestones.map((m) => ({ ...m, losing }));
+}
+
+function isMilestoneReached(milestone, weight) {
+  return milestone.losing
+    ? weight <= milestone.threshold
+    : weight >= milestone.threshold;
+}
+
+// Celebrate milestones reached for the first time (alert + notification),
+// and remember them so each one is celebrated only once.
+function checkMilestones() {
+  const current = getLatestWeightUpToDate();
+  if (typeof current !== "number" || isNaN(current)) return;
+
+  const celebrated = new Set(userSettings.celebratedMilestones || []);
+  const newlyReached = getMilestones().filter(
+    (m) => !celebrated.has(m.key) && isMilestoneReached(m, current),
+  );
+  if (!newlyReached.length) return;
+
+  newlyReached.forEach((m) => celebrated.add(m.key));
+  userSettings.celebratedMilestones = Array.from(celebrated);
+  saveSettings(userSettings);
+
+  const message = newlyReached.map((m) => m.label).join("\n");
+  if ("Notification" in window && Notification.permission === "granted") {
+    new Notification(t("milestone.notificationTitle"), {
+      body: message,
+      icon: "icon.png",
+    });
+  }
+  alert(`${t("milestone.alertTitle")}\n${message}`);
+}
+
+function refreshGoalDisplay() {
+  const remainingEl = document.getElementById("goalRemainingDisplay");
+  const paceEl = document.getElementById("goalPaceDisplay");
+  const milestonesEl = document.getElementById("goalMilestonesDisplay");
+  if (!remainingEl || !paceEl) return;
+
+  const progress = calculateGoalProgress();
+  if (!progress) {
+    remainingEl.textContent = "—";
+    paceEl.textContent = userSettings.goalWeightKg
+      ? t("goal.needWeight")
+      : t("goal.needGoal");
+    if (milestonesEl) milestonesEl.textContent = "";
+    return;
+  }
+
+  const { remainingKg, weeksLeft, weeklyPace } = progress;
+  const losing = progress.goal < progress.current;
+  remainingEl.textContent = kgToDisplay(Math.abs(remainingKg)).toFixed(1);
+
+  if (Math.abs(remainingKg) < 0.05) {
+    paceEl.textContent = t("goal.reached");
+  } else if (weeksLeft === null) {
+    paceEl.textContent = t(losing ? "goal.leftToLose" : "goal.leftToGain");
+  } else if (weeklyPace === null) {
+    paceEl.textContent = t("goal.datePassed");
+  } else {
+    paceEl.textContent = t("goal.pace", {
+      rate: formatWeight(Math.abs(weeklyPace), 2),
+      date: userSettings.goalDate,
+    });
+  }
+
+  if (milestonesEl) {
+    const celebrated = new Set(userSettings.celebratedMilestones || []);
+    const all = getMilestones();
+    const reached = all.filter((m) => celebrated.has(m.key)).length;
+    milestonesEl.textContent = all.length
+      ? t("goal.milestones", { reached, total: all.length })
+      : "";
+  }
+}
+
+// ----- ACHIEVEMENTS -----
+
+// Walking distance isn't logged; it is estimated from walking minutes
+const WALKING_KM_PER_HOUR = 5;
+
+// Badges (labels: achievement.<id>.title / .description). `unlockedOn`
+// returns the day the data first met the rule, or null. Taking the date
+// from the data rather than from when the check ran keeps unlock dates
+// right after restoring a backup or importing older records.
+const ACHIEVEMENTS = [
+  {
+    id: "firstLog",
+    icon: "fa-seedling",
+    unlockedOn: () =>
+      entries.reduce((min, e) => (!min || e.date < min ? e.date : min), null),
+  },
+  { id: "lost5kg", icon: "fa-weight-scale", unlockedOn: () => findLossDate(5) },
+  { id: "lost10kg", icon: "fa-medal", unlockedOn: () => findLossDate(10) },
+  {
+    id: "streak30",
+    icon: "fa-fire",
+    unlockedOn: () => findLoggingStreakDate(30),
+  },
+  {
+    id: "walked100km",
+    icon: "fa-person-walking",
+    unlockedOn: () => findWalkingDistanceDate(100),
+  },
+  {
+    id: "workoutMonth",
+    icon: "fa-dumbbell",
+    unlockedOn: () => findWorkoutWeeksDate(4, 3),
+  },
+];
+
+// Keep only well-formed { id: "YYYY-MM-DD" } pairs. Unknown ids are kept,
+// so a badge from a newer version survives a round trip.
+function normalizeAchievements(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const result = {};
+  Object.keys(value).forEach((id) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value[id])) result[id] = value[id];
+  });
+  return result;
+}
+
+// Restoring another device's settings must not lose (or re-announce) badges
+// unlocked here: keep every id, with the earlier date of the two.
+function mergeAchievements(incoming, local) {
+  const merged = { ...local };
+  Object.keys(incoming).forEach((id) => {
+    if (!merged[id] || incoming[id] < merged[id]) merged[id] = incoming[id];
+  });
+  return merged;
+}
+
+// First weigh-in at least `kg` below the first weigh-in ever
+function findLossDate(kg) {
+  const weights = getDailyWeights();
+  if (!weights.length) return null;
+  const start = weights[0].weight;
+  const reached = weights.find((w) => start - w.weight >= kg);
+  return reached ? reached.date : null;
+}
+
+// Day on which a streak of `days` logged days in a row was first reached
+// (strict: grace settings apply to the dashboard streak only)
+function findLoggingStreakDate(days) {
+  const dates = Array.from(getStreakDates()).sort();
+  let run = 0;
+  for (let i = 0; i < dates.length; i++) {
+    run = i > 0 && addDaysToYMD(dates[i - 1], 1) === dates[i] ? run + 1 : 1;
+    if (run >= days) return dates[i];
+  }
+  return null;
+}
+
+function findWalkingDistanceDate(km) {
+  const walks = entries
+    .filter((e) => {
+      const activity = getActivityForEntry(e);
+      return activity && activity.id === "walking" && e.durationMinutes > 0;
+    })
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  let minutes = 0;
+  for (const walk of walks) {
+    minutes += walk.durationMinutes;
+    if ((minutes / 60) * WALKING_KM_PER_HOUR >= km) return walk.date;
+  }
+  return null;
+}
+
+// Day of the `perWeek`-th workout in the last of `weeks` weeks in a row
+// (Sunday to Saturday) that each had at least `perWeek` workout days
+function findWorkoutWeeksDate(weeks, perWeek) {
+  const daysByWeek = new Map(); // week's Sunday -> workout days
+  const workoutDays = new Set(
+    entries.filter((e) => e.durationMinutes > 0).map((e) => e.date),
+  );
+  Array.from(workoutDays)
+    .sort()
+    .forEach((date) => {
+      const week = getWeekStartYMD(date);
+      if (!daysByWeek.has(week)) daysByWeek.set(week, []);
+      daysByWeek.get(week).push(date);
+    });
+
+  let run = 0;
+  let previousWeek = null;
+  for (const [week, days] of daysByWeek) {
+    if (days.length < perWeek) {
+      run = 0;
+      continue;
+    }
+    run =
+      run && previousWeek && addDaysToYMD(previousWeek, 7) === week
+        ? run + 1
+        : 1;
+    previousWeek = week;
+    if (run >= weeks) return days[perWeek - 1];
+  }
+  return null;
+}
+
+// Record newly met achievements and announce them like milestones
+// (notification + alert), unless `silent` (e.g. on startup).
+// A badge stays unlocked even if its records are deleted later; if the
+// data shows an earlier date (older records restored), that date wins.
+function checkAchievements({ silent = false } = {}) {
+  const unlocked = { ...userSettings.achievements };
+  const newlyUnlocked = [];
+  let changed = false;
+
+  ACHIEVEMENTS.forEach((achievement) => {
+    const date = achievement.unlockedOn();
+    if (!date) return;
+    const known = unlocked[achievement.id];
+    if (!known) newlyUnlocked.push(achievement);
+    if (!known || date < known) {
+      unlocked[achievement.id] = date;
+      changed = true;
+    }
+  });
+  if (!changed) return;
+
+  userSettings.achievements = unlocked;
+  saveSettings(userSettings);
+  refreshAchievements();
+  if (silent || !newlyUnlocked.length) return;
+
+  const message = newlyUnlocked
+    .map((a) => t(`achievement.${a.id}.title`))
+    .join("\n");
+  if ("Notification" in window && Notification.permission === "granted") {
+    new Notification(t("achievements.notificationTitle"), {
+      body: message,
+      icon: "icon.png",
+    });
+  }
+  alert(`${t("achievements.alertTitle")}\n${message}`);
+}
+
+function refreshAchievements() {
+  const list = document.getElementById("achievementsList");
+  const countEl = document.getElementById("achievementsCount");
+  if (!list) return;
+
+  const unlocked = userSettings.achievements || {};
+  const unlockedCount = ACHIEVEMENTS.filter((a) => unlocked[a.id]).length;
+  if (countEl) {
+    countEl.textContent = t("achievements.count", {
+      unlocked: unlockedCount,
+      total: ACHIEVEMENTS.length,
+    });
+  }
+
+  list.innerHTML = "";
+  ACHIEVEMENTS.forEach((achievement) => {
+    const date = unlocked[achievement.id];
+    const li = document.createElement("li");
+    li.className = `rounded-2xl border p-3 flex flex-col items-center text-center gap-1 ${
+      date ? "border-amber-200 bg-amber-50" : "border-slate-200 opacity-60"
+    }`;
+
+    const icon = document.createElement("i");
+    icon.className = `fa-solid ${date ? achievement.icon : "fa-lock"} text-xl ${
+      date ? "text-amber-500" : "text-slate-400"
+    }`;
+
+    const title = document.createElement("span");
+    title.className = "text-xs font-semibold text-slate-700";
+    title.textContent = t(`achievement.${achievement.id}.title`);
+
+    const description = document.createElement("span");
+    description.className = "text-[11px] text-slate-500";
+    description.textContent = t(`achievement.${achievement.id}.description`);
+
+    const status = document.createElement("span");
+    status.className = "text-[10px] text-slate-400";
+    status.textContent = date
+      ? t("achievements.unlockedOn", {
+          date: dateFromYMD(date).toLocaleDateString(DietI18n.getIntlLocale()),
+        })
+      : t("achievements.locked");
+
+    li.appendChild(icon);
+    li.appendChild(title);
+    li.appendChild(description);
+    li.appendChild(status);
+    list.appendChild(li);
+  });
+}
+
+// ----- REPORTS -----
+
+// Period shown in the reports view: "week" or "month", and how many
+// periods back from the current one (0 = current, -1 = previous, ...)
+let reportState = { kind: "week", offset: 0 };
+
+// Calendar week or month `offset` periods from today, as { start, end }
+// (YYYY-MM-DD, both inclusive). Weeks run Sunday to Saturday, the same
+// 0 = Sunday that weighInDay uses.
+function getReportPeriod(kind, offset) {
+  const today = dateFromYMD(getTodayDateString());
+  if (kind === "month") {
+    const first = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+    const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+    return { start: formatDateToYMD(first), end: formatDateToYMD(last) };
+  }
+  const sunday = new Date(today);
+  sunday.setDate(today.getDate() - today.getDay() + offset * 7);
+  const start = formatDateToYMD(sunday);
+  return { start, end: addDaysToYMD(start, 6) };
+}
+
+// Summary of one period: weight change (first to last weigh-in) and
+// average weight in kg (null without weigh-ins), days with activity,
+// minutes per activity and calories burned / eaten.
+function calculatePeriodReport({ start, end }) {
+  const inPeriod = (record) => record.date >= start && record.date <= end;
+  const weights = getDailyWeights().filter(inPeriod);
+  const periodEntries = entries.filter(inPeriod);
+
+  const activeDays = new Set();
+  const minutesByActivity = new Map(); // catalog id or free text -> row
+  let caloriesBurned = 0;
+  periodEntries.forEach((entry) => {
+    const cals = calculateEntryCalories(entry);
+    if (typeof cals === "number" && !isNaN(cals)) caloriesBurned += cals;
+    if (!entry.durationMinutes) return;
+
+    activeDays.add(entry.date);
+    const key = getEntryActivityKey(entry);
+    const row = minutesByActivity.get(key) || {
+      key,
+      label: getEntryActivityLabel(entry) || "—",
+      minutes: 0,
+    };
+    row.minutes += entry.durationMinutes;
+    minutesByActivity.set(key, row);
+  });
+
+  return {
+    weightChange:
+      weights.length >= 2
+        ? weights[weights.length - 1].weight - weights[0].weight
+        : null,
+    averageWeight: weights.length
+      ? weights.reduce((sum, w) => sum + w.weight, 0) / weights.length
+      : null,
+    activeDays: activeDays.size,
+    activityMinutes: Array.from(minutesByActivity.values()),
+    caloriesBurned,
+    caloriesEaten: meals
+      .filter(inPeriod)
+      .reduce((sum, m) => sum + m.calories, 0),
+  };
+}
+
+// "12–18 Oct 2026" for a week, "October 2026" for a month
+function formatReportPeriod(kind, { start, end }) {
+  const locale = DietI18n.getIntlLocale();
+  if (kind === "month") {
+    return dateFromYMD(start).toLocaleDateString(locale, {
+      month: "long",
+      year: "numeric",
+    });
+  }
+  const short = { day: "numeric", month: "short" };
+  return `${dateFromYMD(start).toLocaleDateString(locale, short)} – ${dateFromYMD(
+    end,
+  ).toLocaleDateString(locale, { ...short, year: "numeric" })}`;
+}
+
+// One comparison row: label, this period's value, and the previous
+// period's value with the difference. null values show as "—".
+function createReportRow(label, current, previous, format) {
+  const li = document.createElement("li");
+  li.className = "flex items-center justify-between gap-2 py-2";
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "text-slate-600";
+  labelEl.textContent = label;
+
+  const values = document.createElement("div");
+  values.className = "text-end";
+  const currentEl = document.createElement("span");
+  currentEl.className = "block font-semibold text-slate-800";
+  currentEl.textContent = current === null ? "—" : format(current);
+
+  const previousEl = document.createElement("span");
+  previousEl.className = "block text-[10px] text-slate-400";
+  const diff =
+    current !== null && previous !== null ? current - previous : null;
+  previousEl.textContent = t(
+    diff === null ? "reports.previous" : "reports.previousWithDiff",
+    {
+      value: previous === null ? "—" : format(previous),
+      diff: diff === null ? "" : `${diff > 0 ? "+" : ""}${format(diff)}`,
+    },
+  );
+
+  values.appendChild(currentEl);
+  values.appendChild(previousEl);
+  li.appendChild(labelEl);
+  li.appendChild(values);
+  return li;
+}
+
+function refreshReports() {
+  const labelEl = document.getElementById("reportPeriodLabel");
+  const summaryList = document.getElementById("reportSummaryList");
+  const activityList = document.getElementById("reportActivityList");
+  if (!labelEl || !summaryList || !activityList) return;
+
+  const { kind, offset } = reportState;
+  const period = getReportPeriod(kind, offset);
+  const report = calculatePeriodReport(period);
+  const previous = calculatePeriodReport(getReportPeriod(kind, offset - 1));
+
+  labelEl.textContent = formatReportPeriod(kind, period);
+  document.querySelectorAll(".report-kind-button").forEach((btn) => {
+    const active = btn.dataset.reportKind === kind;
+    btn.classList.toggle("bg-white", active);
+    btn.classList.toggle("shadow-sm", active);
+    btn.classList.toggle("font-semibold", active);
+  });
+
+  // Step back only as far as the oldest record; never into the future
+  const oldest = [...entries, ...meals].reduce(
+    (min, r) => (r.date < min ? r.date : min),
+    period.start,
+  );
+  document.getElementById("reportPrevButton").disabled = oldest >= period.start;
+  document.getElementById("reportNextButton").disabled = offset >= 0;
+
+  const weight = (kg) => formatWeight(kg);
+  const count = (n) => String(n);
+  const kcal = (n) => t("unit.kcalAmount", { amount: n.toFixed(0) });
+  summaryList.innerHTML = "";
+  [
+    [
+      t("reports.weightChange"),
+      report.weightChange,
+      previous.weightChange,
+      weight,
+    ],
+    [
+      t("reports.averageWeight"),
+      report.averageWeight,
+      previous.averageWeight,
+      weight,
+    ],
+    [t("reports.activeDays"), report.activeDays, previous.activeDays, count],
+    [
+      t("reports.caloriesBurned"),
+      report.caloriesBurned,
+      previous.caloriesBurned,
+      kcal,
+    ],
+    [
+      t("reports.caloriesEaten"),
+      report.caloriesEaten,
+      previous.caloriesEaten,
+      kcal,
+    ],
+  ].forEach(([label, current, prev, format]) =>
+    summaryList.appendChild(createReportRow(label, current, prev, format)),
+  );
+
+  // Activities of either period, so one that stopped still shows (as 0)
+  const minutes = (n) => t("reports.minutes", { minutes: n });
+  const rows = new Map();
+  previous.activityMinutes.forEach((row) =>
+    rows.set(row.key, { label: row.label, current: 0, previous: row.minutes }),
+  );
+  report.activityMinutes.forEach((row) =>
+    rows.set(row.key, {
+      label: row.label,
+      current: row.minutes,
+      previous: rows.has(row.key) ? rows.get(row.key).previous : 0,
+    }),
+  );
+  activityList.innerHTML = "";
+  if (!rows.size) {
+    activityList.innerHTML = `<li class="text-center py-2 text-slate-400 text-xs">${t("reports.noActivity")}</li>`;
+    return;
+  }
+  Array.from(rows.values())
+    .sort((a, b) => b.current - a.current || b.previous - a.previous)
+    .forEach((row) =>
+      activityList.appendChild(
+        createReportRow(row.label, row.current, row.previous, minutes),
+      ),
+    );
+}
+
+// ----- HISTORY TABLE -----
+
+const HISTORY_PAGE_SIZE = 25;
+
+// Filters, sort and page of the history table. from / to: YYYY-MM-DD
+// (inclusive, "" = open), activity: getEntryActivityKey ("" = all),
+// search: text in the notes, sortKey: "date" | "weight" | "calories".
+let historyState = {
+  from: "",
+  to: "",
+  activity: "",
+  search: "",
+  sortKey: "date",
+  sortDir: "desc",
+  page: 0,
+};
+
+function getHistoryFilteredEntries() {
+  const { from, to, activity } = historyState;
+  const search = historyState.search.trim().toLowerCase();
+  return entries.filter(
+    (e) =>
+      (!from || e.date >= from) &&
+      (!to || e.date <= to) &&
+      (!activity || getEntryActivityKey(e) === activity) &&
+      (!search || (e.notes || "").toLowerCase().includes(search)),
+  );
+}
+
+// Sort value of an entry for historyState.sortKey (null = none, last)
+function getHistorySortValue(entry) {
+  if (historyState.sortKey === "weight") {
+    return typeof entry.weight === "number" && !isNaN(entry.weight)
+      ? entry.weight
+      : null;
+  }
+  const cals = calculateEntryCalories(entry);
+  return typeof cals === "number" && !isNaN(cals) ? cals : null;
+}
+
+function sortHistoryEntries(list) {
+  const dir = historyState.sortDir === "asc" ? 1 : -1;
+  if (historyState.sortKey === "date") {
+    return [...list].sort((a, b) => dir * compareEntriesChronologically(a, b));
+  }
+  return [...list].sort((a, b) => {
+    const va = getHistorySortValue(a);
+    const vb = getHistorySortValue(b);
+    if (va === null || vb === null) {
+      if (va === vb) return compareEntriesChronologically(b, a);
+      return va === null ? 1 : -1;
+    }
+    return dir * (va - vb) || compareEntriesChronologically(b, a);
+  });
+}
+
+// Activity filter options: the activities that appear in the log
+function populateHistoryActivityFilter() {
+  const select = document.getElementById("historyActivityFilter");
+  if (!select) return;
+
+  const options = new Map();
+  entries.forEach((e) => {
+    const key = getEntryActivityKey(e);
+    if (!options.has(key)) {
+      options.set(key, getEntryActivityLabel(e) || t("history.noActivity"));
+    }
+  });
+  if (historyState.activity && !options.has(historyState.activity)) {
+    historyState.activity = "";
+  }
+
+  select.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = t("history.allActivities");
+  select.appendChild(all);
+  Array.from(options)
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .forEach(([key, label]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  select.value = historyState.activity;
+}
 
 function refreshHistoryTable() {
   const tbody = document.getElementById("historyTableBody");
   const countLabel = document.getElementById("historyCountLabel");
   if (!tbody) return;
 
+  populateHistoryActivityFilter();
+  document.querySelectorAll("[data-history-sort]").forEach((btn) => {
+    const active = btn.dataset.historySort === historyState.sortKey;
+    const icon = btn.querySelector("i");
+    if (icon) {
+      icon.className = `fa-solid ${
+        !active
+          ? "fa-sort text-slate-300"
+          : historyState.sortDir === "asc"
+            ? "fa-sort-up"
+            : "fa-sort-down"
+      } text-[10px]`;
+    }
+  });
+
   tbody.innerHTML = "";
 
   if (!entries.length) {
-    if (countLabel) countLabel.textContent = "אין רשומות";
-    tbody.innerHTML = `<tr><td colspan="6" class="text-center py-4 text-slate-400 text-xs">אין נתונים עדיין</td></tr>`;
+    if (countLabel) countLabel.textContent = t("history.noEntries");
+    tbody.innerHTML = `<tr><td colspan="6" class="text-center py-4 text-slate-400 text-xs">${t("history.empty")}</td></tr>`;
+    refreshHistoryPager(0);
     return;
   }
 
-  // Sort Descending (Newest first)
-  const sorted = [...entries].sort(
-    (a, b) => dateFromYMD(b.date) - dateFromYMD(a.date),
-  );
+  const filtered = sortHistoryEntries(getHistoryFilteredEntries());
+  const pageCount = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+  historyState.page = Math.min(historyState.page, pageCount - 1);
+  const start = historyState.page * HISTORY_PAGE_SIZE;
+
+  if (!filtered.length) {
+    tbody.innerHTML = `<tr><td colspan="6" class="text-center py-4 text-slate-400 text-xs">${t("history.noMatches")}</td></tr>`;
+  }
+  filtered
+    .slice(start, start + HISTORY_PAGE_SIZE)
+    .forEach((entry) => tbody.appendChild(createHistoryRow(entry)));
+  refreshHistoryPager(pageCount);
+
+  if (countLabel) {
+    countLabel.textContent =
+      filtered.length === entries.length
+        ? t("history.count", { count: entries.length })
+        : t("history.filteredCount", {
+            count: filtered.length,
+            total: entries.length,
+          });
+  }
+}
+
+function refreshHistoryPager(pageCount) {
+  const pager = document.getElementById("historyPager");
+  const label = document.getElementById("historyPageLabel");
+  if (!pager || !label) return;
+
+  pager.classList.toggle("hidden", pageCount <= 1);
+  label.textContent = t("history.page", {
+    page: historyState.page + 1,
+    pages: pageCount,
+  });
+  document.getElementById("historyPrevPage").disabled = historyState.page <= 0;
+  document.getElementById("historyNextPage").disabled =
+    historyState.page >= pageCount - 1;
+}
+
+function createHistoryRow(entry) {
+  const tr = document.createElement("tr");
+  tr.className = "hover:bg-slate-50 border-b border-slate-100 last:border-0";
+  tr.dataset.entryId = entry.id;
+
+  const dateTd = document.createElement("td");
+  dateTd.className = "py-3 px-3 text-start text-slate-700";
+  dateTd.textContent = entry.date;
+  const time = formatTimeFromIso(entry.createdAt);
+  if (time) {
+    const timeEl = document.createElement("span");
+    timeEl.className = "block text-[10px] text-slate-400";
+    timeEl.textContent = time;
+    dateTd.appendChild(timeEl);
+  }
+
+  const weightTd = document.createElement("td");
+  weightTd.className = "py-3 px-3 text-start font-medium text-slate-800";
+  if (typeof entry.weight === "number" && !isNaN(entry.weight)) {
+    weightTd.textContent = formatWeight(entry.weight);
+  } else {
+    weightTd.textContent = "—";
+  }
+  if (entry.measurements) {
+    const measurementsEl = document.createElement("span");
+    measurementsEl.className = "block text-[10px] font-normal text-slate-400";
+    measurementsEl.textContent = formatMeasurementsSummary(entry.measurements);
+    weightTd.appendChild(measurementsEl);
+  }
+
+  const activityTd = document.createElement("td");
+  activityTd.className = "py-3 px-3 text-start text-slate-500 text-sm";
+  activityTd.textContent = getEntryActivityLabel(entry) || "—";
+
+  const caloriesTd = document.createElement("td");
+  caloriesTd.className = "py-3 px-3 text-start text-slate-600 text-sm";
+  const cals = calculateEntryCalories(entry);
+  caloriesTd.textContent =
+    typeof cals === "number" && !isNaN(cals) ? `${cals.toFixed(0)}` : "—";
+
+  const notesTd = document.createElement("td");
+  notesTd.className = "py-3 px-3 text-start text-slate-500 text-sm";
+  const note = (entry.notes || "").trim();
+  if (note) {
+    const infoBtn = document.createElement("button");
+    infoBtn.className =
+      "text-sky-500 hover:text-sky-700 p-1 rounded-full hover:bg-sky-50";
+    infoBtn.innerHTML = '<i class="fa-solid fa-circle-info"></i>';
+    infoBtn.title = t("history.showNote");
+    infoBtn.onclick = () => {
+      alert(note);
+    };
+    notesTd.appendChild(infoBtn);
+  } else {
+    notesTd.textContent = "—";
+  }
+
+  const actionTd = document.createElement("td");
+  actionTd.className = "py-3 px-2 text-center whitespace-nowrap";
+
+  // Edit Button
+  const editBtn = document.createElement("button");
+  editBtn.className =
+    "text-sky-400 hover:text-sky-600 hover:bg-sky-50 p-2 rounded-full transition";
+  editBtn.innerHTML = '<i class="fa-solid fa-pen"></i>';
+  editBtn.title = t("history.edit");
+  editBtn.onclick = () => openEditEntryModal(entry.id);
+
+  // Delete Button
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className =
+    "text-rose-400 hover:text-rose-600 hover:bg-rose-50 p-2 rounded-full transition";
+  deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+  deleteBtn.title = t("history.delete");
+  deleteBtn.onclick = () => deleteEntry(entry.id);
+
+  actionTd.appendChild(editBtn);
+  actionTd.appendChild(deleteBtn);
+
+  tr.appendChild(dateTd);
+  tr.appendChild(weightTd);
+  tr.appendChild(activityTd);
+  tr.appendChild(caloriesTd);
+  tr.appendChild(notesTd);
+  tr.appendChild(actionTd);
+
+  return tr;
+}
+
+// Export the entries that match the filters (all pages, in the table's
+// sort) through the regular CSV export. Log entries only: the filters
+// (activity, notes) don't apply to meals, which the button says.
+function exportHistoryToCsv() {
+  const filtered = sortHistoryEntries(getHistoryFilteredEntries());
+  if (!filtered.length) {
+    alert(t("export.noData"));
+    return;
+  }
+  exportToCsv(filtered, [], "filtered", true);
+}
 
-  sorted.forEach((entry) => {
-    const tr = document.createElement("tr");
-    tr.className = "hover:bg-slate-50 border-b border-slate-100 last:border-0";
+function deleteEntry(entryId) {
+  const entryToDelete = entries.find((e) => e.id === entryId);
+  if (!entryToDelete) return;
 
-    const dateTd = document.createElement("td");
-    dateTd.className = "py-3 px-3 text-right text-slate-700";
-    dateTd.textContent = entry.date;
+  if (!confirm(t("history.confirmDelete", { date: entryToDelete.date }))) {
+    return;
+  }
+
+  // Filter out the exact entry (other entries of the same day stay)
+  entries = entries.filter((e) => e.id !== entryId);
+  removeEntry(entryId);
+  refreshAllUI();
+}
 
-    const weightTd = document.createElement("td");
-    weightTd.className = "py-3 px-3 text-right font-medium text-slate-800";
+// ----- CALENDAR HEATMAP -----
+
+// Last year of days, one column per week (Sunday on top), colored by
+// activity minutes or calories burned relative to the year's busiest day
+const HEATMAP_WEEKS = 53;
+// Level 0 (nothing logged), "logged" (entries, no activity), then 1-4
+const HEATMAP_EMPTY_CLASS = "bg-slate-100";
+const HEATMAP_LOGGED_CLASS = "bg-slate-300";
+const HEATMAP_LEVEL_CLASSES = [
+  "bg-emerald-200",
+  "bg-emerald-300",
+  "bg-emerald-500",
+  "bg-emerald-700",
+];
+
+// metric: "minutes" | "calories"; selectedDate: day whose entries are shown
+let heatmapState = { metric: "minutes", selectedDate: null };
+
+// date -> { minutes, calories, weighIn, count } for days with entries
+function getHeatmapDays(fromYmd) {
+  const days = new Map();
+  entries.forEach((entry) => {
+    if (entry.date < fromYmd) return;
+    const day = days.get(entry.date) || {
+      minutes: 0,
+      calories: 0,
+      weighIn: false,
+      count: 0,
+    };
+    day.count++;
+    day.minutes += entry.durationMinutes || 0;
+    const cals = calculateEntryCalories(entry);
+    if (typeof cals === "number" && !isNaN(cals)) day.calories += cals;
     if (typeof entry.weight === "number" && !isNaN(entry.weight)) {
-      weightTd.textContent = `${entry.weight.toFixed(1)} ק"ג`;
-    } else {
-      weightTd.textContent = "—";
+      day.weighIn = true;
+    }
+    days.set(entry.date, day);
+  });
+  return days;
+}
+
+function formatHeatmapValue(day) {
+  return heatmapState.metric === "calories"
+    ? t("unit.kcalAmount", { amount: day.calories.toFixed(0) })
+    : t("reports.minutes", { minutes: day.minutes });
+}
+
+function refreshHeatmap() {
+  const grid = document.getElementById("heatmapGrid");
+  if (!grid) return;
+
+  document.querySelectorAll(".heatmap-metric-button").forEach((btn) => {
+    const active = btn.dataset.heatmapMetric === heatmapState.metric;
+    btn.classList.toggle("bg-white", active);
+    btn.classList.toggle("shadow-sm", active);
+    btn.classList.toggle("font-semibold", active);
+  });
+
+  const today = getTodayDateString();
+  const start = addDaysToYMD(getWeekStartYMD(today), -7 * (HEATMAP_WEEKS - 1));
+  const days = getHeatmapDays(start);
+  const valueOf = (day) =>
+    heatmapState.metric === "calories" ? day.calories : day.minutes;
+  const max = Math.max(0, ...Array.from(days.values()).map(valueOf));
+
+  grid.innerHTML = "";
+  for (let date = start; date <= today; date = addDaysToYMD(date, 1)) {
+    const day = days.get(date);
+    const value = day ? valueOf(day) : 0;
+    let colorClass = HEATMAP_EMPTY_CLASS;
+    if (value > 0) {
+      const level = Math.ceil((value / max) * HEATMAP_LEVEL_CLASSES.length);
+      colorClass = HEATMAP_LEVEL_CLASSES[level - 1];
+    } else if (day) {
+      colorClass = HEATMAP_LOGGED_CLASS;
+    }
+
+    const cell = document.createElement("button");
+    cell.type = "button";
+    cell.className = `w-2.5 h-2.5 rounded-sm flex items-center justify-center ${colorClass}${
+      date === heatmapState.selectedDate ? " ring-1 ring-sky-500" : ""
+    }`;
+    cell.title = day ? `${date} · ${formatHeatmapValue(day)}` : date;
+    cell.setAttribute("aria-label", cell.title);
+    if (day && day.weighIn) {
+      cell.innerHTML =
+        '<span class="w-1 h-1 rounded-full bg-violet-600"></span>';
     }
+    cell.onclick = () => {
+      heatmapState.selectedDate = date;
+      refreshHeatmap();
+    };
+    grid.appendChild(cell);
+  }
+
+  // Newest weeks in view (the grid is laid out left to right)
+  const scroller = grid.parentElement;
+  if (scroller) scroller.scrollLeft = scroller.scrollWidth;
+
+  refreshHeatmapDay();
+}
+
+// Entries of the tapped day, with a shortcut to edit each one
+function refreshHeatmapDay() {
+  const box = document.getElementById("heatmapDayDetails");
+  const title = document.getElementById("heatmapDayTitle");
+  const list = document.getElementById("heatmapDayList");
+  if (!box || !title || !list) return;
+
+  const date = heatmapState.selectedDate;
+  box.classList.toggle("hidden", !date);
+  if (!date) return;
+
+  title.textContent = dateFromYMD(date).toLocaleDateString(
+    DietI18n.getIntlLocale(),
+    { weekday: "long", day: "numeric", month: "long", year: "numeric" },
+  );
+
+  const dayEntries = entries
+    .filter((e) => e.date === date)
+    .sort(compareEntriesChronologically);
+  list.innerHTML = "";
+  if (!dayEntries.length) {
+    list.innerHTML = `<li class="text-slate-400">${t("heatmap.noEntries")}</li>`;
+    return;
+  }
 
-    const activityTd = document.createElement("td");
-    activityTd.className = "py-3 px-3 text-right text-slate-500 text-sm";
-    activityTd.textContent = entry.activityType || "—";
+  dayEntries.forEach((entry) => {
+    const li = document.createElement("li");
+    li.className = "flex items-center justify-between gap-2 py-1.5";
 
-    const caloriesTd = document.createElement("td");
-    caloriesTd.className = "py-3 px-3 text-right text-slate-600 text-sm";
+    const parts = [];
+    const time = formatTimeFromIso(entry.createdAt);
+    if (time) parts.push(time);
+    if (typeof entry.weight === "number" && !isNaN(entry.weight)) {
+      parts.push(formatWeight(entry.weight));
+    }
+    const activity = getEntryActivityLabel(entry);
+    if (activity || entry.durationMinutes) {
+      parts.push(
+        `${activity || t("common.activity")} ${t("reports.minutes", {
+          minutes: entry.durationMinutes || 0,
+        })}`,
+      );
+    }
     const cals = calculateEntryCalories(entry);
-    caloriesTd.textContent =
-      typeof cals === "number" && !isNaN(cals) ? `${cals.toFixed(0)}` : "—";
-
-    const notesTd = document.createElement("td");
-    notesTd.className = "py-3 px-3 text-right text-slate-500 text-sm";
-    const note = (entry.notes || "").trim();
-    if (note) {
-      const infoBtn = document.createElement("button");
-      infoBtn.className =
-        "text-sky-500 hover:text-sky-700 p-1 rounded-full hover:bg-sky-50";
-      infoBtn.innerHTML = '<i class="fa-solid fa-circle-info"></i>';
-      infoBtn.title = "הצגת הערה";
-      infoBtn.onclick = () => {
-        alert(note);
-      };
-      notesTd.appendChild(infoBtn);
-    } else {
-      notesTd.textContent = "—";
+    if (typeof cals === "number" && cals > 0) {
+      parts.push(t("unit.kcalAmount", { amount: cals.toFixed(0) }));
     }
+    if ((entry.notes || "").trim()) parts.push(entry.notes.trim());
+
+    const text = document.createElement("span");
+    text.className = "text-slate-600";
+    text.textContent = parts.join(" · ");
+
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className =
+      "text-sky-400 hover:text-sky-600 hover:bg-sky-50 p-1.5 rounded-full transition";
+    editBtn.innerHTML = '<i class="fa-solid fa-pen text-[10px]"></i>';
+    editBtn.title = t("history.edit");
+    editBtn.onclick = () => openEditEntryModal(entry.id);
+
+    li.appendChild(text);
+    li.appendChild(editBtn);
+    list.appendChild(li);
+  });
+}
+
+// ----- EDIT ENTRY -----
+
+function openEditEntryModal(entryId) {
+  const entry = entries.find((e) => e.id === entryId);
+  const modal = document.getElementById("editEntryModal");
+  if (!entry || !modal) return;
+
+  // Same activity list as the quick entry form; keep the entry's own
+  // activity even if it is hidden, deleted or not in the catalog at all
+  // ("" = keep the entry's original activity name).
+  const activitySelect = document.getElementById("editActivityType");
+  const activity = getActivityForEntry(entry);
+  populateActivitySelect(activitySelect, activity);
+  if (!activity) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = entry.activityType || t("edit.noActivity");
+    activitySelect.appendChild(option);
+  }
+
+  document.getElementById("editEntryId").value = entry.id;
+  document.getElementById("editDateInput").value = entry.date;
+  document.getElementById("editWeightInput").value = weightToInputValue(
+    entry.weight,
+  );
+  activitySelect.value = activity ? activity.id : "";
+  document.getElementById("editDurationInput").value =
+    entry.durationMinutes || "";
+  document.getElementById("editNotesInput").value = entry.notes || "";
+  fillMeasurementInputs("editMeasurements", entry.measurements);
+
+  modal.classList.remove("hidden");
+}
+
+function closeEditEntryModal() {
+  const modal = document.getElementById("editEntryModal");
+  if (modal) modal.classList.add("hidden");
+}
+
+// Save the edit form back onto the same entry (same id and createdAt)
+function saveEditedEntry() {
+  const entryId = document.getElementById("editEntryId").value;
+  const index = entries.findIndex((e) => e.id === entryId);
+  if (index === -1) {
+    alert(t("edit.notFound"));
+    closeEditEntryModal();
+    return;
+  }
+
+  const dateVal = document.getElementById("editDateInput").value;
+  if (!dateVal) {
+    alert(t("entry.dateRequired"));
+    return;
+  }
+
+  const fields = validateEntryFields(
+    document.getElementById("editWeightInput").value.trim(),
+    document.getElementById("editDurationInput").value.trim(),
+    entries[index].weight,
+  );
+  if (fields.error) {
+    alert(fields.error);
+    return;
+  }
+  const measured = readMeasurementInputs(
+    "editMeasurements",
+    entries[index].measurements,
+  );
+  if (measured.error) {
+    alert(measured.error);
+    return;
+  }
+
+  const { measurements, ...entry } = entries[index];
+  const activity = getActivityById(
+    document.getElementById("editActivityType").value,
+  );
+
+  entries[index] = {
+    ...entry,
+    date: dateVal,
+    weight: fields.weight,
+    ...(measured.measurements ? { measurements: measured.measurements } : {}),
+    ...(activity
+      ? { activityId: activity.id, activityType: getActivityName(activity) }
+      : {}),
+    durationMinutes: fields.durationMinutes,
+    notes: document.getElementById("editNotesInput").value,
+    updatedAt: new Date().toISOString(),
+  };
+
+  saveEntry(entries[index]);
+  closeEditEntryModal();
+  refreshAllUI();
+  checkMilestones();
+  checkAchievements();
+}
+
+// ----- WATER TRACKER -----
+
+function calculateWaterOnDate(dateStr) {
+  return waterLogs
+    .filter((w) => w.date === dateStr)
+    .reduce((sum, w) => sum + w.amountMl, 0);
+}
+
+function addWater(amountMl) {
+  const log = {
+    id: generateEntryId(),
+    createdAt: new Date().toISOString(),
+    date: getTodayDateString(),
+    amountMl,
+  };
+  waterLogs.push(log);
+  saveWaterLog(log);
+  refreshAllUI();
+}
+
+// Remove today's most recent drink (fixes a mis-tap)
+function undoLastWater() {
+  const todayStr = getTodayDateString();
+  const last = waterLogs
+    .filter((w) => w.date === todayStr)
+    .sort(compareEntriesChronologically)
+    .pop();
+  if (!last) return;
+  waterLogs = waterLogs.filter((w) => w.id !== last.id);
+  removeWaterLog(last.id);
+  refreshAllUI();
+}
+
+function refreshWaterTracker() {
+  const todayEl = document.getElementById("waterTodayDisplay");
+  const progressEl = document.getElementById("waterProgressBar");
+  const historyEl = document.getElementById("waterHistory");
+  if (!todayEl || !progressEl || !historyEl) return;
+
+  const target = userSettings.waterTargetMl;
+  const todayStr = getTodayDateString();
+  const today = calculateWaterOnDate(todayStr);
+  todayEl.textContent = t("water.today", { amount: today, target });
+  progressEl.style.width = `${Math.min(100, (today / target) * 100)}%`;
+
+  // Last 7 days, oldest first; bar height = share of the target
+  historyEl.innerHTML = "";
+  for (let i = WATER_HISTORY_DAYS - 1; i >= 0; i--) {
+    const dateStr = addDaysToYMD(todayStr, -i);
+    const amount = calculateWaterOnDate(dateStr);
+    const ratio = Math.min(1, amount / target);
+
+    const col = document.createElement("div");
+    col.className = "flex-1 flex flex-col items-center";
+    col.title = t("water.day", { date: dateStr, amount });
+
+    const barBox = document.createElement("div");
+    barBox.className =
+      "w-full h-12 bg-slate-100 rounded-md flex items-end overflow-hidden";
+    const bar = document.createElement("div");
+    bar.className = `w-full ${ratio >= 1 ? "bg-sky-500" : "bg-sky-300"}`;
+    bar.style.height = `${ratio * 100}%`;
+    barBox.appendChild(bar);
+
+    const label = document.createElement("span");
+    label.className = "text-[10px] text-slate-400 mt-0.5";
+    label.textContent = dateFromYMD(dateStr).toLocaleDateString(
+      DietI18n.getIntlLocale(),
+      {
+        weekday: "narrow",
+      },
+    );
+
+    col.appendChild(barBox);
+    col.appendChild(label);
+    historyEl.appendChild(col);
+  }
+}
 
-    const actionTd = document.createElement("td");
-    actionTd.className = "py-3 px-2 text-center";
+// ----- SLEEP LOG -----
+
+// Minutes slept from bedtime to wake time ("23:30" -> "06:45" = 435)
+function calculateSleepMinutes(log) {
+  const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(":").map(Number);
+    return h * 60 + m;
+  };
+  const minutes = toMinutes(log.wakeTime) - toMinutes(log.bedtime);
+  return minutes > 0 ? minutes : minutes + 24 * 60;
+}
+
+function formatSleepDuration(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// One log per night: saving a date that already has one replaces it
+function saveSleepForDate(fields) {
+  const existing = sleepLogs.find((s) => s.date === fields.date);
+  const log = existing
+    ? { ...existing, ...fields }
+    : { id: generateEntryId(), createdAt: new Date().toISOString(), ...fields };
+
+  sleepLogs = [...sleepLogs.filter((s) => s.id !== log.id), log];
+  saveSleepLog(log);
+  refreshAllUI();
+}
+
+function deleteSleepLog(logId) {
+  const log = sleepLogs.find((s) => s.id === logId);
+  if (!log || !confirm(t("sleep.confirmDelete", { date: log.date }))) return;
+  sleepLogs = sleepLogs.filter((s) => s.id !== logId);
+  removeSleepLog(logId);
+  refreshAllUI();
+}
+
+// Compare the day after short nights with the day after long nights:
+// weight change to the next morning's weigh-in and activity minutes.
+// Returns { short, long } with { nights, weightChange, weightSamples,
+// activityMinutes } per group (averages, null without data).
+function calculateSleepInsights() {
+  const weightByDate = new Map(
+    getDailyWeights().map((w) => [w.date, w.weight]),
+  );
+
+  const summarize = (logs) => {
+    const weightChanges = [];
+    let activityTotal = 0;
+    logs.forEach((log) => {
+      const today = weightByDate.get(log.date);
+      const tomorrow = weightByDate.get(addDaysToYMD(log.date, 1));
+      if (today !== undefined && tomorrow !== undefined) {
+        weightChanges.push(tomorrow - today);
+      }
+      activityTotal += entries
+        .filter((e) => e.date === log.date)
+        .reduce((sum, e) => sum + (e.durationMinutes || 0), 0);
+    });
+
+    return {
+      nights: logs.length,
+      weightChange: weightChanges.length
+        ? weightChanges.reduce((a, b) => a + b, 0) / weightChanges.length
+        : null,
+      weightSamples: weightChanges.length,
+      activityMinutes: logs.length ? activityTotal / logs.length : null,
+    };
+  };
+
+  const isShort = (log) => calculateSleepMinutes(log) < SLEEP_SHORT_HOURS * 60;
+  return {
+    short: summarize(sleepLogs.filter(isShort)),
+    long: summarize(sleepLogs.filter((log) => !isShort(log))),
+  };
+}
+
+function refreshSleepLog() {
+  const list = document.getElementById("sleepList");
+  const insightsEl = document.getElementById("sleepInsights");
+  if (!list || !insightsEl) return;
+
+  const recent = [...sleepLogs]
+    .sort((a, b) => (a.date < b.date ? 1 : -1))
+    .slice(0, 7);
+
+  list.innerHTML = "";
+  if (!recent.length) {
+    list.innerHTML = `<li class="text-center py-2 text-slate-400 text-xs">${t("sleep.empty")}</li>`;
+  }
+  recent.forEach((log) => {
+    const li = document.createElement("li");
+    li.className =
+      "flex items-center justify-between py-1.5 text-xs text-slate-700";
+    li.dataset.sleepId = log.id;
+
+    const text = document.createElement("span");
+    text.textContent = t("sleep.logLine", {
+      date: log.date,
+      bedtime: log.bedtime,
+      wakeTime: log.wakeTime,
+      duration: formatSleepDuration(calculateSleepMinutes(log)),
+      quality: t(`sleepQuality.${log.quality}`),
+    });
 
-    // Delete Button
     const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
     deleteBtn.className =
-      "text-rose-400 hover:text-rose-600 hover:bg-rose-50 p-2 rounded-full transition";
+      "text-rose-400 hover:text-rose-600 hover:bg-rose-50 p-1 rounded-full transition";
     deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
-    deleteBtn.title = "מחק רשומה";
-    deleteBtn.onclick = () => deleteEntry(entry);
+    deleteBtn.title = t("common.delete");
+    deleteBtn.onclick = () => deleteSleepLog(log.id);
+
+    li.appendChild(text);
+    li.appendChild(deleteBtn);
+    list.appendChild(li);
+  });
+
+  // Insights
+  const { short, long } = calculateSleepInsights();
+  if (
+    short.nights < SLEEP_INSIGHTS_MIN_NIGHTS ||
+    long.nights < SLEEP_INSIGHTS_MIN_NIGHTS
+  ) {
+    insightsEl.textContent = t("sleep.insightsPending", {
+      nights: SLEEP_INSIGHTS_MIN_NIGHTS,
+      hours: SLEEP_SHORT_HOURS,
+    });
+    return;
+  }
+
+  const describe = (label, group) => {
+    const weightText =
+      group.weightChange === null
+        ? t("sleep.notEnoughWeighIns")
+        : t("sleep.weightChange", {
+            change: `${group.weightChange > 0 ? "+" : ""}${formatWeight(group.weightChange, 2)}`,
+            days: group.weightSamples,
+          });
+    return `<li>${t("sleep.insightLine", {
+      label: `<b>${label}</b>`,
+      nights: group.nights,
+      weight: weightText,
+      minutes: group.activityMinutes.toFixed(0),
+    })}</li>`;
+  };
+  insightsEl.innerHTML =
+    describe(t("sleep.afterShort", { hours: SLEEP_SHORT_HOURS }), short) +
+    describe(t("sleep.afterLong", { hours: SLEEP_SHORT_HOURS }), long);
+}
+
+// ----- MEAL LOG -----
+
+function refreshMealLog() {
+  const list = document.getElementById("mealList");
+  const totalEl = document.getElementById("mealDayTotal");
+  const dateInput = document.getElementById("mealDateInput");
+  if (!list) return;
+
+  const dateStr = (dateInput && dateInput.value) || getTodayDateString();
+  const dayMeals = meals
+    .filter((m) => m.date === dateStr)
+    .sort(compareEntriesChronologically);
+
+  list.innerHTML = "";
+
+  if (totalEl) {
+    totalEl.textContent = calculateIntakeOnDate(dateStr).toFixed(0);
+  }
+
+  if (!dayMeals.length) {
+    list.innerHTML = `<li class="text-center py-2 text-slate-400 text-xs">${t("meals.empty")}</li>`;
+    return;
+  }
+
+  MEAL_TYPES.forEach((type) => {
+    const ofType = dayMeals.filter((m) => m.mealType === type.id);
+    if (!ofType.length) return;
+
+    const heading = document.createElement("li");
+    heading.className = "pt-2 text-[11px] font-semibold text-slate-500";
+    const subtotal = ofType.reduce((sum, m) => sum + m.calories, 0);
+    heading.textContent = `${getMealTypeLabel(type.id)} · ${t(
+      "unit.kcalAmount",
+      {
+        amount: subtotal.toFixed(0),
+      },
+    )}`;
+    list.appendChild(heading);
+
+    ofType.forEach((meal) => {
+      const li = document.createElement("li");
+      li.className =
+        "flex items-center justify-between py-1.5 text-xs text-slate-700";
+      li.dataset.mealId = meal.id;
+
+      const nameSpan = document.createElement("span");
+      nameSpan.textContent = meal.name || "—";
+
+      const right = document.createElement("div");
+      right.className = "flex items-center gap-2";
+
+      const calSpan = document.createElement("span");
+      calSpan.className = "font-medium text-amber-700";
+      calSpan.textContent = meal.calories.toFixed(0);
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className =
+        "text-rose-400 hover:text-rose-600 hover:bg-rose-50 p-1 rounded-full transition";
+      deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+      deleteBtn.title = t("meals.delete");
+      deleteBtn.onclick = () => deleteMeal(meal.id);
+
+      right.appendChild(calSpan);
+      right.appendChild(deleteBtn);
+      li.appendChild(nameSpan);
+      li.appendChild(right);
+      list.appendChild(li);
+    });
+  });
+}
+
+function deleteMeal(mealId) {
+  const mealToDelete = meals.find((m) => m.id === mealId);
+  if (!mealToDelete) return;
+
+  const name = mealToDelete.name || t("meals.defaultName");
+  if (!confirm(t("meals.confirmDelete", { name }))) return;
+
+  meals = meals.filter((m) => m.id !== mealId);
+  removeMeal(mealId);
+  refreshAllUI();
+}
+
+// ----- CHART -----
+
+function initChart() {
+  const ctx = document.getElementById("weightChart");
+  if (!ctx) return;
+
+  weightChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      // Points are { x: day timestamp, y, date }; see refreshChart
+      datasets: [
+        {
+          id: "weight",
+          label: t("chart.weight"),
+          data: [],
+          borderColor: "#10b981", // Emerald 500
+          backgroundColor: "rgba(16, 185, 129, 0.1)",
+          borderWidth: 2,
+          tension: 0.3,
+          pointBackgroundColor: "#ffffff",
+          pointBorderColor: "#10b981",
+          pointRadius: 4,
+          fill: true,
+        },
+        {
+          id: "goal",
+          label: t("chart.goal"),
+          data: [],
+          borderColor: "#f43f5e", // Rose 500
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          id: "trend",
+          label: t("chart.trend"),
+          data: [],
+          borderColor: "#0ea5e9", // Sky 500
+          borderWidth: 2,
+          tension: 0.3,
+          pointRadius: 0,
+          spanGaps: true,
+          fill: false,
+        },
+        {
+          id: "forecastUpper",
+          label: t("chart.forecastUpper"),
+          data: [],
+          borderColor: "transparent",
+          backgroundColor: "rgba(139, 92, 246, 0.12)", // Violet 500
+          pointRadius: 0,
+          spanGaps: true,
+          fill: false,
+        },
+        {
+          id: "forecastLower",
+          label: t("chart.forecastLower"),
+          data: [],
+          borderColor: "transparent",
+          backgroundColor: "rgba(139, 92, 246, 0.12)",
+          pointRadius: 0,
+          spanGaps: true,
+          fill: "-1", // fill up to the upper band
+        },
+        {
+          id: "forecast",
+          label: t("chart.forecast"),
+          data: [],
+          borderColor: "#8b5cf6", // Violet 500
+          borderWidth: 1.5,
+          borderDash: [3, 3],
+          pointRadius: 0,
+          spanGaps: true,
+          fill: false,
+        },
+        {
+          id: "calories",
+          label: t("chart.calories"),
+          type: "bar",
+          yAxisID: "yCalories",
+          data: [],
+          backgroundColor: "rgba(245, 158, 11, 0.35)", // Amber 500
+          borderRadius: 2,
+          hidden: true,
+          order: 1, // behind the lines
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "nearest", axis: "x", intersect: false },
+      plugins: {
+        legend: {
+          display: true,
+          position: "bottom",
+          labels: {
+            boxWidth: 10,
+            font: { size: 10 },
+            // The band is two datasets; show neither in the legend. The
+            // calories bars only while they are switched on.
+            filter: (item, data) => {
+              const ds = data.datasets[item.datasetIndex];
+              if (ds.id === "calories") return !ds.hidden;
+              return (
+                !String(ds.id).startsWith("forecast") || ds.id === "forecast"
+              );
+            },
+          },
+        },
+        tooltip: {
+          callbacks: {
+            title: (items) =>
+              items.length ? formatChartDate(items[0].parsed.x, true) : "",
+            // The day's activity and notes under a weigh-in or calories point
+            afterBody: (items) => {
+              const item = items.find((i) =>
+                ["weight", "calories"].includes(i.dataset.id),
+              );
+              return item ? getChartDayDetails(item.raw.date) : [];
+            },
+          },
+        },
+      },
+      scales: {
+        // Time axis: x is the day's timestamp, ticks on days / months
+        x: {
+          type: "linear",
+          grid: { display: false },
+          afterBuildTicks: (scale) => {
+            scale.ticks = buildChartTimeTicks(scale.min, scale.max);
+          },
+          ticks: {
+            font: { size: 10 },
+            maxRotation: 0,
+            callback: (value, index, ticks) =>
+              formatChartTick(value, index > 0 ? ticks[index - 1].value : null),
+          },
+        },
+        y: { border: { dash: [4, 4] }, ticks: { font: { size: 10 } } },
+        yCalories: {
+          display: false,
+          position: "right",
+          beginAtZero: true,
+          grid: { drawOnChartArea: false },
+          ticks: { font: { size: 10 } },
+        },
+      },
+    },
+  });
+}
+
+// Weight chart range: preset id, and from / to (YYYY-MM-DD) for "custom"
+let chartRange = { preset: "all", from: "", to: "" };
+let chartShowCalories = false;
+
+// { from, to } of the chart ("" = open end)
+function getChartRange() {
+  if (chartRange.preset === "custom") {
+    return { from: chartRange.from, to: chartRange.to };
+  }
+  const preset = CHART_RANGE_PRESETS.find((p) => p.id === chartRange.preset);
+  return preset && preset.days
+    ? { from: addDaysToYMD(getTodayDateString(), 1 - preset.days), to: "" }
+    : { from: "", to: "" };
+}
+
+function chartX(ymd) {
+  return dateFromYMD(ymd).getTime();
+}
 
-    actionTd.appendChild(deleteBtn);
+// Ticks at midnight of whole days, or on month starts for longer ranges,
+// at most about CHART_MAX_TICKS of them
+function buildChartTimeTicks(min, max) {
+  const spanDays = (max - min) / DAY_MS;
+  const ticks = [];
+  const cursor = new Date(min);
+  cursor.setHours(0, 0, 0, 0);
+
+  if (spanDays > 75) {
+    const monthStep = Math.ceil(spanDays / 30 / CHART_MAX_TICKS);
+    cursor.setDate(1);
+    if (cursor.getTime() < min) cursor.setMonth(cursor.getMonth() + 1);
+    for (; cursor.getTime() <= max; cursor.setMonth(cursor.getMonth() + 1)) {
+      if (cursor.getMonth() % monthStep === 0) {
+        ticks.push({ value: cursor.getTime() });
+      }
+    }
+    return ticks;
+  }
 
-    tr.appendChild(dateTd);
-    tr.appendChild(weightTd);
-    tr.appendChild(activityTd);
-    tr.appendChild(caloriesTd);
-    tr.appendChild(notesTd);
-    tr.appendChild(actionTd);
+  const dayStep = Math.max(1, Math.ceil(spanDays / CHART_MAX_TICKS));
+  if (cursor.getTime() < min) cursor.setDate(cursor.getDate() + 1);
+  for (; cursor.getTime() <= max; cursor.setDate(cursor.getDate() + dayStep)) {
+    ticks.push({ value: cursor.getTime() });
+  }
+  return ticks;
+}
 
-    tbody.appendChild(tr);
+function formatChartDate(time, withYear) {
+  return new Date(time).toLocaleDateString(DietI18n.getIntlLocale(), {
+    day: "numeric",
+    month: "short",
+    ...(withYear ? { year: "numeric" } : {}),
   });
-
-  if (countLabel) countLabel.textContent = `${entries.length} רשומות`;
 }
 
-function deleteEntry(entryToDelete) {
-  if (!confirm("האם למחוק את הרשומה מתאריך " + entryToDelete.date + "?"))
-    return;
-
-  // Filter out the exact entry
-  entries = entries.filter((e) => e !== entryToDelete);
-  saveEntries(entries);
-  refreshAllUI();
+// Month-start ticks show the month, other ticks the day. The year is
+// added on the first tick and wherever it changes.
+function formatChartTick(value, previousValue) {
+  const date = new Date(value);
+  const withYear =
+    previousValue === null ||
+    new Date(previousValue).getFullYear() !== date.getFullYear();
+  if (
+    date.getDate() === 1 &&
+    (previousValue === null || value - previousValue > 20 * DAY_MS)
+  ) {
+    return date.toLocaleDateString(DietI18n.getIntlLocale(), {
+      month: "short",
+      ...(withYear ? { year: "numeric" } : {}),
+    });
+  }
+  return formatChartDate(value, withYear);
 }
 
-// ----- CHART -----
+// Tooltip lines for a day: each entry's activity and notes
+function getChartDayDetails(date) {
+  const lines = [];
+  entries
+    .filter((e) => e.date === date)
+    .sort(compareEntriesChronologically)
+    .forEach((entry) => {
+      const activity = getEntryActivityLabel(entry);
+      if (entry.durationMinutes) {
+        lines.push(
+          `${activity || t("common.activity")}: ${t("reports.minutes", {
+            minutes: entry.durationMinutes,
+          })}`,
+        );
+      } else if (activity) {
+        lines.push(activity);
+      }
+      const note = (entry.notes || "").trim();
+      if (note) lines.push(note.length > 60 ? `${note.slice(0, 60)}…` : note);
+    });
+  return lines;
+}
 
-function initChart() {
-  const ctx = document.getElementById("weightChart");
+function initMeasurementChart() {
+  const ctx = document.getElementById("measurementChart");
+  const select = document.getElementById("measurementChartSelect");
   if (!ctx) return;
 
-  weightChart = new Chart(ctx, {
+  if (select) {
+    BODY_MEASUREMENTS.forEach((m) => {
+      const option = document.createElement("option");
+      option.value = m.id;
+      option.textContent = getMeasurementLabel(m.id);
+      select.appendChild(option);
+    });
+    select.addEventListener("change", refreshMeasurementChart);
+  }
+
+  measurementChart = new Chart(ctx, {
     type: "line",
     data: {
       labels: [],
       datasets: [
         {
-          label: "משקל",
+          label: "",
           data: [],
-          borderColor: "#10b981", // Emerald 500
-          backgroundColor: "rgba(16, 185, 129, 0.1)",
+          borderColor: "#f59e0b", // Amber 500
+          backgroundColor: "rgba(245, 158, 11, 0.1)",
           borderWidth: 2,
           tension: 0.3,
           pointBackgroundColor: "#ffffff",
-          pointBorderColor: "#10b981",
+          pointBorderColor: "#f59e0b",
           pointRadius: 4,
           fill: true,
         },
@@ -561,49 +3764,218 @@ function initChart() {
   });
 }
 
+// History of the measurement picked in #measurementChartSelect
+function refreshMeasurementChart() {
+  if (!measurementChart) return;
+  const select = document.getElementById("measurementChartSelect");
+  const unitEl = document.getElementById("measurementChartUnit");
+  const emptyEl = document.getElementById("measurementChartEmpty");
+
+  const def =
+    BODY_MEASUREMENTS.find((m) => select && m.id === select.value) ||
+    BODY_MEASUREMENTS[0];
+  const series = getMeasurementSeries(def.id);
+
+  measurementChart.data.labels = series.map((p) => p.date.slice(5)); // MM-DD
+  measurementChart.data.datasets[0].label = getMeasurementLabel(def.id);
+  measurementChart.data.datasets[0].data = series.map((p) =>
+    def.unit === "%" ? p.value : Number(cmToDisplay(p.value).toFixed(2)),
+  );
+  measurementChart.update();
+
+  if (unitEl) unitEl.textContent = getMeasurementUnit(def);
+  if (emptyEl) emptyEl.classList.toggle("hidden", series.length > 0);
+}
+
+function initSleepChart() {
+  const ctx = document.getElementById("sleepChart");
+  if (!ctx) return;
+
+  sleepChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: [],
+      datasets: [
+        {
+          id: "sleepHours",
+          label: t("chart.sleepHours"),
+          data: [],
+          backgroundColor: [],
+          borderRadius: 4,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            afterLabel: (item) => item.dataset.qualityLabels[item.dataIndex],
+          },
+        },
+      },
+      scales: {
+        x: { grid: { display: false }, ticks: { font: { size: 10 } } },
+        y: {
+          beginAtZero: true,
+          suggestedMax: 10,
+          border: { dash: [4, 4] },
+          ticks: { font: { size: 10 } },
+        },
+      },
+    },
+  });
+}
+
+// Hours per night for the last nights; bar color follows the quality
+function refreshSleepChart() {
+  if (!sleepChart) return;
+  const nights = [...sleepLogs]
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .slice(-SLEEP_CHART_NIGHTS);
+  const qualityColors = [
+    "",
+    "#f43f5e", // Rose 500
+    "#fb923c", // Orange 400
+    "#facc15", // Yellow 400
+    "#38bdf8", // Sky 400
+    "#6366f1", // Indigo 500
+  ];
+
+  const dataset = sleepChart.data.datasets[0];
+  sleepChart.data.labels = nights.map((n) => n.date.slice(5)); // MM-DD
+  dataset.data = nights.map((n) =>
+    Number((calculateSleepMinutes(n) / 60).toFixed(2)),
+  );
+  dataset.backgroundColor = nights.map((n) => qualityColors[n.quality]);
+  dataset.qualityLabels = nights.map((n) =>
+    t("sleep.qualityTooltip", { quality: t(`sleepQuality.${n.quality}`) }),
+  );
+  sleepChart.update();
+}
+
+function getChartDataset(id) {
+  return weightChart.data.datasets.find((ds) => ds.id === id);
+}
+
 function refreshChart() {
   if (!weightChart) return;
 
-  // Only plot entries that have a valid weight
-  const entriesWithWeight = entries.filter(
-    (e) => typeof e.weight === "number" && !isNaN(e.weight),
-  );
+  refreshChartRangeControls();
+  const { from, to } = getChartRange();
+  const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+  const xScale = weightChart.options.scales.x;
+  // Up to the end of the last day, so its calories bar isn't cut in half
+  xScale.min = from ? chartX(from) : undefined;
+  xScale.max = to ? chartX(addDaysToYMD(to, 1)) - 1 : undefined;
 
-  if (!entriesWithWeight.length) {
-    weightChart.data.labels = [];
-    weightChart.data.datasets[0].data = [];
+  // Only plot days that have a valid weight (Oldest -> Newest)
+  const sorted = getDailyWeights();
+  const rateEl = document.getElementById("trendRateDisplay");
+
+  if (!sorted.length) {
+    weightChart.data.datasets.forEach((ds) => (ds.data = []));
     weightChart.update();
+    if (rateEl) rateEl.textContent = "";
     return;
   }
 
-  // Chart needs Oldest -> Newest
-  const sorted = [...entriesWithWeight].sort(
-    (a, b) => dateFromYMD(a.date) - dateFromYMD(b.date),
+  // Trend and forecast use every weigh-in; only the plotting is limited
+  const trend = calculateWeightTrend(sorted);
+  const forecast = calculateWeightForecast(sorted);
+  // Plotted in display units (the y axis follows the unit setting)
+  const toChart = (kg) => Number(kgToDisplay(kg).toFixed(2));
+  const point = (date, kg) => ({ x: chartX(date), y: toChart(kg), date });
+
+  getChartDataset("weight").data = sorted
+    .filter((e) => inRange(e.date))
+    .map((e) => point(e.date, e.weight));
+  getChartDataset("trend").data = trend
+    .filter((p) => inRange(p.date))
+    .map((p) => point(p.date, p.trend));
+
+  // The forecast starts at the last weigh-in and looks ahead from today,
+  // so it is left out of ranges that end in the past
+  const showForecast = forecast && (!to || to >= getTodayDateString());
+  const proj = showForecast ? forecast.projection : [];
+  getChartDataset("forecast").data = proj.map((p) => point(p.date, p.value));
+  getChartDataset("forecastUpper").data = proj.map((p) =>
+    point(p.date, p.upper),
+  );
+  getChartDataset("forecastLower").data = proj.map((p) =>
+    point(p.date, p.lower),
   );
 
-  weightChart.data.labels = sorted.map((e) => e.date.slice(5)); // Show only MM-DD
-  weightChart.data.datasets[0].data = sorted.map((e) => e.weight);
+  // Daily calories burned (second y axis)
+  const caloriesByDate = new Map();
+  entries.forEach((e) => {
+    const cals = calculateEntryCalories(e);
+    if (!inRange(e.date) || !(cals > 0)) return;
+    caloriesByDate.set(e.date, (caloriesByDate.get(e.date) || 0) + cals);
+  });
+  const caloriesDataset = getChartDataset("calories");
+  caloriesDataset.data = Array.from(caloriesByDate, ([date, cals]) => ({
+    x: chartX(date),
+    y: Math.round(cals),
+    date,
+  })).sort((a, b) => a.x - b.x);
+  caloriesDataset.hidden = !chartShowCalories;
+  weightChart.options.scales.yCalories.display = chartShowCalories;
+
+  // Goal line: flat line at the goal weight across the whole range
+  const goal = userSettings.goalWeightKg;
+  const plotted = weightChart.data.datasets
+    .filter((ds) => ds.id !== "goal" && !ds.hidden)
+    .flatMap((ds) => ds.data.map((p) => p.x));
+  const goalFrom = xScale.min !== undefined ? xScale.min : Math.min(...plotted);
+  const goalTo = xScale.max !== undefined ? xScale.max : Math.max(...plotted);
+  getChartDataset("goal").data =
+    goal && plotted.length
+      ? [
+          { x: goalFrom, y: toChart(goal) },
+          { x: goalTo, y: toChart(goal) },
+        ]
+      : [];
   weightChart.update();
+
+  if (rateEl) {
+    rateEl.textContent = forecast
+      ? t("chart.trendRate", {
+          rate: `${forecast.weeklyRate > 0 ? "+" : ""}${formatWeight(forecast.weeklyRate, 2)}`,
+          samples: forecast.sampleSize,
+          days: FORECAST_WINDOW_DAYS,
+        })
+      : "";
+  }
+}
+
+function refreshChartRangeControls() {
+  document.querySelectorAll("[data-chart-range]").forEach((btn) => {
+    const active = btn.dataset.chartRange === chartRange.preset;
+    btn.classList.toggle("bg-white", active);
+    btn.classList.toggle("shadow-sm", active);
+    btn.classList.toggle("font-semibold", active);
+  });
+  const custom = document.getElementById("chartCustomRange");
+  if (custom) custom.classList.toggle("hidden", chartRange.preset !== "custom");
+  const fromInput = document.getElementById("chartRangeFrom");
+  const toInput = document.getElementById("chartRangeTo");
+  if (fromInput) fromInput.value = chartRange.from;
+  if (toInput) toInput.value = chartRange.to;
+  const caloriesToggle = document.getElementById("chartShowCalories");
+  if (caloriesToggle) caloriesToggle.checked = chartShowCalories;
 }
 
 // ----- MOTIVATION & NOTIFICATIONS -----
 
 function getMotivationalQuotes() {
-  // Try to use external data.js if exists, else fallback
-  if (
-    typeof window.motivationalQuotes !== "undefined" &&
-    Array.isArray(window.motivationalQuotes)
-  ) {
-    return window.motivationalQuotes;
-  }
-  return [
-    "הצעד הראשון הוא תמיד הקשה ביותר.",
-    "התמדה היא המפתח להצלחה.",
-    "אל תוותר על מה שאתה רוצה ביותר בשביל מה שאתה רוצה עכשיו.",
-    "הגוף שלך מסוגל להכל. זה המוח שצריך שכנוע.",
-    "כל יום הוא הזדמנות חדשה.",
-    "תאמין בעצמך וביכולות שלך.",
-  ];
+  // Try to use external data.js if exists (in the UI language), else fallback
+  const byLocale = window.motivationalQuotesByLocale;
+  const quotes = byLocale && byLocale[DietI18n.getLocale()];
+  if (Array.isArray(quotes) && quotes.length) return quotes;
+  return [1, 2, 3, 4, 5, 6].map((n) => t(`motivation.fallback${n}`));
 }
 
 function refreshMotivation() {
@@ -617,44 +3989,221 @@ function refreshMotivation() {
   return random;
 }
 
-// Check for permission and send notifications
-async function checkAndSendNotifications() {
+// ----- REMINDERS -----
+
+// "HH:MM", or "" for no quiet hours; missing (older settings) = fallback
+function normalizeQuietHour(value, fallback) {
+  if (typeof value !== "string") return fallback;
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : "";
+}
+
+// Show the reminders that are due. With a service worker it decides and
+// shows them (the same check runs there on periodic sync, without the
+// page); otherwise the page does it from its own state.
+async function checkReminders() {
   if (!("Notification" in window)) return;
   if (Notification.permission !== "granted") return;
 
-  // 1. Daily Weigh-in Reminder
-  const todayStr = getTodayDateString();
-  if (!hasEntryOnDate(todayStr)) {
-    // Check if it's the specific weigh-in day
-    const todayDay = new Date().getDay(); // 0=Sun, 6=Sat
-    if (userSettings.weighInDay === todayDay) {
-      new Notification(
-        `היי ${userSettings.firstName || ""}, היום יום השקילה שלך!`,
-        {
-          body: "אל תשכח לעלות על המשקל ולעדכן.",
-          icon: "favicon.ico",
-        },
-      );
-    }
+  const controller =
+    "serviceWorker" in navigator && navigator.serviceWorker.controller;
+  if (controller) {
+    controller.postMessage({ type: "CHECK_REMINDERS" });
+    return;
   }
 
-  // 2. Missed Weigh-in (Yesterday)
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayDay = yesterday.getDay();
-  const yesterdayStr = formatDateToYMD(yesterday);
-
-  if (
-    userSettings.weighInDay === yesterdayDay &&
-    !hasEntryOnDate(yesterdayStr)
-  ) {
-    // Don't spam if they already logged today
-    if (!hasEntryOnDate(todayStr)) {
-      new Notification("פספסת שקילה אתמול", {
-        body: "לא נורא, אפשר להישקל ולעדכן גם היום!",
-      });
+  const today = getTodayDateString();
+  const onToday = (r) => r.date === today;
+  const day = {
+    entries: entries.filter(onToday),
+    meals: meals.filter(onToday),
+    water: waterLogs.filter(onToday),
+  };
+  const log = await DietStorage.getSetting(DietReminders.LOG_RECORD_KEY);
+  const shown = DietReminders.getShownIds(log, today);
+  const due = DietReminders.findDue(userSettings, day, new Date(), shown);
+
+  // Log only what was shown, as the service worker does
+  const delivered = due.filter((reminder) => {
+    const { title, body } = DietReminders.getMessage(
+      reminder,
+      day,
+      userSettings,
+    );
+    try {
+      new Notification(title, { body, icon: "icon.png" });
+      return true;
+    } catch (e) {
+      console.error("Failed to show reminder:", e);
+      return false;
     }
+  });
+  if (!delivered.length) return;
+
+  await persist(
+    DietStorage.setSetting(DietReminders.LOG_RECORD_KEY, {
+      date: today,
+      ids: shown.concat(delivered.map((r) => r.id)),
+    }),
+  );
+}
+
+// Check every minute while the page is open, and when it comes back
+function startReminderScheduler() {
+  checkReminders();
+  setInterval(checkReminders, REMINDER_CHECK_INTERVAL_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") checkReminders();
+  });
+}
+
+// Let the service worker wake up for reminders while the app is closed.
+// Periodic sync only exists in some browsers (installed PWA); elsewhere
+// reminders come while the page is open.
+function registerReminderSync(registration) {
+  if (!registration.periodicSync) return;
+  registration.periodicSync
+    .register(REMINDER_SYNC_TAG, {
+      minInterval: REMINDER_SYNC_MIN_INTERVAL_MS,
+    })
+    .catch((e) => console.warn("Periodic reminder sync unavailable:", e));
+}
+
+function getReminderById(reminderId) {
+  return userSettings.reminders.find((r) => r.id === reminderId);
+}
+
+function addReminder() {
+  const type = DietReminders.REMINDER_TYPES[0];
+  userSettings.reminders.push({
+    id: generateEntryId(),
+    type: type.id,
+    time: type.time,
+    days: [...DietReminders.ALL_DAYS],
+    enabled: true,
+  });
+  saveSettings(userSettings);
+  refreshReminderList();
+}
+
+function updateReminder(reminderId, changes) {
+  const reminder = getReminderById(reminderId);
+  if (!reminder) return;
+  Object.assign(reminder, changes);
+  saveSettings(userSettings);
+  refreshReminderList();
+}
+
+function deleteReminder(reminderId) {
+  userSettings.reminders = userSettings.reminders.filter(
+    (r) => r.id !== reminderId,
+  );
+  saveSettings(userSettings);
+  refreshReminderList();
+}
+
+function refreshReminderList() {
+  const quietStart = document.getElementById("quietHoursStart");
+  const quietEnd = document.getElementById("quietHoursEnd");
+  if (quietStart) quietStart.value = userSettings.quietHoursStart;
+  if (quietEnd) quietEnd.value = userSettings.quietHoursEnd;
+
+  const list = document.getElementById("reminderList");
+  if (!list) return;
+  list.innerHTML = "";
+  if (!userSettings.reminders.length) {
+    list.innerHTML = `<li class="text-center py-2 text-slate-400 text-xs">${t("reminders.none")}</li>`;
+    return;
   }
+
+  userSettings.reminders.forEach((reminder) => {
+    const li = document.createElement("li");
+    li.className = `rounded-xl border border-slate-200 p-2 space-y-2 text-xs${
+      reminder.enabled ? "" : " opacity-50"
+    }`;
+
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-2";
+
+    const typeSelect = document.createElement("select");
+    typeSelect.className =
+      "flex-1 min-w-0 rounded-xl border border-slate-200 px-1 py-1.5 bg-slate-50";
+    typeSelect.setAttribute("aria-label", t("reminders.type"));
+    DietReminders.REMINDER_TYPES.forEach((type) => {
+      const option = document.createElement("option");
+      option.value = type.id;
+      option.textContent = t(`reminders.type.${type.id}`);
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = reminder.type;
+    typeSelect.onchange = () =>
+      updateReminder(reminder.id, { type: typeSelect.value });
+
+    const timeInput = document.createElement("input");
+    timeInput.type = "time";
+    timeInput.value = reminder.time;
+    timeInput.className =
+      "rounded-xl border border-slate-200 px-2 py-1.5 bg-slate-50";
+    timeInput.setAttribute("aria-label", t("reminders.time"));
+    timeInput.onchange = () => {
+      if (timeInput.value)
+        updateReminder(reminder.id, { time: timeInput.value });
+    };
+
+    const toggleBtn = document.createElement("button");
+    toggleBtn.type = "button";
+    toggleBtn.className =
+      "w-7 h-7 rounded-full flex items-center justify-center text-slate-400 hover:bg-slate-100";
+    toggleBtn.setAttribute(
+      "aria-label",
+      t(reminder.enabled ? "reminders.disable" : "reminders.enable"),
+    );
+    toggleBtn.innerHTML = `<i class="fa-regular ${
+      reminder.enabled ? "fa-bell" : "fa-bell-slash"
+    } text-xs"></i>`;
+    toggleBtn.onclick = () =>
+      updateReminder(reminder.id, { enabled: !reminder.enabled });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className =
+      "w-7 h-7 rounded-full flex items-center justify-center text-rose-400 hover:bg-rose-50";
+    deleteBtn.setAttribute("aria-label", t("reminders.delete"));
+    deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can text-xs"></i>';
+    deleteBtn.onclick = () => deleteReminder(reminder.id);
+
+    row.appendChild(typeSelect);
+    row.appendChild(timeInput);
+    row.appendChild(toggleBtn);
+    row.appendChild(deleteBtn);
+
+    // Day toggles, Sunday first
+    const days = document.createElement("div");
+    days.className = "flex gap-1";
+    DietReminders.ALL_DAYS.forEach((d) => {
+      const on = reminder.days.includes(d);
+      const dayBtn = document.createElement("button");
+      dayBtn.type = "button";
+      dayBtn.className = `flex-1 rounded-lg py-1 ${
+        on ? "bg-emerald-500 text-white" : "bg-slate-100 text-slate-500"
+      }`;
+      dayBtn.textContent = dateFromYMD(
+        addDaysToYMD("2023-01-01", d), // a Sunday
+      ).toLocaleDateString(DietI18n.getIntlLocale(), { weekday: "narrow" });
+      dayBtn.title = t(`weekday.${d}`);
+      dayBtn.setAttribute("aria-pressed", String(on));
+      dayBtn.onclick = () =>
+        updateReminder(reminder.id, {
+          days: on
+            ? reminder.days.filter((x) => x !== d)
+            : [...reminder.days, d].sort((a, b) => a - b),
+        });
+      days.appendChild(dayBtn);
+    });
+
+    li.appendChild(row);
+    li.appendChild(days);
+    list.appendChild(li);
+  });
 }
 
 function updateNotificationsStatus() {
@@ -662,18 +4211,18 @@ function updateNotificationsStatus() {
   if (!el) return;
 
   if (!("Notification" in window)) {
-    el.textContent = "דפדפן זה לא תומך בהתראות";
+    el.textContent = t("notify.unsupported");
     return;
   }
 
   if (Notification.permission === "granted") {
-    el.textContent = "התראות פעילות ✅";
+    el.textContent = t("notify.granted");
     el.className = "text-xs text-emerald-600 mt-1";
   } else if (Notification.permission === "denied") {
-    el.textContent = "התראות חסומות ❌";
+    el.textContent = t("notify.denied");
     el.className = "text-xs text-rose-500 mt-1";
   } else {
-    el.textContent = "לחץ להפעלת התראות";
+    el.textContent = t("notify.prompt");
   }
 }
 
@@ -692,7 +4241,7 @@ async function smartExport(blob, fileName, title) {
         await navigator.share({
           files: [file],
           title: title,
-          text: "הנה קובץ הנתונים שלך",
+          text: t("export.shareText"),
         });
         return; // הצליח! עוצרים כאן.
       } catch (shareError) {
@@ -733,208 +4282,1137 @@ async function smartExport(blob, fileName, title) {
       }
     };
 
-    // טיפול בשגיאות קריאה של הקובץ עצמו
-    reader.onerror = function () {
-      fallbackToClipboard(blob);
-    };
+    // טיפול בשגיאות קריאה של הקובץ עצמו
+    reader.onerror = function () {
+      fallbackToClipboard(blob);
+    };
+
+    reader.readAsDataURL(blob);
+  } catch (globalError) {
+    // --- נסיון 3 (רשת ביטחון): העתקה ללוח ---
+    console.error("Critical error, falling back to clipboard", globalError);
+    fallbackToClipboard(blob);
+  }
+}
+
+// פונקציית העזר למקרה חירום (העתקה + הוראות)
+async function fallbackToClipboard(blob) {
+  try {
+    const textData = await blob.text();
+    await navigator.clipboard.writeText(textData);
+
+    alert(t("export.copiedInstead"));
+  } catch (err) {
+    alert(t("export.clipboardBlocked"));
+  }
+}
+
+// Full backup object in the current format (see backup.js)
+function buildFullBackup() {
+  const profile = getActiveProfile();
+  return DietBackup.build({
+    profile: { id: profile.id, name: getProfileName(profile) },
+    userSettings,
+    logs: entries,
+    meals,
+    water: waterLogs,
+    sleep: sleepLogs,
+  });
+}
+
+// Export Full JSON (Settings + Logs + Meals)
+async function exportFullBackupJson() {
+  const data = buildFullBackup();
+
+  const jsonStr = JSON.stringify(data, null, 2);
+  const blob = new Blob([jsonStr], { type: "application/json" });
+  const profileName = getProfileName(getActiveProfile()).replace(/\s+/g, "_");
+  const fileName = `${t("backup.filePrefix")}_${profileName}_${getFormattedDateForFile()}.json`; // <-- תוקן
+  await smartExport(blob, fileName, t("backup.shareTitle"));
+}
+
+// ----- CSV (EXPORT & IMPORT) -----
+
+// Column layout shared by the CSV export and import. A row is either a log
+// (weight / activity / notes) or a meal (meal / food / intake). On import,
+// headers are matched by `header` or any alias (case-insensitive), so
+// hand-edited sheets still map; the import dialog can override the guess.
+// Weight and length columns exist per unit system (`unit`): the export
+// writes the user's units, the import accepts either. `key` tells such
+// variants apart in the mapping (defaults to `field`).
+// Headers are always English; the import dialog shows getCsvColumnLabel.
+const CSV_COLUMNS = [
+  { field: "date", header: "Date", aliases: ["תאריך", "day"] },
+  {
+    field: "weight",
+    unit: "metric",
+    header: "Weight (kg)",
+    aliases: ["weight", "kg", "משקל", 'משקל (ק"ג)'],
+  },
+  {
+    key: "weightLb",
+    field: "weight",
+    unit: "imperial",
+    header: "Weight (lb)",
+    aliases: ["lb", "lbs", "pounds", "weight (lbs)", "משקל (lb)"],
+  },
+  {
+    field: "activityType",
+    header: "Activity",
+    aliases: ["activity type", "פעילות", "סוג פעילות"],
+  },
+  {
+    field: "durationMinutes",
+    header: "Duration (min)",
+    aliases: ["duration", "minutes", "min", "משך", "דקות"],
+  },
+  {
+    // Computed from MET x weight x duration: exported, never imported
+    field: "caloriesBurned",
+    header: "Calories",
+    aliases: ["calories burned", "קלוריות"],
+    exportOnly: true,
+  },
+  {
+    field: "notes",
+    header: "Notes",
+    aliases: ["note", "הערות", "הערה"],
+  },
+  ...BODY_MEASUREMENTS.flatMap((m) => {
+    // The measurement's name in every language is accepted too
+    const names = DietI18n.translateAll(`measurement.${m.id}`);
+    const column = {
+      field: m.id,
+      header: m.csvHeader,
+      aliases: [...names, m.csvHeader.replace(/ \(.*\)$/, "")],
+    };
+    if (m.unit === "%") return [column];
+    return [
+      { ...column, unit: "metric" },
+      {
+        key: m.id.replace(/Cm$/, "In"),
+        field: m.id,
+        unit: "imperial",
+        header: m.csvHeader.replace("(cm)", "(in)"),
+        aliases: names.map((name) => `${name} (in)`),
+      },
+    ];
+  }),
+  {
+    field: "mealType",
+    header: "Meal",
+    aliases: ["meal type", "ארוחה", "סוג ארוחה"],
+  },
+  {
+    field: "foodName",
+    header: "Food",
+    aliases: ["food name", "item", "מאכל", "מזון"],
+  },
+  {
+    field: "intake",
+    header: "Intake (kcal)",
+    aliases: ["intake", "kcal", "צריכה"],
+  },
+  { field: "id", header: "ID", aliases: ["מזהה"] },
+  {
+    field: "createdAt",
+    header: "Created At",
+    aliases: ["created", "createdat", "נוצר"],
+  },
+];
+
+function getCsvColumnKey(column) {
+  return column.key || column.field;
+}
+
+// Name of a column in the import dialog, in the UI language
+function getCsvColumnLabel(column) {
+  if (BODY_MEASUREMENTS.some((m) => m.id === column.field)) {
+    const name = getMeasurementLabel(column.field);
+    return column.unit
+      ? `${name} (${getUnitLabel("length", column.unit)})`
+      : name;
+  }
+  return t(`csv.column.${getCsvColumnKey(column)}`);
+}
+
+// Columns of an export: unit-specific ones only in the user's units
+function getCsvExportColumns() {
+  const system = getUnitSystem();
+  return CSV_COLUMNS.filter((c) => !c.unit || c.unit === system);
+}
+
+// Weights and lengths in export units, not rounded for display: 4 decimals
+// keep kg / cm exact in metric and well under a gram off in imperial
+function toCsvNumber(value) {
+  return typeof value === "number" && !isNaN(value)
+    ? String(Number(value.toFixed(4)))
+    : "";
+}
+
+// Header + one row per log + one row per meal (oldest first, or logs in
+// the given order if `keepOrder`)
+function buildCsvRows(logs = entries, mealList = meals, keepOrder = false) {
+  const columns = getCsvExportColumns();
+  const blankRow = () => columns.map(() => "");
+  const col = (field) => columns.findIndex((c) => c.field === field);
+
+  const orderedLogs = keepOrder
+    ? logs
+    : [...logs].sort(compareEntriesChronologically);
+  const logRows = orderedLogs.map((e) => {
+    const row = blankRow();
+    const cals = calculateEntryCalories(e);
+    row[col("date")] = e.date;
+    row[col("weight")] = toCsvNumber(kgToDisplay(e.weight));
+    row[col("activityType")] = getEntryActivityLabel(e);
+    row[col("durationMinutes")] = e.durationMinutes || "";
+    row[col("caloriesBurned")] =
+      typeof cals === "number" && !isNaN(cals) ? cals.toFixed(0) : "";
+    row[col("notes")] = e.notes || "";
+    BODY_MEASUREMENTS.forEach((m) => {
+      const value = e.measurements && e.measurements[m.id];
+      if (!value) row[col(m.id)] = "";
+      else if (m.unit === "%") row[col(m.id)] = value;
+      else row[col(m.id)] = toCsvNumber(cmToDisplay(value));
+    });
+    row[col("id")] = e.id;
+    row[col("createdAt")] = e.createdAt || "";
+    return row;
+  });
+
+  const mealRows = [...mealList]
+    .sort(compareEntriesChronologically)
+    .map((m) => {
+      const row = blankRow();
+      row[col("date")] = m.date;
+      row[col("mealType")] = getMealTypeLabel(m.mealType);
+      row[col("foodName")] = m.name || "";
+      row[col("intake")] = m.calories;
+      row[col("id")] = m.id;
+      row[col("createdAt")] = m.createdAt || "";
+      return row;
+    });
+
+  return [columns.map((c) => c.header), ...logRows, ...mealRows];
+}
+
+// Export CSV (Logs + Meals). `fileTag` marks a partial export in the
+// file name; `keepOrder` as in buildCsvRows.
+async function exportToCsv(
+  logs = entries,
+  mealList = meals,
+  fileTag = "",
+  keepOrder = false,
+) {
+  if (!logs.length && !mealList.length) {
+    alert(t("export.noData"));
+    return;
+  }
+
+  // Add BOM for Hebrew Excel
+  const rows = buildCsvRows(logs, mealList, keepOrder);
+  const csvContent = DietCsv.stringify(rows, { withBom: true });
+  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+  const fileName = `DietTracker_Log_${fileTag ? `${fileTag}_` : ""}${getTodayDateString()}.csv`;
+
+  // הקריאה לפונקציה החכמה שתפתח את תפריט השיתוף בטלפון
+  await smartExport(blob, fileName, t("csv.shareTitle"));
+}
+
+function normalizeCsvHeader(text) {
+  return String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+// Best guess of the column key behind each CSV header ("" = ignore)
+function guessCsvColumnMapping(headers) {
+  const used = new Set();
+  return headers.map((h) => {
+    const key = normalizeCsvHeader(h);
+    const column = CSV_COLUMNS.find(
+      (c) =>
+        !used.has(c.field) &&
+        [c.header, ...c.aliases].some(
+          (name) => normalizeCsvHeader(name) === key,
+        ),
+    );
+    if (!column || column.exportOnly) return "";
+    used.add(column.field);
+    return getCsvColumnKey(column);
+  });
+}
+
+// Accepts YYYY-MM-DD, YYYY/MM/DD and day-first DD/MM/YYYY, DD.MM.YYYY,
+// DD-MM-YYYY (also 2-digit years). Returns YYYY-MM-DD or null.
+function parseCsvDate(text) {
+  const str = String(text || "").trim();
+  let y, m, d;
+  let match = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) {
+    [, y, m, d] = match.map(Number);
+  } else {
+    match = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+    if (!match) return null;
+    [, d, m, y] = match.map(Number);
+    if (y < 100) y += 2000;
+  }
+
+  const date = new Date(y, m - 1, d);
+  if (
+    date.getFullYear() !== y ||
+    date.getMonth() !== m - 1 ||
+    date.getDate() !== d
+  ) {
+    return null;
+  }
+  return formatDateToYMD(date);
+}
+
+// "" -> null, "72.5" / "72,5" -> 72.5, anything else -> NaN
+function parseCsvNumber(text) {
+  const str = String(text || "").trim();
+  if (str === "") return null;
+  const normalized = str.includes(".") ? str : str.replace(",", ".");
+  return /^-?\d+(\.\d+)?$/.test(normalized) ? parseFloat(normalized) : NaN;
+}
+
+function findMealTypeId(text) {
+  const key = normalizeCsvHeader(text);
+  if (!key) return "snack";
+  // Meal type names are accepted in every language
+  const type = MEAL_TYPES.find(
+    (type) =>
+      type.id === key ||
+      DietI18n.translateAll(`mealType.${type.id}`).some(
+        (label) => normalizeCsvHeader(label) === key,
+      ),
+  );
+  return type ? type.id : null;
+}
+
+// One CSV row -> { kind: "log" | "meal", record } or { problems }.
+// `previous` is the stored log with the row's id, if any: values that
+// only differ from it by the export rounding keep the stored value.
+function csvRowToRecord(row, mapping, previous = null) {
+  const columnFor = (field) =>
+    CSV_COLUMNS.find(
+      (c) => c.field === field && mapping.includes(getCsvColumnKey(c)),
+    );
+  const value = (field) => {
+    const column = columnFor(field);
+    const index = column ? mapping.indexOf(getCsvColumnKey(column)) : -1;
+    return index === -1 ? "" : String(row[index] || "").trim();
+  };
+  const unitOf = (field) => (columnFor(field) || {}).unit || "metric";
+  const previousMeasurements = (previous && previous.measurements) || {};
+  const problems = [];
+
+  const date = parseCsvDate(value("date"));
+  if (!date) problems.push(t("csv.invalidDate", { value: value("date") }));
+
+  const createdAtRaw = value("createdAt");
+  const createdAt =
+    createdAtRaw && !isNaN(new Date(createdAtRaw).getTime())
+      ? new Date(createdAtRaw).toISOString()
+      : null;
+
+  const isMeal = value("mealType") || value("foodName") || value("intake");
+  if (isMeal) {
+    if (value("weight") || value("durationMinutes")) {
+      problems.push(t("csv.mixedRow"));
+    }
+    const mealType = findMealTypeId(value("mealType"));
+    if (!mealType) {
+      problems.push(t("csv.unknownMealType", { value: value("mealType") }));
+    }
+    const calories = parseCsvNumber(value("intake"));
+    if (calories === null || isNaN(calories) || calories < 0) {
+      problems.push(t("csv.invalidCalories", { value: value("intake") }));
+    }
+    if (problems.length) return { problems };
+
+    return {
+      kind: "meal",
+      record: {
+        id: value("id") || generateEntryId(),
+        createdAt: createdAt || new Date().toISOString(),
+        date,
+        mealType,
+        name: value("foodName"),
+        calories,
+      },
+    };
+  }
+
+  const weight = parseCsvNumber(value("weight"));
+  if (weight !== null && (isNaN(weight) || weight <= 0)) {
+    problems.push(t("csv.invalidWeight", { value: value("weight") }));
+  }
+  const duration = parseCsvNumber(value("durationMinutes"));
+  if (duration !== null && !(Number.isInteger(duration) && duration > 0)) {
+    problems.push(
+      t("csv.invalidDuration", { value: value("durationMinutes") }),
+    );
+  }
+  const measurements = {};
+  BODY_MEASUREMENTS.forEach((m) => {
+    const num = parseCsvNumber(value(m.id));
+    if (num === null) return;
+    if (isNaN(num) || num <= 0) {
+      problems.push(
+        t("csv.invalidMeasurement", {
+          name: getMeasurementLabel(m.id),
+          value: value(m.id),
+        }),
+      );
+    } else {
+      measurements[m.id] =
+        m.unit === "%"
+          ? num
+          : displayLengthToCm(num, previousMeasurements[m.id], unitOf(m.id));
+    }
+  });
+  const hasMeasurements = Object.keys(measurements).length > 0;
+
+  if (weight === null && duration === null && !value("notes")) {
+    if (!value("activityType") && !hasMeasurements) {
+      problems.push(t("csv.emptyRow"));
+    }
+  }
+  if (problems.length) return { problems };
+
+  // Names from the catalog get its id; anything else is kept as text
+  const activityId = resolveActivityId(value("activityType"));
+  return {
+    kind: "log",
+    record: {
+      id: value("id") || generateEntryId(),
+      createdAt: createdAt || new Date().toISOString(),
+      date,
+      weight:
+        weight === null
+          ? null
+          : displayWeightToKg(
+              weight,
+              previous && previous.weight,
+              unitOf("weight"),
+            ),
+      ...(hasMeasurements ? { measurements } : {}),
+      ...(activityId ? { activityId } : {}),
+      activityType: value("activityType"),
+      notes: value("notes"),
+      durationMinutes: duration,
+    },
+  };
+}
+
+// Content key for rows without an id, so importing the same sheet twice
+// doesn't duplicate what is already stored.
+function getCsvContentKey(kind, r) {
+  return kind === "meal"
+    ? [r.date, r.mealType, r.name, r.calories].join("|")
+    : [
+        r.date,
+        r.weight,
+        getEntryActivityLabel(r),
+        r.durationMinutes,
+        r.notes,
+        DietBackup.stableStringify(r.measurements || null),
+      ].join("|");
+}
+
+// Import data rows (header excluded) with the given column mapping.
+// Returns { added, updated, unchanged, errors: [{ line, problems }] }.
+function importCsvRows(dataRows, mapping) {
+  const report = { added: 0, updated: 0, unchanged: 0, errors: [] };
+  const stores = {
+    log: { list: entries, toWrite: [], normalize: normalizeEntry },
+    meal: { list: meals, toWrite: [], normalize: normalizeMeal },
+  };
+  const idColumn = mapping.indexOf("id");
+
+  Object.entries(stores).forEach(([kind, store]) => {
+    store.byId = new Map(store.list.map((r) => [r.id, r]));
+    store.keys = new Set(store.list.map((r) => getCsvContentKey(kind, r)));
+  });
+
+  dataRows.forEach((row) => {
+    const rowId = idColumn !== -1 ? String(row[idColumn] || "").trim() : "";
+    const result = csvRowToRecord(row, mapping, stores.log.byId.get(rowId));
+    if (result.problems) {
+      report.errors.push({ line: row.line, problems: result.problems });
+      return;
+    }
+
+    const store = stores[result.kind];
+    const hasId = rowId !== "";
+    const existing = hasId ? store.byId.get(result.record.id) : null;
+
+    if (existing) {
+      // Same record: keep its creation time unless the sheet has one.
+      // updatedAt isn't exported, so compare with the local one.
+      const incoming = store.normalize({
+        ...result.record,
+        createdAt: mapping.includes("createdAt")
+          ? result.record.createdAt
+          : existing.createdAt,
+        updatedAt: existing.updatedAt,
+      });
+      if (isSameRecord(store.normalize(existing), incoming)) {
+        report.unchanged++;
+        return;
+      }
+      if (result.kind === "log") incoming.updatedAt = new Date().toISOString();
+      store.byId.set(incoming.id, incoming);
+      store.toWrite.push(incoming);
+      report.updated++;
+      return;
+    }
+
+    const key = getCsvContentKey(result.kind, result.record);
+    if (!hasId && store.keys.has(key)) {
+      report.unchanged++;
+      return;
+    }
+
+    const record = store.normalize(result.record);
+    store.byId.set(record.id, record);
+    store.keys.add(key);
+    store.toWrite.push(record);
+    report.added++;
+  });
+
+  if (stores.log.toWrite.length) {
+    entries = Array.from(stores.log.byId.values());
+    persist(DietStorage.putMany("entries", stores.log.toWrite));
+  }
+  if (stores.meal.toWrite.length) {
+    meals = Array.from(stores.meal.byId.values());
+    persist(DietStorage.putMany("meals", stores.meal.toWrite));
+  }
+
+  return report;
+}
+
+// CSV waiting in the import dialog: { headers, dataRows }
+let pendingCsvImport = null;
+
+function openCsvImport(text) {
+  const rows = DietCsv.parse(text);
+  if (rows.length < 2) {
+    alert(t("csv.noRows"));
+    return;
+  }
+
+  const [headers, ...dataRows] = rows;
+  pendingCsvImport = { headers, dataRows };
+  const mapping = guessCsvColumnMapping(headers);
+
+  const mappingList = document.getElementById("csvMappingList");
+  const summaryEl = document.getElementById("csvImportSummary");
+  const reportBox = document.getElementById("csvImportReport");
+  const modal = document.getElementById("csvImportModal");
+  if (!mappingList || !modal) return;
+
+  summaryEl.textContent = t("csv.summary", {
+    rows: dataRows.length,
+    columns: headers.length,
+  });
+  reportBox.classList.add("hidden");
+  document.getElementById("confirmCsvImportButton").classList.remove("hidden");
+
+  mappingList.innerHTML = "";
+  headers.forEach((header, index) => {
+    const li = document.createElement("li");
+    li.className = "grid grid-cols-2 gap-2 items-center text-xs";
+
+    const name = document.createElement("div");
+    const sample = dataRows.find((r) => (r[index] || "").trim());
+    name.innerHTML = `<span class="font-medium text-slate-700"></span><span class="block text-[10px] text-slate-400 truncate"></span>`;
+    name.firstChild.textContent =
+      header || t("csv.columnNumber", { number: index + 1 });
+    name.lastChild.textContent = sample
+      ? t("csv.example", { value: sample[index] })
+      : "";
+
+    const select = document.createElement("select");
+    select.className =
+      "w-full rounded-xl border border-slate-200 px-2 py-1.5 text-xs bg-slate-50";
+    select.dataset.columnIndex = String(index);
+    select.innerHTML = `<option value="">${t("csv.ignore")}</option>`;
+    CSV_COLUMNS.filter((c) => !c.exportOnly).forEach((c) => {
+      const option = document.createElement("option");
+      option.value = getCsvColumnKey(c);
+      option.textContent = getCsvColumnLabel(c);
+      select.appendChild(option);
+    });
+    select.value = mapping[index];
+
+    li.appendChild(name);
+    li.appendChild(select);
+    mappingList.appendChild(li);
+  });
 
-    reader.readAsDataURL(blob);
-  } catch (globalError) {
-    // --- נסיון 3 (רשת ביטחון): העתקה ללוח ---
-    console.error("Critical error, falling back to clipboard", globalError);
-    fallbackToClipboard(blob);
+  modal.classList.remove("hidden");
+}
+
+function closeCsvImport() {
+  pendingCsvImport = null;
+  const modal = document.getElementById("csvImportModal");
+  if (modal) modal.classList.add("hidden");
+}
+
+function confirmCsvImport() {
+  if (!pendingCsvImport) return;
+
+  const mapping = pendingCsvImport.headers.map(() => "");
+  document.querySelectorAll("#csvMappingList select").forEach((select) => {
+    mapping[Number(select.dataset.columnIndex)] = select.value;
+  });
+
+  if (!mapping.includes("date")) {
+    alert(t("csv.dateRequired"));
+    return;
+  }
+  // Unit variants of one field (kg and lb) count as the same field
+  const fields = mapping.map((key) => {
+    const column = CSV_COLUMNS.find((c) => getCsvColumnKey(c) === key);
+    return column ? column.field : "";
+  });
+  const duplicates = fields.filter(
+    (field, i) => field && fields.indexOf(field) !== i,
+  );
+  if (duplicates.length) {
+    alert(t("csv.duplicateMapping"));
+    return;
   }
+
+  const report = importCsvRows(pendingCsvImport.dataRows, mapping);
+  pendingCsvImport = null;
+  refreshAllUI();
+  checkAchievements();
+
+  // Per-row error report stays in the dialog
+  const reportBox = document.getElementById("csvImportReport");
+  const reportSummary = document.getElementById("csvImportReportSummary");
+  const errorsList = document.getElementById("csvImportErrorsList");
+  reportSummary.textContent = t("csv.report", {
+    added: report.added,
+    updated: report.updated,
+    unchanged: report.unchanged,
+    errors: report.errors.length,
+  });
+  errorsList.innerHTML = "";
+  report.errors.forEach((err) => {
+    const li = document.createElement("li");
+    li.textContent = t("csv.rowError", {
+      line: err.line,
+      problems: err.problems.join("; "),
+    });
+    errorsList.appendChild(li);
+  });
+  reportBox.classList.remove("hidden");
+  document.getElementById("confirmCsvImportButton").classList.add("hidden");
 }
 
-// פונקציית העזר למקרה חירום (העתקה + הוראות)
-async function fallbackToClipboard(blob) {
-  try {
-    const textData = await blob.text();
-    await navigator.clipboard.writeText(textData);
+// ----- RESTORE (PREVIEW & MERGE) -----
+
+// Restore plan waiting for the user's confirmation in the preview modal
+let pendingRestorePlan = null;
 
-    alert(
-      "בגלל מגבלות אבטחה בטלפון, ההורדה האוטומטית נכשלה.\n\n" +
-        "✅ אבל הנתונים הועתקו ללוח בהצלחה!\n\n" +
-        "כדי לשמור אותם:\n" +
-        "1. פתח את הוואטסאפ או המייל.\n" +
-        "2. עשה 'הדבק' (Paste).\n" +
-        "3. שלח לעצמך את ההודעה.",
+function isSameRecord(a, b) {
+  return DietBackup.stableStringify(a) === DietBackup.stableStringify(b);
+}
+
+// Validate an upgraded backup and compare it with the local data by id.
+// Nothing is written here.
+// Record lists carried by backups besides the settings. `kind` tags
+// conflicts (labels: restore.collection.<kind>, restore.item.<kind>),
+// `backupKey` is the list in the backup file, `store` the DietStorage
+// object store. `key` (optional) gives the natural key of lists that keep
+// one record per key, e.g. one sleep log per night.
+const RESTORE_COLLECTIONS = [
+  {
+    kind: "log",
+    backupKey: "logs",
+    store: "entries",
+    get: () => entries,
+    set: (list) => (entries = list),
+    normalize: normalizeEntry,
+  },
+  {
+    kind: "meal",
+    backupKey: "meals",
+    store: "meals",
+    get: () => meals,
+    set: (list) => (meals = list),
+    normalize: normalizeMeal,
+  },
+  {
+    kind: "water",
+    backupKey: "water",
+    store: "water",
+    get: () => waterLogs,
+    set: (list) => (waterLogs = list),
+    normalize: normalizeWaterLog,
+  },
+  {
+    kind: "sleep",
+    backupKey: "sleep",
+    store: "sleep",
+    get: () => sleepLogs,
+    set: (list) => (sleepLogs = list),
+    normalize: normalizeSleepLog,
+    key: (log) => log.date,
+  },
+];
+
+// For lists with one record per key: a backup record (from another device,
+// so with another id) takes the id and createdAt of the local record with
+// the same key, so it is compared with it and replaces it instead of being
+// added next to it. Of several backup records per key, the last one counts.
+function adoptLocalIds(localList, incomingList, keyOf) {
+  const localByKey = new Map(localList.map((r) => [keyOf(r), r]));
+  const byKey = new Map();
+  incomingList.forEach((record) => {
+    const local = localByKey.get(keyOf(record));
+    byKey.set(
+      keyOf(record),
+      local ? { ...record, id: local.id, createdAt: local.createdAt } : record,
     );
-  } catch (err) {
-    alert(
-      "מצטערים, הטלפון חוסם גם העתקה אוטומטית. נסה להשתמש בכפתורי ההעתקה הידניים.",
+  });
+  return Array.from(byKey.values());
+}
+
+function buildRestorePlan(backup, fromVersion) {
+  const { errors, valid, settings } = DietBackup.validate(backup);
+
+  // diffs[kind] = { added, identical, conflicts }
+  const diffs = {};
+  const conflicts = [];
+  RESTORE_COLLECTIONS.forEach((collection) => {
+    const local = collection.get().map(collection.normalize);
+    let incoming = valid[collection.backupKey]
+      .map(collection.normalize)
+      .filter(Boolean);
+    if (collection.key)
+      incoming = adoptLocalIds(local, incoming, collection.key);
+    const diff = DietBackup.diffById(local, incoming, isSameRecord);
+    diffs[collection.kind] = diff;
+    conflicts.push(
+      ...diff.conflicts.map((c) => ({ kind: collection.kind, ...c })),
     );
+  });
+
+  let settingsStatus = "none";
+  if (settings) {
+    const incoming = normalizeSettings(settings);
+    if (isSameRecord(normalizeSettings(userSettings), incoming)) {
+      settingsStatus = "identical";
+    } else {
+      settingsStatus = "conflict";
+      conflicts.unshift({
+        kind: "settings",
+        id: SETTINGS_RECORD_KEY,
+        local: userSettings,
+        incoming,
+      });
+    }
   }
-}
 
-// Export Full JSON (Settings + Logs)
-async function exportFullBackupJson() {
-  const data = {
-    version: 1,
-    exportedAt: new Date().toISOString(),
-    userSettings: userSettings,
-    logs: entries,
+  return {
+    profileId: getActiveProfile().id,
+    fromVersion,
+    errors,
+    diffs,
+    settingsStatus,
+    conflicts,
   };
+}
 
-  const jsonStr = JSON.stringify(data, null, 2);
-  const blob = new Blob([jsonStr], { type: "application/json" });
-  const fileName = `גיבוי_דיאטה_${getFormattedDateForFile()}.json`; // <-- תוקן
-  await smartExport(blob, fileName, "גיבוי מלא - יומן תזונה וכושר");
+function describeRecordForRestore(kind, record) {
+  if (kind === "settings") {
+    const parts = [record.firstName || t("restore.noName")];
+    if (record.heightCm) {
+      parts.push(
+        t("restore.height", { height: formatHeight(record.heightCm) }),
+      );
+    }
+    if (record.goalWeightKg) {
+      parts.push(
+        t("restore.goal", { weight: formatWeight(record.goalWeightKg) }),
+      );
+    }
+    return parts.join(" · ");
+  }
+  if (kind === "sleep") {
+    return `${record.date} · ${record.bedtime}–${record.wakeTime} · ${t(
+      `sleepQuality.${record.quality}`,
+    )}`;
+  }
+  if (kind === "water") {
+    return `${record.date} · ${formatTimeFromIso(record.createdAt)} · ${t(
+      "unit.mlAmount",
+      { amount: record.amountMl },
+    )}`;
+  }
+  if (kind === "meal") {
+    return [
+      record.date,
+      getMealTypeLabel(record.mealType),
+      record.name || "—",
+      t("unit.kcalAmount", { amount: record.calories }),
+    ].join(" · ");
+  }
+
+  const parts = [record.date];
+  if (typeof record.weight === "number")
+    parts.push(formatWeight(record.weight));
+  const activityLabel = getEntryActivityLabel(record);
+  if (activityLabel) {
+    parts.push(
+      record.durationMinutes
+        ? t("restore.activity", {
+            activity: activityLabel,
+            minutes: record.durationMinutes,
+          })
+        : activityLabel,
+    );
+  }
+  if (record.measurements) {
+    parts.push(formatMeasurementsSummary(record.measurements));
+  }
+  if (record.notes) parts.push(`"${record.notes}"`);
+  return parts.join(" · ");
 }
 
-// Export CSV (Logs only)
-async function exportToCsv() {
-  if (!entries.length) {
-    alert("אין נתונים לייצוא");
+// Entry point for file / pasted-text restore: parse, validate and preview.
+// `intoActiveProfile`: the user chose to restore a backup of another
+// profile here.
+function restoreFullBackupJsonFromText(jsonText, intoActiveProfile = false) {
+  const result = DietBackup.parse(jsonText);
+  if (!result.ok) {
+    alert(t("restore.error", { error: result.error }));
     return;
   }
 
-  const header = [
-    "Date",
-    "Weight (kg)",
-    "Activity",
-    "Duration (min)",
-    "Calories",
-    "Notes",
-  ];
+  // A backup of another profile is only restored into that profile
+  const backupProfile = result.backup.profile;
+  if (
+    backupProfile &&
+    backupProfile.id !== getActiveProfile().id &&
+    !intoActiveProfile
+  ) {
+    restoreIntoBackupProfile(jsonText, backupProfile);
+    return;
+  }
 
-  const rows = entries.map((e) => {
-    const note = (e.notes || "").replace(/"/g, '""');
-    const weightOut =
-      typeof e.weight === "number" && !isNaN(e.weight) ? e.weight : "";
-    const duration = e.duration || 0;
-    const calories = e.calories || 0;
-    return `${e.date},${weightOut},${e.activityType},${duration},${calories},"${note}"`;
-  });
+  const plan = buildRestorePlan(result.backup, result.fromVersion);
+  const hasChanges =
+    plan.conflicts.length ||
+    RESTORE_COLLECTIONS.some((c) => plan.diffs[c.kind].added.length);
 
-  const csvContent = "\uFEFF" + [header.join(","), ...rows].join("\n");
-  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-  const fileName = `אקסל_דיאטה_${getFormattedDateForFile()}.csv`; // <-- תוקן
+  if (!hasChanges && !plan.errors.length) {
+    alert(t("restore.nothingToRestore"));
+    return;
+  }
 
-  await smartExport(blob, fileName, "ייצוא רישומי פעילות ל‑CSV");
+  openRestorePreview(plan);
 }
 
-// Export CSV (Logs only)
-async function exportToCsv() {
-  if (!entries.length) {
-    alert("אין נתונים לייצוא");
+// Offer to switch to (or create) the profile a backup was taken from, then
+// restore there. A profile that isn't on this device (e.g. a backup from the
+// old phone, whose profile ids differ) may instead go into the current
+// profile, but only if the user says so.
+async function restoreIntoBackupProfile(jsonText, backupProfile) {
+  const name = backupProfile.name || t("profile.defaultName");
+  const existing = profileRegistry.profiles.find(
+    (p) => p.id === backupProfile.id,
+  );
+  const question = existing
+    ? t("restore.switchProfile", { name: getProfileName(existing) })
+    : t("restore.createProfile", { name });
+
+  if (!confirm(question)) {
+    if (
+      !existing &&
+      confirm(
+        t("restore.intoActiveProfile", {
+          name: getProfileName(getActiveProfile()),
+        }),
+      )
+    ) {
+      restoreFullBackupJsonFromText(jsonText, true);
+    } else {
+      alert(t("restore.profileCancelled"));
+    }
     return;
   }
 
-  // הוספנו כאן את העמודות החדשות: זמן (דקות) וקלוריות
-  const header = [
-    "Date",
-    "Weight (kg)",
-    "Activity",
-    "Duration (min)",
-    "Calories",
-    "Notes",
-  ];
-
-  const rows = entries.map((e) => {
-    // Escape quotes
-    const note = (e.notes || "").replace(/"/g, '""');
-    const weightOut =
-      typeof e.weight === "number" && !isNaN(e.weight) ? e.weight : "";
+  if (existing) await switchProfile(existing.id);
+  else await createProfile(name, backupProfile.id);
+  restoreFullBackupJsonFromText(jsonText);
+}
 
-    // שליפת הנתונים החדשים (אם אין, נכתוב 0)
-    const duration = e.duration || 0;
-    const calories = e.calories || 0;
+function openRestorePreview(plan) {
+  const modal = document.getElementById("restorePreviewModal");
+  const summaryEl = document.getElementById("restorePreviewSummary");
+  const errorsBox = document.getElementById("restoreErrorsBox");
+  const errorsList = document.getElementById("restoreErrorsList");
+  const conflictsBox = document.getElementById("restoreConflictsBox");
+  const conflictsList = document.getElementById("restoreConflictsList");
+  if (!modal || !summaryEl || !errorsList || !conflictsList) return;
+
+  pendingRestorePlan = plan;
+
+  // none / identical / conflict
+  const settingsText = t(`restore.settings.${plan.settingsStatus}`);
+  const countsLine = (kind, diff) => {
+    const conflictsCount = plan.conflicts.filter((c) => c.kind === kind).length;
+    return `<li><b>${t(`restore.collection.${kind}`)}:</b> ${t(
+      "restore.counts",
+      {
+        added: diff.added.length,
+        identical: diff.identical.length,
+        conflicts: conflictsCount,
+      },
+    )}</li>`;
+  };
+  summaryEl.innerHTML =
+    (plan.fromVersion < DietBackup.BACKUP_VERSION
+      ? `<li class="text-sky-600">${t("restore.oldFormat", {
+          version: plan.fromVersion,
+        })}</li>`
+      : "") +
+    RESTORE_COLLECTIONS.map((c) => countsLine(c.kind, plan.diffs[c.kind])).join(
+      "",
+    ) +
+    `<li><b>${t("restore.settings")}:</b> ${settingsText}</li>`;
+
+  // Invalid records: listed one by one, they will be skipped
+  errorsList.innerHTML = "";
+  plan.errors.forEach((err) => {
+    const li = document.createElement("li");
+    li.textContent = `${err.path}${err.label ? ` (${err.label})` : ""}: ${err.problems.join("; ")}`;
+    errorsList.appendChild(li);
+  });
+  errorsBox.classList.toggle("hidden", !plan.errors.length);
+
+  // Conflicts: same id, different content. Default = take the backup value.
+  conflictsList.innerHTML = "";
+  plan.conflicts.forEach((conflict, index) => {
+    const li = document.createElement("li");
+    li.className = "rounded-xl border border-slate-200 p-2 space-y-1";
+
+    const title = document.createElement("p");
+    title.className = "text-[11px] font-semibold text-slate-500";
+    title.textContent =
+      conflict.kind === "settings"
+        ? t("restore.item.settings")
+        : t(`restore.item.${conflict.kind}`);
+    li.appendChild(title);
+
+    [
+      { value: "local", label: t("restore.local"), record: conflict.local },
+      {
+        value: "backup",
+        label: t("restore.backup"),
+        record: conflict.incoming,
+      },
+    ].forEach((option) => {
+      const label = document.createElement("label");
+      label.className = "flex items-start gap-2 text-xs";
+
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = `restoreChoice-${index}`;
+      radio.value = option.value;
+      radio.checked = option.value === "backup";
+      radio.className = "mt-0.5";
+
+      const text = document.createElement("span");
+      text.textContent = `${option.label}: ${describeRecordForRestore(conflict.kind, option.record)}`;
+
+      label.appendChild(radio);
+      label.appendChild(text);
+      li.appendChild(label);
+    });
 
-    return `${e.date},${weightOut},${e.activityType},${duration},${calories},"${note}"`;
+    conflictsList.appendChild(li);
   });
+  conflictsBox.classList.toggle("hidden", !plan.conflicts.length);
 
-  const csvContent = "\uFEFF" + [header.join(","), ...rows].join("\n"); // Add BOM for Hebrew Excel
-  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-  const fileName = `DietTracker_Log_${getTodayDateString()}.csv`;
+  modal.classList.remove("hidden");
+}
 
-  // הקריאה לפונקציה החכמה שתפתח את תפריט השיתוף בטלפון
-  await smartExport(blob, fileName, "ייצוא רישומי פעילות ל‑CSV");
+function closeRestorePreview() {
+  pendingRestorePlan = null;
+  const modal = document.getElementById("restorePreviewModal");
+  if (modal) modal.classList.add("hidden");
 }
 
-// Restore Logic (The Fix)
-function restoreFullBackupJsonFromText(jsonText) {
-  let parsed;
-  try {
-    parsed = JSON.parse(jsonText);
-  } catch (e) {
-    alert("שגיאה: קובץ הגיבוי אינו קובץ JSON תקין.");
+// Global choice for all conflicts ("local" / "backup")
+function setAllRestoreChoices(value) {
+  document
+    .querySelectorAll(`#restoreConflictsList input[value="${value}"]`)
+    .forEach((radio) => (radio.checked = true));
+}
+
+// Write the confirmed plan: new records are added, conflicts follow the
+// chosen side, identical and invalid records are left alone.
+function applyRestorePlan(plan) {
+  if (plan.profileId !== getActiveProfile().id) {
+    alert(t("restore.profileChanged"));
+    closeRestorePreview();
     return;
   }
 
-  // 1. עדכון הגדרות (Settings)
-  if (parsed.userSettings) {
-    userSettings = parsed.userSettings;
+  const takeBackup = new Set();
+  plan.conflicts.forEach((conflict, index) => {
+    const checked = document.querySelector(
+      `input[name="restoreChoice-${index}"]:checked`,
+    );
+    if (checked && checked.value === "backup") takeBackup.add(conflict);
+  });
+
+  const chosen = (kind) =>
+    plan.conflicts
+      .filter((c) => c.kind === kind && takeBackup.has(c))
+      .map((c) => c.incoming);
+
+  const settingsToWrite = chosen("settings")[0];
+  const writtenCounts = [];
+
+  RESTORE_COLLECTIONS.forEach((collection) => {
+    const toWrite = [
+      ...plan.diffs[collection.kind].added,
+      ...chosen(collection.kind),
+    ];
+    writtenCounts.push(
+      `${toWrite.length} ${t(`restore.collection.${collection.kind}`)}`,
+    );
+    if (!toWrite.length) return;
+
+    const byId = new Map(collection.get().map((r) => [r.id, r]));
+    toWrite.forEach((r) => byId.set(r.id, r));
+    collection.set(Array.from(byId.values()));
+    persist(DietStorage.putMany(collection.store, toWrite));
+  });
+
+  if (settingsToWrite) {
+    userSettings = {
+      ...settingsToWrite,
+      activities: mergeActivityCatalogs(
+        settingsToWrite.activities,
+        userSettings.activities,
+      ),
+      achievements: mergeAchievements(
+        settingsToWrite.achievements,
+        userSettings.achievements,
+      ),
+    };
     saveSettings(userSettings);
   }
 
-  // 2. עדכון רשומות (Logs) - התיקון הקריטי
-  if (Array.isArray(parsed.logs)) {
-    // שימוש במפה כדי למזג נתונים ולמנוע דריסה של הכל פרט לאחרון
-    const logsMap = new Map();
+  closeRestorePreview();
+  alert(
+    t("restore.done", {
+      written: writtenCounts.join(", "),
+      count: entries.length,
+    }),
+  );
+  refreshAllUI();
+  // Restored records (or settings) can unlock badges or move their dates
+  checkAchievements();
+}
 
-    // הכנסת נתונים קיימים
-    entries.forEach((e) => logsMap.set(e.date, e));
+// ----- SERVICE WORKER (OFFLINE) -----
 
-    // הוספת הנתונים מהגיבוי (דורס רק אם התאריך זהה)
-    parsed.logs.forEach((inLog) => {
-      if (!inLog || !inLog.date) return;
+// Set when the user taps the update banner's reload button
+let updateAccepted = false;
 
-      let weightNum = null;
-      if (typeof inLog.weight === "number") {
-        weightNum = inLog.weight;
-      } else if (
-        typeof inLog.weight === "string" &&
-        inLog.weight.trim() !== ""
-      ) {
-        const parsedWeight = parseFloat(inLog.weight);
-        if (!isNaN(parsedWeight)) weightNum = parsedWeight;
-      }
+// Register sw.js and show a "new version ready" banner when an updated
+// worker is waiting. Reload happens only after the user taps the banner:
+// the first install also changes the controller (clients.claim in sw.js),
+// and reloading then would drop whatever is being typed.
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
 
-      let durationMinutes = null;
-      if (typeof inLog.durationMinutes === "number") {
-        durationMinutes = inLog.durationMinutes;
-      } else if (
-        typeof inLog.durationMinutes === "string" &&
-        inLog.durationMinutes.trim() !== ""
-      ) {
-        const d = parseInt(inLog.durationMinutes.trim(), 10);
-        if (!isNaN(d)) durationMinutes = d;
-      }
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading || !updateAccepted) return;
+    reloading = true;
+    window.location.reload();
+  });
 
-      logsMap.set(inLog.date, {
-        date: inLog.date,
-        weight: weightNum,
-        activityType: inLog.activityType || "",
-        notes: inLog.notes || "",
-        durationMinutes,
-      });
-    });
+  navigator.serviceWorker
+    .register("sw.js")
+    .then((registration) => {
+      registerReminderSync(registration);
 
-    // עדכון המשתנה הגלובלי entries מהמפה הממוזגת
-    entries = Array.from(logsMap.values());
+      // An update may already be waiting from a previous visit
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+      }
 
-    // מיון מהחדש לישן
-    entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+      registration.addEventListener("updatefound", () => {
+        const newWorker = registration.installing;
+        if (!newWorker) return;
+        newWorker.addEventListener("statechange", () => {
+          // "installed" with an existing controller = update, not first install
+          if (
+            newWorker.state === "installed" &&
+            navigator.serviceWorker.controller
+          ) {
+            showUpdateBanner(newWorker);
+          }
+        });
+      });
+    })
+    .catch((e) => console.error("Service worker registration failed:", e));
+}
 
-    // שמירה סופית של המערך המלא
-    saveEntries(entries);
-  }
+function showUpdateBanner(waitingWorker) {
+  const banner = document.getElementById("updateBanner");
+  const reloadBtn = document.getElementById("updateReloadButton");
+  if (!banner || !reloadBtn) return;
 
-  alert(`השחזור הושלם! המערכת כוללת כעת ${entries.length} רשומות.`);
-  refreshAllUI();
+  banner.classList.remove("hidden");
+  reloadBtn.onclick = () => {
+    reloadBtn.disabled = true;
+    updateAccepted = true;
+    waitingWorker.postMessage({ type: "SKIP_WAITING" });
+  };
 }
 
 // ----- MAIN REFRESH CONTROLLER -----
 
-// ----- MAIN REFRESH CONTROLLER -----
-
 function refreshAllUI() {
+  // After loading, a settings change, a profile switch or a restore
+  if (userSettings.language !== DietI18n.getLocale()) applyLanguage();
+  refreshUnitLabels();
   updateGreeting();
   refreshDashboardSummary();
   refreshHistoryTable();
+  refreshHeatmap();
   refreshChart();
+  refreshMeasurementChart();
   refreshBmiDisplay();
+  refreshGoalDisplay();
+  refreshEnergyBalance();
+  refreshCalorieBudget();
+  refreshMealLog();
+  refreshWaterTracker();
+  refreshSleepLog();
+  refreshSleepChart();
+  refreshReports();
+  refreshAchievements();
+  refreshActivityCatalog();
+  refreshReminderList();
+  refreshProfileSwitcher();
   updateNotificationsStatus();
 
   if (typeof updateProfilePic === "function") {
@@ -947,14 +5425,16 @@ function refreshAllUI() {
 document.addEventListener("DOMContentLoaded", () => {
   // Init Components
   initChart();
+  initMeasurementChart();
+  initSleepChart();
   const dateInput = document.getElementById("dateInput");
   if (dateInput) dateInput.value = getTodayDateString();
+  const mealDateInput = document.getElementById("mealDateInput");
+  if (mealDateInput) mealDateInput.value = getTodayDateString();
 
   refreshMotivation();
   refreshAllUI();
-
-  // Notifications Check on Load
-  setTimeout(checkAndSendNotifications, 2000);
+  registerServiceWorker();
 
   // --- NAVIGATION ---
   document.querySelectorAll(".nav-button").forEach((btn) => {
@@ -977,6 +5457,25 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   });
 
+  // Reports: week / month and stepping through periods
+  document.querySelectorAll(".report-kind-button").forEach((btn) => {
+    btn.onclick = () => {
+      reportState = { kind: btn.dataset.reportKind, offset: 0 };
+      refreshReports();
+    };
+  });
+  [
+    ["reportPrevButton", -1],
+    ["reportNextButton", 1],
+  ].forEach(([id, step]) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.onclick = () => {
+      reportState.offset = Math.min(0, reportState.offset + step);
+      refreshReports();
+    };
+  });
+
   // --- FORMS ---
 
   // Quick Entry
@@ -987,63 +5486,103 @@ document.addEventListener("DOMContentLoaded", () => {
       const weightInput = document.getElementById("weightInput");
       const durationInput = document.getElementById("durationInput");
 
-      const weightRaw = weightInput ? weightInput.value.trim() : "";
-      const hasWeight = weightRaw !== "";
-      let weightVal = hasWeight ? parseFloat(weightRaw) : null;
-
-      if (hasWeight && (!weightVal || isNaN(weightVal) || weightVal <= 0)) {
-        alert("נא להזין משקל תקין או להשאיר ריק.");
+      // Optional weight & duration
+      const fields = validateEntryFields(
+        weightInput ? weightInput.value.trim() : "",
+        durationInput ? durationInput.value.trim() : "",
+      );
+      if (fields.error) {
+        alert(fields.error);
         return;
       }
+      const measured = readMeasurementInputs("entryMeasurements");
+      if (measured.error) {
+        alert(measured.error);
+        return;
+      }
+      const weightVal = fields.weight;
+      const durationMinutes = fields.durationMinutes;
 
       const dateVal =
         document.getElementById("dateInput").value || getTodayDateString();
-      const activityVal = document.getElementById("activityType").value;
+      const activity = getActivityById(
+        document.getElementById("activityType").value,
+      );
       const notesVal = document.getElementById("notesInput").value;
 
-      // Optional duration
-      let durationMinutes = null;
-      if (durationInput && durationInput.value.trim() !== "") {
-        const d = parseInt(durationInput.value.trim(), 10);
-        if (!isNaN(d) && d > 0) {
-          durationMinutes = d;
-        }
-      }
-
-      // If no weight provided, fall back to latest known weight
-      if (!hasWeight) {
-        const latest = getLatestWeightUpToDate(dateVal);
-        weightVal =
-          typeof latest === "number" && !isNaN(latest) ? latest : null;
-      }
+      // No weight provided: keep it empty. Calorie calculation already falls
+      // back to the latest known weight, and copying it here would add a
+      // fake weigh-in to the chart.
 
-      // Add/Update Logic
+      // Each submit is its own entry, so several logs per day are kept
       const newEntry = {
+        id: generateEntryId(),
+        createdAt: new Date().toISOString(),
         date: dateVal,
         weight: weightVal,
-        activityType: activityVal,
+        ...(measured.measurements
+          ? { measurements: measured.measurements }
+          : {}),
+        ...(activity ? { activityId: activity.id } : {}),
+        activityType: activity ? getActivityName(activity) : "",
         notes: notesVal,
         durationMinutes,
       };
 
-      // Remove existing entry for same date if exists (replace)
-      entries = entries.filter((e) => e.date !== dateVal);
       entries.push(newEntry);
 
-      saveEntries(entries);
+      saveEntry(newEntry);
       refreshAllUI();
+      checkMilestones();
+      checkAchievements();
 
       // Reset form
       if (weightInput) weightInput.value = "";
       if (durationInput) durationInput.value = "";
       document.getElementById("notesInput").value = "";
-      alert("נשמר בהצלחה! 🔥");
+      fillMeasurementInputs("entryMeasurements", null);
+      alert(t("entry.saved"));
 
       // Go to History? Or stay.
       refreshChart(); // update chart immediately
     });
   }
 
+  // Meal Log
+  const mealForm = document.getElementById("mealForm");
+  if (mealForm) {
+    mealForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const nameInput = document.getElementById("mealNameInput");
+      const caloriesInput = document.getElementById("mealCaloriesInput");
+
+      const caloriesVal = parseFloat(caloriesInput.value.trim());
+      if (isNaN(caloriesVal) || caloriesVal < 0) {
+        alert(t("meals.invalidCalories"));
+        return;
+      }
+
+      const newMeal = {
+        id: generateEntryId(),
+        createdAt: new Date().toISOString(),
+        date: mealDateInput.value || getTodayDateString(),
+        mealType: document.getElementById("mealTypeSelect").value,
+        name: nameInput.value.trim(),
+        calories: caloriesVal,
+      };
+
+      meals.push(newMeal);
+      saveMeal(newMeal);
+      refreshAllUI();
+
+      nameInput.value = "";
+      caloriesInput.value = "";
+      nameInput.focus();
+    });
+  }
+
+  if (mealDateInput) mealDateInput.addEventListener("change", refreshMealLog);
+
   // Toggle show/hide entry form
   const toggleFormBtn = document.getElementById("toggleFormButton");
   const entryFormCard = document.getElementById("entryFormCard");
@@ -1060,39 +5599,181 @@ document.addEventListener("DOMContentLoaded", () => {
             : "fa-chevron-up text-[10px]");
       }
       if (label) {
-        label.textContent = isHidden ? "הצג טופס רישום" : "הסתר טופס רישום";
+        // Kept in data-i18n so a language switch keeps the right text
+        label.dataset.i18n = isHidden ? "entry.showForm" : "entry.hideForm";
+        label.textContent = t(label.dataset.i18n);
+      }
+    });
+  }
+
+  // Activity catalog: new activity form
+  const activityAddForm = document.getElementById("activityAddForm");
+  const newActivityIntensity = document.getElementById("newActivityIntensity");
+  const newActivityMet = document.getElementById("newActivityMet");
+  if (activityAddForm && newActivityIntensity && newActivityMet) {
+    // Suggest the intensity's typical MET (still editable)
+    newActivityIntensity.addEventListener("change", () => {
+      const intensity = ACTIVITY_INTENSITIES.find(
+        (i) => i.id === newActivityIntensity.value,
+      );
+      if (intensity) newActivityMet.value = intensity.met;
+    });
+
+    activityAddForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const nameInput = document.getElementById("newActivityName");
+      const error = addActivity(
+        nameInput.value,
+        newActivityIntensity.value,
+        parseFloat(newActivityMet.value),
+      );
+      if (error) {
+        alert(error);
+        return;
       }
+      nameInput.value = "";
     });
   }
 
   // Settings Save
   const settingsForm = document.getElementById("settingsForm");
+  const settingsUnitSelect = document.getElementById("settingsUnitSystem");
+  if (settingsForm && settingsUnitSelect) {
+    // Convert what is already typed to the newly picked units
+    settingsUnitSelect.addEventListener("change", () => {
+      const shown = settingsForm.dataset.unitSystem || getUnitSystem();
+      const goalWeightKg = readSettingsGoalWeightKg(shown);
+      fillSettingsUnitFields(
+        settingsUnitSelect.value,
+        readSettingsHeightCm(shown),
+        Number.isNaN(goalWeightKg) ? null : goalWeightKg,
+      );
+    });
+  }
   if (settingsForm) {
     settingsForm.addEventListener("submit", (e) => {
       e.preventDefault();
 
-      userSettings.firstName =
-        document.getElementById("settingsFirstName").value;
-      userSettings.heightCm = Number(
-        document.getElementById("settingsHeightCm").value,
+      // Read and check every field first, so a rejected form leaves the
+      // settings untouched. Height and goal weight are typed in the chosen
+      // units.
+      const unitSystem = document.getElementById("settingsUnitSystem").value;
+      const goalWeightVal = readSettingsGoalWeightKg(unitSystem);
+      if (Number.isNaN(goalWeightVal)) {
+        alert(t("settings.invalidGoalWeight"));
+        return;
+      }
+      const birthDateVal = document.getElementById("settingsBirthDate").value;
+      if (birthDateVal && birthDateVal >= getTodayDateString()) {
+        alert(t("settings.invalidBirthDate"));
+        return;
+      }
+      const waterTargetVal = Number(
+        document.getElementById("settingsWaterTarget").value,
       );
+      if (!(waterTargetVal >= 500 && waterTargetVal <= 6000)) {
+        alert(t("settings.invalidWaterTarget"));
+        return;
+      }
 
+      const languageSelect = document.getElementById("settingsLanguage");
       const wDay = document.getElementById("settingsWeighInDay").value;
-      userSettings.weighInDay = wDay !== "" ? Number(wDay) : null; // --- התוספת לתמונת הפרופיל ---
-
       const profilePicInput = document.getElementById("profilePicInput");
-      if (profilePicInput) {
-        userSettings.profilePicUrl = profilePicInput.value.trim();
-      }
+
+      Object.assign(userSettings, {
+        firstName: document.getElementById("settingsFirstName").value,
+        heightCm: readSettingsHeightCm(unitSystem),
+        unitSystem,
+        ...(languageSelect ? { language: languageSelect.value } : {}),
+        weighInDay: wDay !== "" ? Number(wDay) : null,
+        // --- התוספת לתמונת הפרופיל ---
+        ...(profilePicInput
+          ? { profilePicUrl: profilePicInput.value.trim() }
+          : {}),
+        goalWeightKg: goalWeightVal,
+        goalDate: document.getElementById("settingsGoalDate").value,
+        useTrendForLoss: document.getElementById("settingsUseTrendForLoss")
+          .checked,
+        birthDate: birthDateVal,
+        sex: document.getElementById("settingsSex").value,
+        activityLevel: document.getElementById("settingsActivityLevel").value,
+        weeklyLossRateKg: parseFloat(
+          document.getElementById("settingsWeeklyLossRate").value,
+        ),
+        waterTargetMl: waterTargetVal,
+        waterInStreak: document.getElementById("settingsWaterInStreak").checked,
+        streakType: document.getElementById("settingsStreakType").value,
+        streakGrace: Number(
+          document.getElementById("settingsStreakGrace").value,
+        ),
+      });
 
       saveSettings(userSettings);
       refreshAllUI();
       if (typeof updateProfilePic === "function") updateProfilePic(); // טעינת התמונה מיד
       closeSettingsModal();
-      alert("הגדרות נשמרו");
+      alert(t("settings.saved"));
+    });
+  }
+
+  // Water tracker
+  document.querySelectorAll("[data-water-amount]").forEach((btn) => {
+    btn.onclick = () => addWater(Number(btn.dataset.waterAmount));
+  });
+  const waterCustomBtn = document.getElementById("waterCustomAddButton");
+  const waterCustomInput = document.getElementById("waterCustomInput");
+  if (waterCustomBtn && waterCustomInput) {
+    waterCustomBtn.onclick = () => {
+      const amount = Number(waterCustomInput.value);
+      if (!Number.isInteger(amount) || amount <= 0 || amount > 3000) {
+        alert(t("water.invalidAmount"));
+        return;
+      }
+      addWater(amount);
+      waterCustomInput.value = "";
+    };
+  }
+  const waterUndoBtn = document.getElementById("waterUndoButton");
+  if (waterUndoBtn) waterUndoBtn.onclick = undoLastWater;
+
+  // Sleep log
+  const sleepForm = document.getElementById("sleepForm");
+  const sleepDateInput = document.getElementById("sleepDateInput");
+  if (sleepDateInput) sleepDateInput.value = getTodayDateString();
+  if (sleepForm) {
+    sleepForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const bedtime = document.getElementById("sleepBedtimeInput").value;
+      const wakeTime = document.getElementById("sleepWakeTimeInput").value;
+      if (!bedtime || !wakeTime) {
+        alert(t("sleep.timesRequired"));
+        return;
+      }
+      saveSleepForDate({
+        date: sleepDateInput.value || getTodayDateString(),
+        bedtime,
+        wakeTime,
+        quality: Number(document.getElementById("sleepQualitySelect").value),
+      });
     });
   }
 
+  // Profile switcher
+  const profileSwitcherBtn = document.getElementById("profileSwitcherButton");
+  const profileMenu = document.getElementById("profileMenu");
+  if (profileSwitcherBtn && profileMenu) {
+    profileSwitcherBtn.onclick = (e) => {
+      e.stopPropagation();
+      profileMenu.classList.toggle("hidden");
+    };
+    profileMenu.addEventListener("click", (e) => e.stopPropagation());
+    document.addEventListener("click", closeProfileMenu);
+  }
+  const newProfileBtn = document.getElementById("newProfileButton");
+  if (newProfileBtn) newProfileBtn.onclick = promptNewProfile;
+  const renameProfileBtn = document.getElementById("renameProfileButton");
+  if (renameProfileBtn) renameProfileBtn.onclick = renameActiveProfile;
+
   // --- MODALS ---
   const openSettingsBtn = document.getElementById("openSettingsModalButton");
   if (openSettingsBtn) openSettingsBtn.onclick = openSettingsModal;
@@ -1100,6 +5781,57 @@ document.addEventListener("DOMContentLoaded", () => {
   const closeSettingsBtn = document.getElementById("closeSettingsModalButton");
   if (closeSettingsBtn) closeSettingsBtn.onclick = closeSettingsModal;
 
+  const editEntryForm = document.getElementById("editEntryForm");
+  if (editEntryForm) {
+    editEntryForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      saveEditedEntry();
+    });
+  }
+
+  // Import CSV
+  const importCsvBtn = document.getElementById("importCsvButton");
+  const importCsvInput = document.getElementById("importCsvInput");
+  if (importCsvBtn && importCsvInput) {
+    importCsvBtn.onclick = () => importCsvInput.click();
+    importCsvInput.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (evt) => openCsvImport(evt.target.result);
+      reader.readAsText(file);
+      importCsvInput.value = "";
+    };
+  }
+  const confirmCsvImportBtn = document.getElementById("confirmCsvImportButton");
+  if (confirmCsvImportBtn) confirmCsvImportBtn.onclick = confirmCsvImport;
+  const closeCsvImportBtn = document.getElementById("closeCsvImportButton");
+  if (closeCsvImportBtn) closeCsvImportBtn.onclick = closeCsvImport;
+
+  // Restore preview
+  const confirmRestoreBtn = document.getElementById("confirmRestoreButton");
+  if (confirmRestoreBtn) {
+    confirmRestoreBtn.onclick = () => {
+      if (pendingRestorePlan) applyRestorePlan(pendingRestorePlan);
+    };
+  }
+  ["cancelRestoreButton", "closeRestorePreviewButton"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.onclick = closeRestorePreview;
+  });
+  const keepAllLocalBtn = document.getElementById("restoreKeepAllLocal");
+  if (keepAllLocalBtn)
+    keepAllLocalBtn.onclick = () => setAllRestoreChoices("local");
+  const takeAllBackupBtn = document.getElementById("restoreTakeAllBackup");
+  if (takeAllBackupBtn) {
+    takeAllBackupBtn.onclick = () => setAllRestoreChoices("backup");
+  }
+
+  const closeEditEntryBtn = document.getElementById(
+    "closeEditEntryModalButton",
+  );
+  if (closeEditEntryBtn) closeEditEntryBtn.onclick = closeEditEntryModal;
+
   // --- ACTIONS ---
 
   // Notification Request
@@ -1110,14 +5842,139 @@ document.addEventListener("DOMContentLoaded", () => {
     };
   }
 
+  // History: filters, sorting, pages and export of the filtered entries
+  [
+    ["historyFromFilter", "from"],
+    ["historyToFilter", "to"],
+    ["historyActivityFilter", "activity"],
+    ["historySearch", "search"],
+  ].forEach(([id, key]) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.addEventListener(id === "historySearch" ? "input" : "change", () => {
+      historyState[key] = input.value;
+      // A start after the end is taken as the same range the other way
+      // round, as in the chart's custom range
+      const { from, to } = historyState;
+      if (from && to && from > to) {
+        historyState.from = to;
+        historyState.to = from;
+        document.getElementById("historyFromFilter").value = to;
+        document.getElementById("historyToFilter").value = from;
+      }
+      historyState.page = 0;
+      refreshHistoryTable();
+    });
+  });
+  const historyClearBtn = document.getElementById("historyClearFilters");
+  if (historyClearBtn) {
+    historyClearBtn.onclick = () => {
+      historyState = {
+        ...historyState,
+        from: "",
+        to: "",
+        activity: "",
+        search: "",
+        page: 0,
+      };
+      ["historyFromFilter", "historyToFilter", "historySearch"].forEach(
+        (id) => (document.getElementById(id).value = ""),
+      );
+      refreshHistoryTable();
+    };
+  }
+  document.querySelectorAll("[data-history-sort]").forEach((btn) => {
+    btn.onclick = () => {
+      const key = btn.dataset.historySort;
+      historyState.sortDir =
+        historyState.sortKey === key && historyState.sortDir === "desc"
+          ? "asc"
+          : "desc";
+      historyState.sortKey = key;
+      historyState.page = 0;
+      refreshHistoryTable();
+    };
+  });
+  [
+    ["historyPrevPage", -1],
+    ["historyNextPage", 1],
+  ].forEach(([id, step]) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.onclick = () => {
+      historyState.page = Math.max(0, historyState.page + step);
+      refreshHistoryTable();
+    };
+  });
+  const historyExportBtn = document.getElementById("historyExportCsv");
+  if (historyExportBtn) historyExportBtn.onclick = exportHistoryToCsv;
+
+  // Weight chart: range presets, custom range and the calories bars
+  document.querySelectorAll("[data-chart-range]").forEach((btn) => {
+    btn.onclick = () => {
+      chartRange.preset = btn.dataset.chartRange;
+      refreshChart();
+    };
+  });
+  [
+    ["chartRangeFrom", "from"],
+    ["chartRangeTo", "to"],
+  ].forEach(([id, key]) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.onchange = () => {
+      chartRange[key] = input.value;
+      // A start after the end is taken as the same range the other way round
+      const { from, to } = chartRange;
+      if (from && to && from > to) {
+        chartRange.from = to;
+        chartRange.to = from;
+      }
+      refreshChart();
+    };
+  });
+  const chartCaloriesToggle = document.getElementById("chartShowCalories");
+  if (chartCaloriesToggle) {
+    chartCaloriesToggle.onchange = () => {
+      chartShowCalories = chartCaloriesToggle.checked;
+      refreshChart();
+    };
+  }
+
+  // Heatmap: color by minutes or calories
+  document.querySelectorAll(".heatmap-metric-button").forEach((btn) => {
+    btn.onclick = () => {
+      heatmapState.metric = btn.dataset.heatmapMetric;
+      refreshHeatmap();
+    };
+  });
+
+  // Reminder schedule
+  const addReminderBtn = document.getElementById("addReminderButton");
+  if (addReminderBtn) addReminderBtn.onclick = addReminder;
+  ["quietHoursStart", "quietHoursEnd"].forEach((key) => {
+    const input = document.getElementById(key);
+    if (!input) return;
+    input.onchange = () => {
+      userSettings[key] = input.value;
+      saveSettings(userSettings);
+    };
+  });
+
   // Clear Data
   const clearBtn = document.getElementById("clearDataButton");
   if (clearBtn) {
     clearBtn.onclick = () => {
-      if (confirm("בטוח למחוק הכל? אין דרך חזרה.")) {
+      if (confirm(t("data.confirmReset"))) {
         entries = [];
-        userSettings = { firstName: "", heightCm: null, weighInDay: null };
+        meals = [];
+        waterLogs = [];
+        sleepLogs = [];
+        userSettings = getDefaultSettings();
         saveEntries(entries);
+        saveMeals(meals);
+        saveWaterLogs(waterLogs);
+        saveSleepLogs(sleepLogs);
         saveSettings(userSettings);
         refreshAllUI();
       }
@@ -1130,7 +5987,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Export CSV
   const expCsvBtn = document.getElementById("exportCsvButton");
-  if (expCsvBtn) expCsvBtn.onclick = exportToCsv;
+  if (expCsvBtn) expCsvBtn.onclick = () => exportToCsv();
 
   // Import JSON
   const restoreBtn = document.getElementById("restoreBackupJsonButton");
@@ -1149,71 +6006,84 @@ document.addEventListener("DOMContentLoaded", () => {
       restoreInput.value = "";
     };
   }
+
+  // --- LOAD STORED DATA ---
+  loadAppData()
+    .catch((e) => {
+      console.error("Failed to load stored data:", e);
+      alert(t("storage.loadFailed"));
+    })
+    .then(() => {
+      refreshAllUI();
+      // Badges met by data from before achievements existed
+      checkAchievements({ silent: true });
+
+      startReminderScheduler();
+    });
 });
 // --- פונקציות העתקה ללוח (Clipboard) ---
 
 // העתקת ה-CSV ללוח
 async function copyCsvToClipboard() {
-  if (!entries.length) return alert("אין נתונים להעתקה");
-
-  // בניית ה-CSV בזיכרון
-  const header = [
-    "Date",
-    "Weight (kg)",
-    "Activity",
-    "Duration",
-    "Calories",
-    "Notes",
-  ];
-  const rows = entries.map((e) => {
-    const note = (e.notes || "").replace(/"/g, '""');
-    return `${e.date},${e.weight || ""},${e.activityType},${e.duration || 0},${e.calories || 0},"${note}"`;
-  });
-  const csvText = [header.join(","), ...rows].join("\n");
+  if (!entries.length && !meals.length) return alert(t("copy.noData"));
+
+  // בניית ה-CSV בזיכרון (אותו פורמט כמו ייצוא לקובץ)
+  const csvText = DietCsv.stringify(buildCsvRows());
 
   try {
     await navigator.clipboard.writeText(csvText);
-    alert("הנתונים הועתקו ללוח! אפשר להדביק בוואטסאפ.");
+    alert(t("copy.csvCopied"));
   } catch (err) {
-    alert("שגיאה בהעתקה. נסה שוב.");
+    alert(t("copy.failedRetry"));
   }
 }
 
 // העתקת הגיבוי המלא (JSON) ללוח
 async function copyBackupToClipboard() {
-  const data = {
-    version: 1,
-    exportedAt: new Date().toISOString(),
-    logs: entries,
-  };
+  const data = buildFullBackup();
   try {
     await navigator.clipboard.writeText(JSON.stringify(data, null, 2));
-    alert("קוד הגיבוי הועתק! שמור אותו במקום בטוח.");
+    alert(t("copy.backupCopied"));
   } catch (err) {
-    alert("שגיאה בהעתקה.");
+    alert(t("copy.failed"));
   }
 }
-// --- קסם: יצירת תזכורת ביומן הטלפון ---
-function addToCalendar() {
-  // הגדרת הפרטים
-  const title = encodeURIComponent("🏃 תזכורת: יומן מעקב דיאטה");
-  const details = encodeURIComponent(
-    "הזמן היומי שלך למלא משקל ופעילות באפליקציה! היכנס לקישור.",
-  );
-
-  // זמנים (מתחיל מהיום ב-20:00 עד 20:15)
-  const now = new Date();
-  now.setHours(20, 0, 0, 0);
-  const start = now.toISOString().replace(/-|:|\.\d\d\d/g, ""); // פורמט מיוחד לגוגל
-  const end = new Date(now.getTime() + 15 * 60000)
-    .toISOString()
-    .replace(/-|:|\.\d\d\d/g, "");
+// Export the enabled reminders as an .ics file (one recurring event each,
+// at the reminder's time on its days) that any calendar app can import
+async function addToCalendar() {
+  const today = dateFromYMD(getTodayDateString());
+  const events = userSettings.reminders
+    .filter((r) => r.enabled && r.days.length)
+    .map((reminder) => {
+      // First occurrence: today or the next day the reminder is on
+      const start = new Date(today);
+      while (!reminder.days.includes(start.getDay())) {
+        start.setDate(start.getDate() + 1);
+      }
+      const [hours, minutes] = reminder.time.split(":").map(Number);
+      start.setHours(hours, minutes, 0, 0);
+
+      return {
+        uid: `${reminder.id}@diet-tracker`,
+        start,
+        durationMinutes: CALENDAR_EVENT_MINUTES,
+        summary: t(`calendar.event.${reminder.type}`),
+        description: t("calendar.details"),
+        rrule: DietIcs.buildWeeklyRule(reminder.days),
+        alarm: true,
+      };
+    });
 
-  // יצירת הקישור הישיר לגוגל קלנדר
-  const googleCalUrl = `https://calendar.google.com/calendar/render?action=TEMPLATE&text=${title}&details=${details}&dates=${start}/${end}&recur=RRULE:FREQ=DAILY`;
+  if (!events.length) {
+    alert(t("calendar.noReminders"));
+    return;
+  }
 
-  // פתיחה בחלון חדש (הדפדפן של ה-QIN יפתח את זה כאתר רגיל)
-  window.open(googleCalUrl, "_blank");
+  const blob = new Blob([DietIcs.stringify(events)], {
+    type: "text/calendar;charset=utf-8",
+  });
+  const fileName = `DietTracker_Reminders_${getTodayDateString()}.ics`;
+  await smartExport(blob, fileName, t("calendar.shareTitle"));
 }
 // --- פונקציות עזר חדשות ---
 
@@ -1228,24 +6098,11 @@ function getFormattedDateForFile() {
 
 // 2. שחזור מגיבוי על ידי הדבקת טקסט
 function restoreFromText() {
-  const jsonText = prompt("הדבק כאן את קוד הגיבוי (JSON) שהעתקת:");
+  const jsonText = prompt(t("restore.pastePrompt"));
   if (!jsonText) return;
 
-  try {
-    const parsedData = JSON.parse(jsonText);
-    if (parsedData && parsedData.logs) {
-      // קריאה לפונקציית המיזוג החכמה שכבר קיימת בקוד
-      restoreFullBackupJsonFromText(jsonText);
-      if (typeof updateProfilePic === "function") updateProfilePic();
-    } else {
-      alert("הטקסט שהודבק לא נראה כמו קובץ גיבוי תקין.");
-    }
-  } catch (e) {
-    alert(
-      "שגיאה בפענוח הטקסט. וודא שהעתקת את הגיבוי במלואו (ללא תוספות מסביב).",
-    );
-    console.error(e);
-  }
+  // אותו מסלול כמו שחזור מקובץ: בדיקת תקינות ותצוגה מקדימה לפני כתיבה
+  restoreFullBackupJsonFromText(jsonText.trim());
 }
 
 // 3. עדכון תמונת הפרופיל בראש הדף
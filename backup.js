@@ -0,0 +1,465 @@
+// backup.js
+// Versioned JSON backup format: build, upgrade, validate and diff.
+// Exposes a global `DietBackup` used by the backup / restore code in app.js.
+//
+// Backup format, version 4:
+//
+//   {
+//     "format": "diet-tracker-backup",
+//     "version": 4,
+//     "exportedAt": "2024-05-01T18:30:00.000Z",   // ISO timestamp
+//     "profile": { "id": "…", "name": "…" },      // optional, source profile
+//     "userSettings": {                           // see getDefaultSettings
+//       ...,
+//       "unitSystem": "metric" | "imperial",      // display only
+//       "language": "he" | "en",                  // UI language (i18n.js)
+//       "activities": [                           // activity catalog
+//         {
+//           "id": "…", "name": "…",
+//           "intensity": "light" | "moderate" | "vigorous",
+//           "met": 4.0,                           // > 0
+//           "hidden": false,                      // not offered in forms
+//           "deleted": false                      // kept for old entries
+//         }
+//       ]
+//     },
+//     "logs": [                                   // daily entries
+//       {
+//         "id": "…",                              // unique, non-empty
+//         "createdAt": "…",                       // ISO timestamp
+//         "updatedAt": "…",                       // optional, set on edit
+//         "date": "YYYY-MM-DD",
+//         "weight": 72.5 | null,                  // kg, > 0
+//         "measurements": {                       // optional, cm / %, > 0
+//           "waistCm", "hipsCm", "chestCm", "armCm", "thighCm": 80,
+//           "bodyFatPct": 24
+//         },
+//         "activityId": "…",                      // optional, catalog id
+//         "activityType": "…",                    // activity name, display only
+//         "durationMinutes": 30 | null,           // whole minutes, > 0
+//         "notes": "…"
+//       }
+//     ],
+//     "meals": [                                  // food log
+//       {
+//         "id": "…", "createdAt": "…", "date": "YYYY-MM-DD",
+//         "mealType": "breakfast" | "lunch" | "dinner" | "snack",
+//         "name": "…",
+//         "calories": 350                         // kcal, >= 0
+//       }
+//     ],
+//     "water": [                                  // water intake log
+//       {
+//         "id": "…", "createdAt": "…", "date": "YYYY-MM-DD",
+//         "amountMl": 250                         // ml, > 0
+//       }
+//     ],
+//     "sleep": [                                  // one per night
+//       {
+//         "id": "…", "createdAt": "…",
+//         "date": "YYYY-MM-DD",                   // the morning of waking up
+//         "bedtime": "HH:MM", "wakeTime": "HH:MM",
+//         "quality": 1-5
+//       }
+//     ]
+//   }
+//
+// Weights are always kg and lengths always cm, whatever unitSystem the
+// user displays, so a backup restores the same values on any device.
+//
+// Older versions are read through UPGRADERS, one step at a time:
+//   version 1 (or no version): { version, exportedAt, userSettings?, logs,
+//   meals? }, logs possibly without id / createdAt (one log per date).
+//   version 2: as version 3, without "water".
+//   version 3: as version 4, without "sleep".
+
+(function (global) {
+  "use strict";
+
+  // Error messages come from the UI message catalog
+  const { t } = global.DietI18n;
+
+  const BACKUP_FORMAT = "diet-tracker-backup";
+  const BACKUP_VERSION = 4;
+
+  const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  // v1 restore accepted numbers typed as strings ("72.5"); keep doing so.
+  function toNumberOrNull(value, parse) {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value.trim() !== "") {
+      const n = parse(value.trim());
+      return isNaN(n) ? value : n;
+    }
+    return value == null || value === "" ? null : value;
+  }
+
+  // Same deterministic id / timestamp app.js gives date-keyed entries, so
+  // an upgraded v1 backup maps onto already-migrated local entries.
+  function legacyLog(log) {
+    if (!log || typeof log !== "object" || !log.date) return log;
+    const [y, m, d] = String(log.date).split("-").map(Number);
+    const noon = new Date(y, m - 1, d, 12, 0, 0, 0);
+    return {
+      ...log,
+      id: log.id || `legacy-${log.date}`,
+      createdAt:
+        log.createdAt || (isNaN(noon.getTime()) ? "" : noon.toISOString()),
+      weight: toNumberOrNull(log.weight, parseFloat),
+      durationMinutes: toNumberOrNull(log.durationMinutes, (v) =>
+        parseInt(v, 10),
+      ),
+      activityType: log.activityType || "",
+      notes: log.notes || "",
+    };
+  }
+
+  // UPGRADERS[v] turns a version v backup into version v + 1.
+  const UPGRADERS = {
+    1: (backup) => ({
+      format: BACKUP_FORMAT,
+      version: 2,
+      exportedAt: backup.exportedAt || "",
+      userSettings: backup.userSettings || null,
+      logs: Array.isArray(backup.logs) ? backup.logs.map(legacyLog) : [],
+      meals: Array.isArray(backup.meals) ? backup.meals : [],
+    }),
+    2: (backup) => ({ ...backup, version: 3, water: [] }),
+    3: (backup) => ({ ...backup, version: 4, sleep: [] }),
+  };
+
+  function build({ profile, userSettings, logs, meals, water, sleep }) {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile,
+      userSettings,
+      logs,
+      meals,
+      water,
+      sleep,
+    };
+  }
+
+  // Parse backup text and upgrade it to the current version.
+  // Returns { ok: true, backup, fromVersion } or { ok: false, error }.
+  function parse(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      return { ok: false, error: t("backup.invalidJson") };
+    }
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { ok: false, error: t("backup.invalidStructure") };
+    }
+
+    const fromVersion = raw.version === undefined ? 1 : Number(raw.version);
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      return {
+        ok: false,
+        error: t("backup.unknownVersion", { version: raw.version }),
+      };
+    }
+    if (fromVersion > BACKUP_VERSION) {
+      return {
+        ok: false,
+        error: t("backup.newerVersion", { version: fromVersion }),
+      };
+    }
+    if (fromVersion >= 2 && raw.format !== BACKUP_FORMAT) {
+      return { ok: false, error: t("backup.wrongFormat") };
+    }
+    if (fromVersion === 1 && !Array.isArray(raw.logs)) {
+      return { ok: false, error: t("backup.noLogs") };
+    }
+    if (
+      raw.profile != null &&
+      (typeof raw.profile !== "object" ||
+        typeof raw.profile.id !== "string" ||
+        !raw.profile.id)
+    ) {
+      return { ok: false, error: t("backup.invalidProfile") };
+    }
+
+    let backup = raw;
+    for (let v = fromVersion; v < BACKUP_VERSION; v++) {
+      backup = UPGRADERS[v](backup);
+    }
+    return { ok: true, backup, fromVersion };
+  }
+
+  function isIsoTimestamp(value) {
+    return typeof value === "string" && !isNaN(new Date(value).getTime());
+  }
+
+  function isPositiveNumberOrNull(value) {
+    return value === null || (typeof value === "number" && value > 0);
+  }
+
+  function validateLog(log) {
+    const problems = [];
+    if (!log || typeof log !== "object") return [t("backup.recordNotObject")];
+    if (typeof log.id !== "string" || !log.id)
+      problems.push(`id: ${t("backup.missingId")}`);
+    if (!YMD_PATTERN.test(log.date || "")) {
+      problems.push(`date: ${t("backup.invalidDate")}`);
+    }
+    if (!isIsoTimestamp(log.createdAt)) {
+      problems.push(`createdAt: ${t("backup.invalidTimestamp")}`);
+    }
+    if (log.updatedAt !== undefined && !isIsoTimestamp(log.updatedAt)) {
+      problems.push(`updatedAt: ${t("backup.invalidTimestamp")}`);
+    }
+    if (!isPositiveNumberOrNull(log.weight == null ? null : log.weight)) {
+      problems.push(`weight: ${t("backup.invalidWeight")}`);
+    }
+    const duration = log.durationMinutes == null ? null : log.durationMinutes;
+    if (
+      !isPositiveNumberOrNull(duration) ||
+      (duration !== null && !Number.isInteger(duration))
+    ) {
+      problems.push(`durationMinutes: ${t("backup.invalidDuration")}`);
+    }
+    if (log.measurements != null) {
+      if (typeof log.measurements !== "object") {
+        problems.push(`measurements: ${t("backup.mustBeObject")}`);
+      } else {
+        Object.keys(log.measurements).forEach((key) => {
+          const value = log.measurements[key];
+          if (!(typeof value === "number" && value > 0)) {
+            problems.push(`measurements.${key}: ${t("backup.mustBePositive")}`);
+          }
+        });
+      }
+    }
+    if (log.activityId != null && typeof log.activityId !== "string") {
+      problems.push(`activityId: ${t("backup.mustBeText")}`);
+    }
+    if (log.activityType != null && typeof log.activityType !== "string") {
+      problems.push(`activityType: ${t("backup.mustBeText")}`);
+    }
+    if (log.notes != null && typeof log.notes !== "string") {
+      problems.push(`notes: ${t("backup.mustBeText")}`);
+    }
+    return problems;
+  }
+
+  function validateMeal(meal) {
+    const problems = [];
+    if (!meal || typeof meal !== "object") return [t("backup.itemNotObject")];
+    if (typeof meal.id !== "string" || !meal.id)
+      problems.push(`id: ${t("backup.missingId")}`);
+    if (!YMD_PATTERN.test(meal.date || "")) {
+      problems.push(`date: ${t("backup.invalidDate")}`);
+    }
+    if (!isIsoTimestamp(meal.createdAt)) {
+      problems.push(`createdAt: ${t("backup.invalidTimestamp")}`);
+    }
+    if (typeof meal.mealType !== "string" || !meal.mealType) {
+      problems.push(`mealType: ${t("backup.missingMealType")}`);
+    }
+    if (typeof meal.calories !== "number" || !(meal.calories >= 0)) {
+      problems.push(`calories: ${t("backup.invalidCalories")}`);
+    }
+    if (meal.name != null && typeof meal.name !== "string") {
+      problems.push(`name: ${t("backup.mustBeText")}`);
+    }
+    return problems;
+  }
+
+  function validateWaterLog(log) {
+    const problems = [];
+    if (!log || typeof log !== "object") return [t("backup.recordNotObject")];
+    if (typeof log.id !== "string" || !log.id)
+      problems.push(`id: ${t("backup.missingId")}`);
+    if (!YMD_PATTERN.test(log.date || "")) {
+      problems.push(`date: ${t("backup.invalidDate")}`);
+    }
+    if (!isIsoTimestamp(log.createdAt)) {
+      problems.push(`createdAt: ${t("backup.invalidTimestamp")}`);
+    }
+    if (typeof log.amountMl !== "number" || !(log.amountMl > 0)) {
+      problems.push(`amountMl: ${t("backup.invalidAmount")}`);
+    }
+    return problems;
+  }
+
+  function validateSleepLog(log) {
+    const problems = [];
+    if (!log || typeof log !== "object") return [t("backup.recordNotObject")];
+    if (typeof log.id !== "string" || !log.id)
+      problems.push(`id: ${t("backup.missingId")}`);
+    if (!YMD_PATTERN.test(log.date || "")) {
+      problems.push(`date: ${t("backup.invalidDate")}`);
+    }
+    if (!isIsoTimestamp(log.createdAt)) {
+      problems.push(`createdAt: ${t("backup.invalidTimestamp")}`);
+    }
+    if (!TIME_PATTERN.test(log.bedtime || "")) {
+      problems.push(`bedtime: ${t("backup.invalidTime")}`);
+    }
+    if (!TIME_PATTERN.test(log.wakeTime || "")) {
+      problems.push(`wakeTime: ${t("backup.invalidTime")}`);
+    }
+    if (!Number.isInteger(log.quality) || log.quality < 1 || log.quality > 5) {
+      problems.push(`quality: ${t("backup.invalidQuality")}`);
+    }
+    return problems;
+  }
+
+  // Validator of each record list in the backup
+  const LIST_VALIDATORS = {
+    logs: validateLog,
+    meals: validateMeal,
+    water: validateWaterLog,
+    sleep: validateSleepLog,
+  };
+
+  function validateSettings(settings) {
+    const problems = [];
+    if (typeof settings !== "object" || Array.isArray(settings)) {
+      return [`userSettings: ${t("backup.mustBeObject")}`];
+    }
+    // 0 / "" mean "not set" (that is how an empty height field is saved)
+    if (settings.heightCm != null && !(Number(settings.heightCm) >= 0)) {
+      problems.push(`userSettings.heightCm: ${t("backup.invalidHeight")}`);
+    }
+    if (
+      settings.weighInDay != null &&
+      !(
+        Number.isInteger(settings.weighInDay) &&
+        settings.weighInDay >= 0 &&
+        settings.weighInDay <= 6
+      )
+    ) {
+      problems.push(
+        `userSettings.weighInDay: ${t("backup.invalidWeighInDay")}`,
+      );
+    }
+    if (settings.activities != null) {
+      if (!Array.isArray(settings.activities)) {
+        problems.push(`userSettings.activities: ${t("backup.mustBeList")}`);
+      } else {
+        settings.activities.forEach((a, i) => {
+          if (!a || typeof a.id !== "string" || !a.id) {
+            problems.push(
+              `userSettings.activities[${i}]: ${t("backup.missingId")}`,
+            );
+          } else if (typeof a.name !== "string" || !a.name.trim()) {
+            problems.push(
+              `userSettings.activities[${i}]: ${t("backup.missingName")}`,
+            );
+          } else if (!(Number(a.met) > 0)) {
+            problems.push(
+              `userSettings.activities[${i}]: ${t("backup.invalidMet")}`,
+            );
+          }
+        });
+      }
+    }
+    return problems;
+  }
+
+  // Validate an (upgraded) backup. Invalid records are reported one by one
+  // and left out of `valid`, so the rest can still be used.
+  // Returns { errors: [{ path, label, problems }], valid: { logs, meals,
+  // water, sleep }, settings } where settings is null if missing or invalid.
+  function validate(backup) {
+    const errors = [];
+
+    const checkList = (list, listName, validator, describe) => {
+      const valid = [];
+      const seenIds = new Set();
+      (Array.isArray(list) ? list : []).forEach((record, index) => {
+        const problems = validator(record);
+        if (!problems.length && seenIds.has(record.id)) {
+          problems.push(`id: ${t("backup.duplicateId", { id: record.id })}`);
+        }
+        if (problems.length) {
+          errors.push({
+            path: `${listName}[${index}]`,
+            label: describe(record),
+            problems,
+          });
+          return;
+        }
+        seenIds.add(record.id);
+        valid.push(record);
+      });
+      return valid;
+    };
+
+    const describeRecord = (r) =>
+      r && typeof r === "object" ? r.date || r.id || "" : "";
+
+    const valid = {};
+    Object.keys(LIST_VALIDATORS).forEach((listName) => {
+      valid[listName] = checkList(
+        backup[listName],
+        listName,
+        LIST_VALIDATORS[listName],
+        describeRecord,
+      );
+    });
+
+    let settings = null;
+    if (backup.userSettings != null) {
+      const problems = validateSettings(backup.userSettings);
+      if (problems.length) {
+        errors.push({ path: "userSettings", label: "", problems });
+      } else {
+        settings = backup.userSettings;
+      }
+    }
+
+    return { errors, valid, settings };
+  }
+
+  // Compare records by id. isEqual(local, incoming) decides "identical".
+  // Returns { added, identical, conflicts: [{ id, local, incoming }] }.
+  function diffById(localList, incomingList, isEqual) {
+    const localById = new Map(localList.map((r) => [r.id, r]));
+    const added = [];
+    const identical = [];
+    const conflicts = [];
+
+    incomingList.forEach((incoming) => {
+      const local = localById.get(incoming.id);
+      if (!local) added.push(incoming);
+      else if (isEqual(local, incoming)) identical.push(incoming);
+      else conflicts.push({ id: incoming.id, local, incoming });
+    });
+
+    return { added, identical, conflicts };
+  }
+
+  // JSON with sorted keys, for order-independent equality checks
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(stableStringify).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+      const keys = Object.keys(value)
+        .filter((k) => value[k] !== undefined)
+        .sort();
+      return `{${keys
+        .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+        .join(",")}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  global.DietBackup = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    build,
+    parse,
+    validate,
+    diffById,
+    stableStringify,
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,107 @@
+// csv.js
+// Minimal RFC 4180 CSV reader / writer.
+// Exposes a global `DietCsv`; the column layout itself lives in app.js.
+//
+// Reading handles a UTF-8 BOM, quoted fields with commas, quotes ("") and
+// line breaks, CRLF / LF endings, and ";" or tab separators (Excel in some
+// locales saves with ";").
+
+(function (global) {
+  "use strict";
+
+  const BOM = "\uFEFF";
+
+  // Pick the separator that appears most in the first line (outside quotes)
+  function detectDelimiter(text) {
+    const counts = { ",": 0, ";": 0, "\t": 0 };
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+      else if (!inQuotes && ch in counts) counts[ch]++;
+    }
+    return Object.keys(counts).reduce((best, d) =>
+      counts[d] > counts[best] ? d : best,
+    );
+  }
+
+  // Parse CSV text into rows of string fields.
+  // Each row also carries its 1-based starting line number (`row.line`),
+  // so callers can report errors against what the user sees in an editor.
+  function parse(text, delimiter) {
+    let input = String(text || "");
+    if (input.startsWith(BOM)) input = input.slice(1);
+    const sep = delimiter || detectDelimiter(input);
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+      row.push(field);
+      field = "";
+    };
+    const endRow = () => {
+      endField();
+      // Skip fully empty lines
+      if (row.length > 1 || row[0] !== "") {
+        row.line = rowLine;
+        rows.push(row);
+      }
+      row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+      const ch = input[i];
+
+      if (inQuotes) {
+        if (ch === '"') {
+          if (input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          if (ch === "\n") line++;
+          field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"' && field === "") {
+        inQuotes = true;
+      } else if (ch === sep) {
+        endField();
+      } else if (ch === "\r" || ch === "\n") {
+        if (ch === "\r" && input[i + 1] === "\n") i++;
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        field += ch;
+      }
+    }
+
+    if (field !== "" || row.length) endRow();
+    return rows;
+  }
+
+  function escapeField(value) {
+    if (value === null || value === undefined) return "";
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  // Rows of values -> CSV text. withBom adds the BOM Excel needs for Hebrew.
+  function stringify(rows, { withBom = false } = {}) {
+    const body = rows.map((r) => r.map(escapeField).join(",")).join("\r\n");
+    return (withBom ? BOM : "") + body;
+  }
+
+  global.DietCsv = { parse, stringify, detectDelimiter };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -1,6 +1,7 @@
 // data.js
 // Pure content module for motivational data and any other static text.
-// Exposes a global array `motivationalQuotes` that app.js can consume.
+// Exposes a global array `motivationalQuotes` (Hebrew) that app.js can
+// consume, and `motivationalQuotesByLocale` with a list per UI language.
 
 (function (global) {
   const motivationalQuotes = [
@@ -67,10 +68,42 @@
     "בהשראת הרמב״ם: הגוף הוא הכלי לנשמה, ושמירה עליו היא עבודת קודש יומיומית.",
   ];
 
+  const englishQuotes = [
+    "Every minute of walking is an investment in your health.",
+    "Your body is built from the small habits of every day.",
+    "A small change today saves a big sacrifice tomorrow.",
+    "It's never too late to start taking care of yourself.",
+    "Two minutes of moving beat zero minutes of sitting.",
+    "Big successes are built from small, consistent steps.",
+    "Your next healthy choice matters more than your last bad one.",
+    "A short walk after a meal is good for body and mind.",
+    "The number on the scale doesn't define your worth.",
+    "Movement is a celebration of what your body can do.",
+    "Right before giving up, remind yourself why you started.",
+    "You don't have to be perfect, you have to be consistent.",
+    "Even if today wasn't perfect, your next meal is a new choice.",
+    "Discipline is choosing what you want most over what you want now.",
+    "The shortest way to the goal is not quitting halfway.",
+    "Good food is an act of self-care, not a punishment.",
+    "A glass of water before every meal is a simple, healthy start.",
+    "No effort is wasted – your body remembers every workout.",
+    "The scale gives you data, not a verdict.",
+    "Good sleep is an essential part of a successful diet.",
+    "Slow and steady is the fastest way to lasting results.",
+    "The next mile starts with the next step, not the next thought.",
+    "Your weight may drop slowly, but your confidence grows fast.",
+    "Mistakes are allowed, giving up is not.",
+  ];
+
+  const motivationalQuotesByLocale = {
+    he: motivationalQuotes,
+    en: englishQuotes,
+  };
+
   // Expose as global (for browser) and as module export (for potential tooling)
   global.motivationalQuotes = motivationalQuotes;
+  global.motivationalQuotesByLocale = motivationalQuotesByLocale;
   if (typeof module !== "undefined" && module.exports) {
-    module.exports = { motivationalQuotes };
+    module.exports = { motivationalQuotes, motivationalQuotesByLocale };
   }
 })(typeof window !== "undefined" ? window : globalThis);
-
@@ -0,0 +1,1301 @@
+// i18n.js
+// UI message catalogs (Hebrew / English) and the language switch.
+// Exposes a global `DietI18n`; app.js and backup.js read every UI string
+// through t(), index.html is translated by translateDom().
+//
+// Messages use flat dotted keys ("dashboard.totalLoss") with {name}
+// placeholders: t("goal.pace", { rate, date }). When params.count is 1 a
+// "<key>_one" variant is used if it exists. A key missing in a language
+// falls back to Hebrew, then to the key itself.
+//
+// Static text in index.html is marked with data-i18n="key" (text content)
+// and data-i18n-placeholder / data-i18n-aria-label / data-i18n-title
+// (attributes). Stored data never holds translated text that code depends
+// on: activities, meal types etc. are matched by id.
+
+(function (global) {
+  "use strict";
+
+  const LOCALES = {
+    he: { dir: "rtl", intl: "he-IL" },
+    en: { dir: "ltr", intl: "en-US" },
+  };
+  const DEFAULT_LOCALE = "he";
+
+  const MESSAGES = {
+    he: {
+      // App
+      "app.title": "מעקב תזונה וכושר אישי",
+      // Greeting
+      "greeting.welcome": "ברוך הבא!",
+      "greeting.subtitleNew": "המסע הבריא שלך מתחיל כאן",
+      "greeting.morning": "בוקר טוב",
+      "greeting.afternoon": "צהריים טובים",
+      "greeting.evening": "ערב טוב",
+      "greeting.subtitleReturning": "כיף לראות אותך שוב במעקב.",
+      // Profiles
+      "profile.switch": "החלפת פרופיל",
+      "profile.new": "פרופיל חדש",
+      "profile.rename": "שינוי שם הפרופיל הנוכחי",
+      "profile.defaultName": "פרופיל ראשי",
+      "profile.loadFailed": "שגיאה בטעינת הפרופיל.",
+      "profile.newPrompt": "שם הפרופיל החדש:",
+      "profile.nameRequired": "נא להזין שם לפרופיל.",
+      "profile.renamePrompt": "שם הפרופיל:",
+      "profile.confirmDelete":
+        'למחוק את הפרופיל "{name}" וכל הנתונים שלו? אין דרך חזרה.',
+      "profile.delete": "מחק פרופיל",
+      // Settings
+      "settings.open": "הגדרות משתמש",
+      "settings.title": "הגדרות אישיות",
+      "settings.close": "סגירת חלון הגדרות",
+      "settings.intro":
+        "שמרו כאן את הפרטים האישיים שלכם כדי לקבל חישובי BMI ותזכורות שקילה חכמות.",
+      "settings.firstName": "שם פרטי",
+      "settings.firstNamePlaceholder": "לדוגמה: בני",
+      "settings.units": "יחידות מידה",
+      "settings.unitsMetric": 'מטרי (ק"ג, ס"מ)',
+      "settings.unitsImperial": "אימפריאלי (lb, ft / in)",
+      "settings.height": "גובה",
+      "settings.heightPlaceholder": "לדוגמה: 175",
+      "settings.heightFeetPlaceholder": "רגל (ft)",
+      "settings.heightFeet": "גובה ברגל",
+      "settings.heightInchesPlaceholder": "אינץ' (in)",
+      "settings.heightInches": "גובה באינץ'",
+      "settings.weighInDay": "יום שקילה שבועי",
+      "settings.chooseDay": "בחר/י יום...",
+      "settings.goalWeight": "משקל יעד",
+      "settings.goalWeightPlaceholder": "לדוגמה: 70",
+      "settings.goalDate": "תאריך יעד (לא חובה)",
+      "settings.birthDate": "תאריך לידה",
+      "settings.sex": "מין (לחישוב BMR)",
+      "settings.female": "אישה",
+      "settings.male": "גבר",
+      "settings.activityLevel": "רמת פעילות יומית",
+      "settings.lossRate": "קצב ירידה רצוי (לתקציב הקלוריות)",
+      "settings.maintain": "שמירה על המשקל",
+      "settings.waterTarget": 'יעד שתייה יומי (מ"ל)',
+      "settings.waterInStreak": "יום שבו הגעתי ליעד השתייה נספר ברצף",
+      "settings.trendForLoss":
+        'חישוב "ירידה כוללת" לפי קו המגמה (מסנן תנודות יומיות)',
+      "settings.profilePic": "קישור לתמונת פרופיל (URL)",
+      "settings.profilePicPlaceholder": "הדבק לינק לתמונה...",
+      "settings.save": "שמור הגדרות",
+      "settings.lossRateOption": "{amount} {unit} בשבוע",
+      "activityLevel.sedentary": "יושבני (כמעט בלי פעילות)",
+      "activityLevel.light": "קל (1–3 אימונים בשבוע)",
+      "activityLevel.moderate": "בינוני (3–5 אימונים בשבוע)",
+      "activityLevel.active": "פעיל (6–7 אימונים בשבוע)",
+      "activityLevel.very_active": "פעיל מאוד (עבודה פיזית + אימונים)",
+      "settings.invalidGoalWeight": "נא להזין משקל יעד תקין או להשאיר ריק.",
+      "settings.invalidBirthDate": "נא להזין תאריך לידה תקין.",
+      "settings.invalidWaterTarget": 'נא להזין יעד שתייה בין 500 ל‑6000 מ"ל.',
+      "settings.saved": "הגדרות נשמרו",
+      "settings.language": "שפה",
+      // Dashboard
+      "dashboard.currentWeight": "משקל נוכחי",
+      "dashboard.totalLoss": "ירידה כוללת",
+      "dashboard.entriesThisWeek": "רשומות השבוע",
+      "dashboard.last7Days": "7 הימים האחרונים",
+      "dashboard.streak": "רצף נוכחי",
+      "dashboard.caloriesWeek": "סה״כ קלוריות שנשרפו השבוע",
+      "dashboard.caloriesWeekHint":
+        "חישוב לפי משקל, פעילות ומשך ב‑7 הימים האחרונים",
+      "dashboard.balanceToday": "מאזן קלורי היום",
+      "dashboard.balanceHint": "צריכה פחות שריפה",
+      "dashboard.lossByTrend": "{unit} · לפי קו מגמה",
+      "dashboard.balanceDetails": "נאכלו {intake} · נשרפו {burned}",
+      // Goal
+      "goal.remaining": "נותרו עד היעד",
+      "goal.needWeight": "הזן/י משקל כדי לראות התקדמות",
+      "goal.needGoal": "הגדר/י משקל יעד בהגדרות",
+      "goal.reached": "הגעת ליעד! 🏆",
+      "goal.leftToLose": "נותרו לרדת · הוסף/י תאריך יעד לחישוב קצב",
+      "goal.leftToGain": "נותרו לעלות · הוסף/י תאריך יעד לחישוב קצב",
+      "goal.datePassed": "תאריך היעד עבר – כדאי לעדכן אותו",
+      "goal.pace": "קצב נדרש: {rate} לשבוע עד {date}",
+      "goal.milestones": "אבני דרך: {reached}/{total}",
+      // Calorie budget
+      "budget.title": "תקציב קלוריות יומי",
+      "budget.missing.weight": "משקל",
+      "budget.missing.height": "גובה",
+      "budget.missing.birthDate": "תאריך לידה",
+      "budget.missing.sex": "מין",
+      "budget.missing.activityLevel": "רמת פעילות",
+      "budget.missing": "להשלמה בהגדרות: {fields}",
+      "budget.details": "BMR {bmr} · TDEE {tdee} · ירידה של {rate} בשבוע",
+      "budget.floored": "הוגבל למינימום מומלץ – כדאי לבחור קצב ירידה איטי יותר",
+      "budget.remaining": 'נותרו היום {amount} קק"ל',
+      "budget.over": 'חריגה של {amount} קק"ל היום',
+      // BMI
+      "bmi.current": "BMI נוכחי",
+      "bmi.underweight": "תת־משקל",
+      "bmi.normal": "טווח תקין",
+      "bmi.overweight": "עודף משקל",
+      "bmi.obese": "השמנה",
+      "bmi.needWeight": "הזן/י משקל לחישוב BMI",
+      "bmi.needHeight": "הגדר/י גובה בהגדרות לחישוב BMI",
+      // Motivation
+      "motivation.title": "מנת מוטיבציה יומית",
+      "motivation.fallback1": "הצעד הראשון הוא תמיד הקשה ביותר.",
+      "motivation.fallback2": "התמדה היא המפתח להצלחה.",
+      "motivation.fallback3":
+        "אל תוותר על מה שאתה רוצה ביותר בשביל מה שאתה רוצה עכשיו.",
+      "motivation.fallback4": "הגוף שלך מסוגל להכל. זה המוח שצריך שכנוע.",
+      "motivation.fallback5": "כל יום הוא הזדמנות חדשה.",
+      "motivation.fallback6": "תאמין בעצמך וביכולות שלך.",
+      // Charts
+      "chart.weightTitle": "גרף משקל לאורך זמן",
+      "chart.tip": "טיפ: שמירה על עקביות ברישום עוזרת להבחין במגמות אמיתיות.",
+      "chart.weight": "משקל",
+      "chart.goal": "יעד",
+      "chart.trend": "מגמה",
+      "chart.forecastUpper": "טווח תחזית",
+      "chart.forecastLower": "טווח תחזית",
+      "chart.forecast": "תחזית",
+      "chart.sleepHours": "שעות שינה",
+      "chart.calories": "קלוריות שנשרפו",
+      "chart.range.30": "30 יום",
+      "chart.range.90": "90 יום",
+      "chart.range.365": "שנה",
+      "chart.range.all": "הכל",
+      "chart.range.custom": "טווח",
+      "chart.rangeFrom": "מתאריך",
+      "chart.rangeTo": "עד תאריך",
+      "chart.showCalories": "הצג קלוריות שנשרפו (עמודות)",
+      "chart.trendRate":
+        "מגמה: {rate} לשבוע (לפי {samples} שקילות ב‑{days} הימים האחרונים)",
+      // Body measurements
+      "measurements.title": "מדידות גוף",
+      "measurements.choose": "בחירת מדידה",
+      "measurements.empty":
+        'עדיין אין מדידות. אפשר להוסיף אותן בטופס הרישום תחת "מדידות גוף".',
+      "measurements.optional": "מדידות גוף (לא חובה)",
+      "measurement.waistCm": "מותניים",
+      "measurement.hipsCm": "ירכיים",
+      "measurement.chestCm": "חזה",
+      "measurement.armCm": "זרוע",
+      "measurement.thighCm": "ירך",
+      "measurement.bodyFatPctLabel": "אחוז שומן (%)",
+      "measurement.bodyFatPct": "אחוז שומן",
+      "waistToHeight.low": "נמוך מהמומלץ",
+      "waistToHeight.normal": "תקין",
+      "waistToHeight.elevated": "מוגבר",
+      "waistToHeight.high": "גבוה",
+      "waistToHeight.display": "יחס מותניים/גובה: {value} ({category})",
+      // Log form
+      "entry.showForm": "הצג טופס רישום",
+      "entry.title": "רישום יומי מהיר",
+      "entry.subtitle": "לוקח פחות מדקה",
+      "entry.weightPlaceholder": "לדוגמה: 72.5",
+      "entry.activityType": "סוג פעילות",
+      "entry.duration": "משך (בדקות)",
+      "entry.durationPlaceholder": "לדוגמה: 30",
+      "entry.notes": "הערות קצרות (לא חובה)",
+      "entry.notesPlaceholder": "איך הרגשת היום? משהו שחשוב לזכור?",
+      "entry.save": "שמור רישום להיום",
+      "entry.invalidWeight": "נא להזין משקל תקין או להשאיר ריק.",
+      "entry.invalidDuration": "נא להזין משך בדקות שלמות או להשאיר ריק.",
+      "entry.invalidMeasurement":
+        "נא להזין {name} בין {min} ל‑{max} {unit} או להשאיר ריק.",
+      "entry.dateRequired": "נא לבחור תאריך.",
+      "entry.saved": "נשמר בהצלחה! 🔥",
+      "entry.hideForm": "הסתר טופס רישום",
+      // Shared
+      "common.date": "תאריך",
+      "common.weight": "משקל",
+      "common.activity": "פעילות",
+      "common.calories": "קלוריות",
+      "common.notes": "הערות",
+      "common.add": "הוסף",
+      "common.cancel": "ביטול",
+      "common.choose": "בחר/י...",
+      "common.copyToClipboard": "העתק ללוח",
+      "common.delete": "מחק",
+      // Water
+      "water.title": "מעקב שתייה",
+      "water.glass": 'כוס (250 מ"ל)',
+      "water.bottle": 'בקבוק (500 מ"ל)',
+      "water.undo": "בטל אחרון",
+      "water.customPlaceholder": 'כמות אחרת (מ"ל)',
+      "water.today": '{amount} / {target} מ"ל',
+      "water.day": '{date}: {amount} מ"ל',
+      "water.invalidAmount": 'נא להזין כמות במ"ל (עד 3000).',
+      // Sleep
+      "sleep.title": "יומן שינה",
+      "sleep.wakeDate": "בוקר ההתעוררות",
+      "sleep.quality": "איכות שינה",
+      "sleep.option.5": "⭐⭐⭐⭐⭐ מצוינת",
+      "sleep.option.4": "⭐⭐⭐⭐ טובה",
+      "sleep.option.3": "⭐⭐⭐ סבירה",
+      "sleep.option.2": "⭐⭐ חלשה",
+      "sleep.option.1": "⭐ גרועה",
+      "sleep.bedtime": "הלכתי לישון",
+      "sleep.wakeTime": "התעוררתי",
+      "sleep.save": "שמור שינה",
+      "sleep.insightsTitle": "תובנות: שינה, משקל ופעילות",
+      "sleep.confirmDelete": "למחוק את השינה של {date}?",
+      "sleep.empty": "עדיין לא נרשמה שינה",
+      "sleep.logLine":
+        "{date} · {bedtime}–{wakeTime} · {duration} שע' · {quality}",
+      "sleepQuality.1": "גרועה",
+      "sleepQuality.2": "חלשה",
+      "sleepQuality.3": "סבירה",
+      "sleepQuality.4": "טובה",
+      "sleepQuality.5": "מצוינת",
+      "sleep.insightsPending":
+        "התובנות יופיעו אחרי {nights} לילות לפחות של שינה קצרה (פחות מ‑{hours} שעות) ו‑{nights} של שינה ארוכה.",
+      "sleep.notEnoughWeighIns": "אין מספיק שקילות רצופות",
+      "sleep.weightChange": "שינוי משקל ממוצע {change} ליום ({days} ימים)",
+      "sleep.insightLine":
+        "{label} ({nights} לילות): {weight} · {minutes} דק' פעילות בממוצע",
+      "sleep.afterShort": "אחרי שינה קצרה (פחות מ‑{hours} שע')",
+      "sleep.afterLong": "אחרי שינה ארוכה ({hours} שע' ומעלה)",
+      "sleep.qualityTooltip": "איכות: {quality}",
+      "sleep.timesRequired": "נא להזין שעת שינה ושעת התעוררות.",
+      // Meal log
+      "meals.title": "יומן ארוחות",
+      "meals.total": "סה״כ",
+      "mealType.breakfast": "ארוחת בוקר",
+      "mealType.lunch": "ארוחת צהריים",
+      "mealType.dinner": "ארוחת ערב",
+      "mealType.snack": "נשנושים",
+      "meals.namePlaceholder": "מה אכלת?",
+      "meals.add": "הוסף לארוחה",
+      "meals.empty": "לא נרשמו ארוחות ביום זה",
+      "meals.delete": "מחק פריט",
+      "meals.defaultName": "הפריט",
+      "meals.confirmDelete": 'האם למחוק את "{name}"?',
+      "meals.invalidCalories": "נא להזין כמות קלוריות תקינה.",
+      // Units
+      "unit.kcal": 'קק"ל',
+      "unit.kg": 'ק"ג',
+      "unit.cm": 'ס"מ',
+      "unit.kcalAmount": '{amount} קק"ל',
+      "unit.mlAmount": '{amount} מ"ל',
+      // History
+      "history.title": "היסטוריית רישומים",
+      "history.actions": "פעולות",
+      "history.tip":
+        "טיפ: ניתן לערוך רישום כדי לתקן טעות, או למחוק רישומים ישנים כדי לשמור על טבלה נקייה ופשוטה.",
+      "history.noEntries": "אין רשומות",
+      "history.empty": "אין נתונים עדיין",
+      "history.showNote": "הצגת הערה",
+      "history.edit": "ערוך רשומה",
+      "history.delete": "מחק רשומה",
+      "history.count": "{count} רשומות",
+      "history.count_one": "רשומה אחת",
+      "history.confirmDelete": "האם למחוק את הרשומה מתאריך {date}?",
+      "history.from": "מתאריך",
+      "history.to": "עד תאריך",
+      "history.activityFilter": "סוג פעילות",
+      "history.allActivities": "כל הפעילויות",
+      "history.noActivity": "ללא פעילות",
+      "history.searchPlaceholder": "חיפוש בהערות...",
+      "history.clearFilters": "ניקוי סינון",
+      "history.exportFiltered": "ייצוא הרישומים המסוננים ל-CSV",
+      "history.exportFilteredHint": "רק רישומי היומן המסוננים, בלי הארוחות",
+      "history.noMatches": "אין רשומות שמתאימות לסינון",
+      "history.filteredCount": "{count} מתוך {total} רשומות",
+      "history.page": "עמוד {page} מתוך {pages}",
+      "history.prevPage": "עמוד קודם",
+      "history.nextPage": "עמוד הבא",
+      // Reminders
+      "reminders.title": "תזכורות ומוטיבציה",
+      "reminders.intro":
+        "הגדר תזכורת יומית קבועה כדי לא לשכוח לרשום את הפעילות והמשקל.",
+      "reminders.addToCalendar": "ייצוא התזכורות ליומן",
+      "reminders.calendarHint":
+        "*נוצר קובץ ‎.ics שאפשר לפתוח בכל אפליקציית יומן",
+      "reminders.enableNotifications": "אפשר התראות דפדפן (רגיל)",
+      // Activity catalog
+      "activities.title": "קטלוג פעילויות",
+      "activities.intro":
+        "ערך MET קובע כמה קלוריות נשרפות בפעילות (MET × משקל × שעות). פעילות מוסתרת לא מוצגת בטופס; רישומים קיימים נשמרים גם אחרי שינוי שם או מחיקה.",
+      "activities.newPlaceholder": "פעילות חדשה, למשל: שחייה",
+      "activities.intensity": "עצימות",
+      "intensity.light": "קלה",
+      "intensity.moderate": "בינונית",
+      "intensity.vigorous": "גבוהה",
+      "activities.met": "ערך MET",
+      "activities.add": "הוספת פעילות",
+      "activity.walking": "הליכה",
+      "activity.running": "ריצה",
+      "activity.cycling": "רכיבה",
+      "activity.gym": "חדר כושר",
+      "activity.other": "אחר",
+      "activities.name": "שם הפעילות",
+      "activities.show": "הצג בטופס",
+      "activities.hide": "הסתר מהטופס",
+      "activities.delete": "מחיקת פעילות",
+      "activities.nameRequired": "נא להזין שם לפעילות.",
+      "activities.nameTaken": "כבר קיימת פעילות בשם הזה.",
+      "activities.invalidMet": "ערך MET חייב להיות מספר בין 1 ל‑25.",
+      "activities.lastVisible": "חייבת להישאר לפחות פעילות אחת בטופס.",
+      "activities.confirmDelete":
+        'למחוק את "{name}" מהרשימה? רישומים קיימים עם הפעילות הזו יישמרו כמו שהם.',
+      // Data & backup
+      "data.title": "נתונים וגיבוי",
+      "data.backupIntro":
+        "גיבוי מלא (JSON) כולל גם את ההגדרות האישיות וגם את כל הרישומים.",
+      "data.downloadBackup": "הורד גיבוי (קובץ)",
+      "data.restoreIntro":
+        "שחזור מגיבוי (JSON) מציג קודם תצוגה מקדימה: כמה רישומים חדשים, זהים או בהתנגשות, ומאפשר לבחור מה לשמור לפני שנכתב משהו.",
+      "data.restoreFile": "שחזור מקובץ",
+      "data.restorePaste": "שחזור מהדבקת טקסט",
+      "data.csvIntro":
+        "ייצוא ל‑CSV מיועד לפתיחה באקסל וכולל את הרישומים, קלוריות, זמן ויומן הארוחות. אפשר גם לייבא בחזרה קובץ CSV (כולל קובץ שנערך ידנית).",
+      "data.exportCsv": "ייצוא CSV (קובץ)",
+      "data.importCsv": "ייבוא CSV",
+      "data.resetTitle": "איפוס נתונים",
+      "data.resetIntro":
+        "איפוס מוחק את כל הרישומים שנשמרו מקומית במכשיר. מומלץ לייצא קודם את הנתונים לקובץ CSV.",
+      "data.resetAll": "איפוס כל הנתונים",
+      "data.confirmReset": "בטוח למחוק הכל? אין דרך חזרה.",
+      // Weekdays (0 = Sunday)
+      "weekday.0": "ראשון",
+      "weekday.1": "שני",
+      "weekday.2": "שלישי",
+      "weekday.3": "רביעי",
+      "weekday.4": "חמישי",
+      "weekday.5": "שישי",
+      "weekday.6": "שבת",
+      // Edit entry
+      "edit.title": "עריכת רישום",
+      "edit.close": "סגירת חלון עריכה",
+      "edit.save": "שמור שינויים",
+      "edit.noActivity": "ללא פעילות",
+      "edit.notFound": "הרשומה לא נמצאה (אולי נמחקה בינתיים).",
+      // Restore
+      "restore.previewTitle": "תצוגה מקדימה לשחזור",
+      "restore.close": "סגירת תצוגה מקדימה",
+      "restore.invalidRecords": "רשומות לא תקינות (ידולגו):",
+      "restore.conflicts": "התנגשויות",
+      "restore.allLocal": "הכל מקומי",
+      "restore.allBackup": "הכל מהגיבוי",
+      "restore.apply": "שחזר",
+      "restore.collection.log": "רישומים",
+      "restore.item.log": "רישום",
+      "restore.collection.meal": "ארוחות",
+      "restore.item.meal": "ארוחה",
+      "restore.collection.water": "שתיית מים",
+      "restore.item.water": "שתיית מים",
+      "restore.collection.sleep": "לילות שינה",
+      "restore.item.sleep": "שינה",
+      "restore.noName": "ללא שם",
+      "restore.height": "גובה {height}",
+      "restore.goal": "יעד {weight}",
+      "restore.activity": "{activity} {minutes} דק'",
+      "restore.error": "שגיאה: {error}",
+      "restore.nothingToRestore":
+        "הגיבוי זהה לנתונים שכבר שמורים במכשיר – אין מה לשחזר.",
+      "restore.switchProfile":
+        'הגיבוי שייך לפרופיל "{name}". לעבור לפרופיל הזה ולשחזר אליו?',
+      "restore.createProfile":
+        'הגיבוי שייך לפרופיל "{name}" שלא קיים במכשיר. ליצור אותו ולשחזר אליו?',
+      "restore.intoActiveProfile":
+        'לשחזר את הגיבוי לפרופיל הנוכחי ("{name}") במקום זאת?',
+      "restore.profileCancelled":
+        "השחזור בוטל, כדי לא לערבב נתונים של פרופילים שונים.",
+      "restore.settings.none": "לא כלולות",
+      "restore.settings.identical": "זהות",
+      "restore.settings.conflict": "שונות",
+      "restore.counts":
+        "{added} חדשים · {identical} זהים · {conflicts} בהתנגשות",
+      "restore.oldFormat": "גיבוי בפורמט ישן (גרסה {version}) – הומר אוטומטית.",
+      "restore.settings": "הגדרות",
+      "restore.item.settings": "הגדרות אישיות",
+      "restore.local": "מקומי",
+      "restore.backup": "מהגיבוי",
+      "restore.profileChanged":
+        "הפרופיל הוחלף מאז התצוגה המקדימה. נא לשחזר מחדש.",
+      "restore.done":
+        "השחזור הושלם! עודכנו: {written}. המערכת כוללת כעת {count} רשומות.",
+      "restore.pastePrompt": "הדבק כאן את קוד הגיבוי (JSON) שהעתקת:",
+      // CSV import dialog
+      "csvImport.close": "סגירת חלון ייבוא",
+      "csvImport.import": "ייבא",
+      // App update
+      "update.ready": "גרסה חדשה של האפליקציה מוכנה",
+      "update.reload": "רענן עכשיו",
+      // Navigation
+      "nav.home": "בית / רישום",
+      "nav.history": "היסטוריה",
+      "nav.reports": "דוחות",
+      "nav.achievements": "הישגים",
+      "nav.settings": "הגדרות",
+      // Storage
+      "storage.saveFailed": "שגיאה בשמירת הנתונים במכשיר. נסה/י שוב.",
+      "storage.loadFailed": "לא ניתן לטעון את הנתונים השמורים במכשיר.",
+      // Milestones
+      "milestone.lost": "ירדת {amount}!",
+      "milestone.gained": "עלית {amount}!",
+      "milestone.belowObese": "יצאת מטווח ההשמנה (BMI מתחת ל‑30)!",
+      "milestone.normalBmi": "הגעת לטווח BMI תקין!",
+      "milestone.goal": "הגעת למשקל היעד: {weight}! 🏆",
+      "milestone.notificationTitle": "🎉 אבן דרך חדשה!",
+      "milestone.alertTitle": "🎉 כל הכבוד!",
+      // Notifications
+      "notify.weighInTitle": "היי {name}, היום יום השקילה שלך!",
+      "notify.weighInBody": "אל תשכח לעלות על המשקל ולעדכן.",
+      "notify.waterTitle": "לא לשכוח לשתות 💧",
+      "notify.waterBody": 'שתית היום {amount} מתוך {target} מ"ל. עוד כוס מים?',
+      "notify.unsupported": "דפדפן זה לא תומך בהתראות",
+      "notify.granted": "התראות פעילות ✅",
+      "notify.denied": "התראות חסומות ❌",
+      "notify.prompt": "לחץ להפעלת התראות",
+      // Export
+      "export.shareText": "הנה קובץ הנתונים שלך",
+      "export.copiedInstead":
+        "בגלל מגבלות אבטחה בטלפון, ההורדה האוטומטית נכשלה.\n\n✅ אבל הנתונים הועתקו ללוח בהצלחה!\n\nכדי לשמור אותם:\n1. פתח את הוואטסאפ או המייל.\n2. עשה 'הדבק' (Paste).\n3. שלח לעצמך את ההודעה.",
+      "export.clipboardBlocked":
+        "מצטערים, הטלפון חוסם גם העתקה אוטומטית. נסה להשתמש בכפתורי ההעתקה הידניים.",
+      "export.noData": "אין נתונים לייצוא",
+      // Backup file
+      "backup.filePrefix": "גיבוי_דיאטה",
+      "backup.shareTitle": "גיבוי מלא - יומן תזונה וכושר",
+      "backup.invalidJson": "הקובץ אינו קובץ JSON תקין.",
+      "backup.invalidStructure": "מבנה הגיבוי אינו תקין.",
+      "backup.wrongFormat": "הקובץ אינו גיבוי של יומן התזונה.",
+      "backup.noLogs": "בגיבוי לא נמצאו רישומים (logs).",
+      "backup.invalidProfile": "פרטי הפרופיל בגיבוי אינם תקינים.",
+      "backup.unknownVersion": "גרסת גיבוי לא מוכרת: {version}",
+      "backup.newerVersion":
+        "הגיבוי נוצר בגרסה חדשה יותר של האפליקציה (גרסה {version}). יש לעדכן את האפליקציה.",
+      "backup.recordNotObject": "הרשומה אינה אובייקט",
+      "backup.itemNotObject": "הפריט אינו אובייקט",
+      "backup.missingId": "חסר מזהה",
+      "backup.invalidDate": "תאריך חייב להיות בפורמט YYYY-MM-DD",
+      "backup.invalidTimestamp": "חותמת זמן לא תקינה",
+      "backup.invalidWeight": "משקל חייב להיות מספר חיובי או ריק",
+      "backup.invalidDuration": "משך חייב להיות מספר דקות שלם או ריק",
+      "backup.mustBeObject": "חייב להיות אובייקט",
+      "backup.mustBeText": "חייב להיות טקסט",
+      "backup.missingMealType": "חסר סוג ארוחה",
+      "backup.invalidCalories": "קלוריות חייבות להיות מספר אי־שלילי",
+      "backup.invalidAmount": "כמות חייבת להיות מספר חיובי",
+      "backup.invalidTime": "שעה חייבת להיות בפורמט HH:MM",
+      "backup.invalidQuality": "איכות שינה חייבת להיות מספר שלם 1–5",
+      "backup.invalidHeight": "גובה חייב להיות מספר חיובי",
+      "backup.invalidWeighInDay": "יום שקילה חייב להיות 0–6",
+      "backup.mustBeList": "חייב להיות רשימה",
+      "backup.missingName": "חסר שם",
+      "backup.invalidMet": "ערך MET חייב להיות מספר חיובי",
+      "backup.mustBePositive": "חייב להיות מספר חיובי",
+      "backup.duplicateId": 'המזהה "{id}" מופיע יותר מפעם אחת',
+      // CSV
+      "csv.column.date": "תאריך",
+      "csv.column.weight": 'משקל (ק"ג)',
+      "csv.column.weightLb": "משקל (lb)",
+      "csv.column.activityType": "פעילות",
+      "csv.column.durationMinutes": "משך (דקות)",
+      "csv.column.caloriesBurned": "קלוריות שנשרפו",
+      "csv.column.notes": "הערות",
+      "csv.column.mealType": "סוג ארוחה",
+      "csv.column.foodName": "מאכל",
+      "csv.column.intake": "קלוריות שנאכלו",
+      "csv.column.id": "מזהה",
+      "csv.column.createdAt": "זמן יצירה",
+      "csv.shareTitle": "ייצוא רישומי פעילות ל‑CSV",
+      "csv.invalidDate": 'תאריך לא תקין: "{value}"',
+      "csv.mixedRow": "השורה מכילה גם נתוני רישום וגם נתוני ארוחה",
+      "csv.unknownMealType": 'סוג ארוחה לא מוכר: "{value}"',
+      "csv.invalidCalories": 'קלוריות לא תקינות: "{value}"',
+      "csv.invalidWeight": 'משקל לא תקין: "{value}"',
+      "csv.invalidDuration": 'משך לא תקין: "{value}"',
+      "csv.invalidMeasurement": '{name} לא תקין: "{value}"',
+      "csv.emptyRow": "אין נתונים בשורה",
+      "csv.noRows": "הקובץ ריק או שאין בו שורות נתונים מתחת לכותרות.",
+      "csv.summary":
+        "נמצאו {rows} שורות ו‑{columns} עמודות. בדקו שכל עמודה מותאמת לשדה הנכון:",
+      "csv.columnNumber": "עמודה {number}",
+      "csv.example": "לדוגמה: {value}",
+      "csv.ignore": "התעלם",
+      "csv.dateRequired": "יש לבחור איזו עמודה מכילה את התאריך.",
+      "csv.duplicateMapping": "כל שדה יכול להיות מותאם לעמודה אחת בלבד.",
+      "csv.report":
+        "{added} נוספו · {updated} עודכנו · {unchanged} ללא שינוי · {errors} שגיאות",
+      "csv.rowError": "שורה {line}: {problems}",
+      // Clipboard
+      "copy.noData": "אין נתונים להעתקה",
+      "copy.csvCopied": "הנתונים הועתקו ללוח! אפשר להדביק בוואטסאפ.",
+      "copy.failedRetry": "שגיאה בהעתקה. נסה שוב.",
+      "copy.backupCopied": "קוד הגיבוי הועתק! שמור אותו במקום בטוח.",
+      "copy.failed": "שגיאה בהעתקה.",
+      // Calendar
+      "calendar.details": "הזמן שלך למלא משקל ופעילות באפליקציה!",
+      "calendar.event.weighIn": "⚖️ שקילה",
+      "calendar.event.activity": "🏃 פעילות",
+      "calendar.event.water": "💧 שתייה",
+      "calendar.event.eveningLog": "📝 רישום ביומן",
+      "calendar.noReminders": "אין תזכורות פעילות לייצוא.",
+      "calendar.shareTitle": "תזכורות ליומן",
+      // Reports
+      "reports.title": "דוחות",
+      "reports.week": "שבוע",
+      "reports.month": "חודש",
+      "reports.previousPeriod": "התקופה הקודמת",
+      "reports.nextPeriod": "התקופה הבאה",
+      "reports.minutesByActivity": "דקות לפי סוג פעילות",
+      "reports.weightChange": "שינוי במשקל",
+      "reports.averageWeight": "משקל ממוצע",
+      "reports.activeDays": "ימים עם פעילות",
+      "reports.caloriesBurned": "קלוריות שנשרפו",
+      "reports.caloriesEaten": "קלוריות שנאכלו",
+      "reports.previous": "קודם: {value}",
+      "reports.previousWithDiff": "קודם: {value} ({diff})",
+      "reports.minutes": "{minutes} דק'",
+      "reports.noActivity": "אין פעילות בתקופה הזו או בקודמת",
+      // Streaks
+      "dashboard.longestStreak": "שיא: {count}",
+      "streak.hint.logging": "ימים ברצף עם רישום",
+      "streak.hint.activity": "ימים ברצף עם פעילות",
+      "streak.hint.weighIn": "שבועות ברצף עם שקילה",
+      "settings.streakType": "סוג רצף",
+      "streak.type.logging": "רישום יומי",
+      "streak.type.activity": "פעילות יומית",
+      "streak.type.weighIn": "שקילה שבועית",
+      "settings.streakGrace": "החמצות מותרות ברצף (ימים / שבועות)",
+      "settings.streakGraceNone": "ללא (כל החמצה שוברת)",
+      // Achievements
+      "achievements.title": "הישגים",
+      "achievements.count": "{unlocked} מתוך {total}",
+      "achievements.unlockedOn": "הושג ב-{date}",
+      "achievements.locked": "עוד לא הושג",
+      "achievements.notificationTitle": "הישג חדש! 🏅",
+      "achievements.alertTitle": "🏅 כל הכבוד! הישג חדש:",
+      "achievement.firstLog.title": "צעד ראשון",
+      "achievement.firstLog.description": "הרישום הראשון ביומן",
+      "achievement.lost5kg.title": '5 ק"ג ראשונים',
+      "achievement.lost5kg.description": 'ירידה של 5 ק"ג מהשקילה הראשונה',
+      "achievement.lost10kg.title": '10 ק"ג',
+      "achievement.lost10kg.description": 'ירידה של 10 ק"ג מהשקילה הראשונה',
+      "achievement.streak30.title": "חודש ברצף",
+      "achievement.streak30.description": "30 ימים ברצף עם רישום",
+      "achievement.walked100km.title": '100 ק"מ הליכה',
+      "achievement.walked100km.description": 'לפי דקות ההליכה (כ-5 קמ"ש)',
+      "achievement.workoutMonth.title": "חודש של אימונים",
+      "achievement.workoutMonth.description": "3 אימונים בשבוע, 4 שבועות ברצף",
+      // Reminder schedule
+      "reminders.scheduleTitle": "תזכורות קבועות",
+      "reminders.add": "הוסף תזכורת",
+      "reminders.none": "אין תזכורות",
+      "reminders.type": "סוג תזכורת",
+      "reminders.time": "שעה",
+      "reminders.enable": "הפעל תזכורת",
+      "reminders.disable": "השבת תזכורת",
+      "reminders.delete": "מחק תזכורת",
+      "reminders.type.weighIn": "שקילה",
+      "reminders.type.activity": "פעילות",
+      "reminders.type.water": "שתייה",
+      "reminders.type.eveningLog": "רישום ערב",
+      "reminders.quietStart": "שעות שקט מ-",
+      "reminders.quietEnd": "עד",
+      "reminders.scheduleHint":
+        "תזכורת לא נשלחת אם כבר רשמת את מה שהיא מזכירה, ולא בשעות השקט.",
+      "notify.activityTitle": "זמן לזוז 🏃",
+      "notify.activityBody": "עוד לא נרשמה היום פעילות. גם הליכה קצרה נחשבת!",
+      "notify.eveningLogTitle": "איך עבר היום? 📝",
+      "notify.eveningLogBody": "עוד לא רשמת כלום היום. דקה אחת ביומן וסיימת.",
+      // Calendar heatmap
+      "heatmap.title": "השנה האחרונה",
+      "heatmap.minutes": "דקות",
+      "heatmap.calories": "קלוריות",
+      "heatmap.less": "פחות",
+      "heatmap.more": "יותר",
+      "heatmap.weighIn": "שקילה",
+      "heatmap.noEntries": "אין רישומים ביום הזה",
+    },
+    en: {
+      // App
+      "app.title": "Personal Diet & Fitness Tracker",
+      // Greeting
+      "greeting.welcome": "Welcome!",
+      "greeting.subtitleNew": "Your healthy journey starts here",
+      "greeting.morning": "Good morning",
+      "greeting.afternoon": "Good afternoon",
+      "greeting.evening": "Good evening",
+      "greeting.subtitleReturning": "Good to see you back on track.",
+      // Profiles
+      "profile.switch": "Switch profile",
+      "profile.new": "New profile",
+      "profile.rename": "Rename current profile",
+      "profile.defaultName": "Main profile",
+      "profile.loadFailed": "Couldn't load the profile.",
+      "profile.newPrompt": "Name of the new profile:",
+      "profile.nameRequired": "Please enter a name for the profile.",
+      "profile.renamePrompt": "Profile name:",
+      "profile.confirmDelete":
+        'Delete the profile "{name}" and all of its data? This can\'t be undone.',
+      "profile.delete": "Delete profile",
+      // Settings
+      "settings.open": "User settings",
+      "settings.title": "Personal settings",
+      "settings.close": "Close settings",
+      "settings.intro":
+        "Save your personal details here to get BMI calculations and smart weigh-in reminders.",
+      "settings.firstName": "First name",
+      "settings.firstNamePlaceholder": "e.g. Ben",
+      "settings.units": "Units",
+      "settings.unitsMetric": "Metric (kg, cm)",
+      "settings.unitsImperial": "Imperial (lb, ft / in)",
+      "settings.height": "Height",
+      "settings.heightPlaceholder": "e.g. 175",
+      "settings.heightFeetPlaceholder": "Feet (ft)",
+      "settings.heightFeet": "Height in feet",
+      "settings.heightInchesPlaceholder": "Inches (in)",
+      "settings.heightInches": "Height in inches",
+      "settings.weighInDay": "Weekly weigh-in day",
+      "settings.chooseDay": "Choose a day...",
+      "settings.goalWeight": "Goal weight",
+      "settings.goalWeightPlaceholder": "e.g. 70",
+      "settings.goalDate": "Goal date (optional)",
+      "settings.birthDate": "Date of birth",
+      "settings.sex": "Sex (for BMR)",
+      "settings.female": "Female",
+      "settings.male": "Male",
+      "settings.activityLevel": "Daily activity level",
+      "settings.lossRate": "Target loss rate (for the calorie budget)",
+      "settings.maintain": "Maintain weight",
+      "settings.waterTarget": "Daily water target (ml)",
+      "settings.waterInStreak":
+        "Days I reach my water target count toward the streak",
+      "settings.trendForLoss":
+        'Calculate "total loss" from the trend line (filters out daily swings)',
+      "settings.profilePic": "Profile picture link (URL)",
+      "settings.profilePicPlaceholder": "Paste an image link...",
+      "settings.save": "Save settings",
+      "settings.lossRateOption": "{amount} {unit} per week",
+      "activityLevel.sedentary": "Sedentary (almost no exercise)",
+      "activityLevel.light": "Light (1–3 workouts a week)",
+      "activityLevel.moderate": "Moderate (3–5 workouts a week)",
+      "activityLevel.active": "Active (6–7 workouts a week)",
+      "activityLevel.very_active": "Very active (physical job + workouts)",
+      "settings.invalidGoalWeight":
+        "Please enter a valid goal weight or leave it empty.",
+      "settings.invalidBirthDate": "Please enter a valid date of birth.",
+      "settings.invalidWaterTarget":
+        "Please enter a water target between 500 and 6000 ml.",
+      "settings.saved": "Settings saved",
+      "settings.language": "Language",
+      // Dashboard
+      "dashboard.currentWeight": "Current weight",
+      "dashboard.totalLoss": "Total loss",
+      "dashboard.entriesThisWeek": "Logs this week",
+      "dashboard.last7Days": "Last 7 days",
+      "dashboard.streak": "Current streak",
+      "dashboard.caloriesWeek": "Calories burned this week",
+      "dashboard.caloriesWeekHint":
+        "Based on weight, activity and duration over the last 7 days",
+      "dashboard.balanceToday": "Today's calorie balance",
+      "dashboard.balanceHint": "Intake minus burned",
+      "dashboard.lossByTrend": "{unit} · by trend line",
+      "dashboard.balanceDetails": "Eaten {intake} · burned {burned}",
+      // Goal
+      "goal.remaining": "Left to goal",
+      "goal.needWeight": "Enter a weight to see your progress",
+      "goal.needGoal": "Set a goal weight in settings",
+      "goal.reached": "Goal reached! 🏆",
+      "goal.leftToLose": "Left to lose · add a goal date to see the pace",
+      "goal.leftToGain": "Left to gain · add a goal date to see the pace",
+      "goal.datePassed": "The goal date has passed – consider updating it",
+      "goal.pace": "Required pace: {rate} per week until {date}",
+      "goal.milestones": "Milestones: {reached}/{total}",
+      // Calorie budget
+      "budget.title": "Daily calorie budget",
+      "budget.missing.weight": "weight",
+      "budget.missing.height": "height",
+      "budget.missing.birthDate": "date of birth",
+      "budget.missing.sex": "sex",
+      "budget.missing.activityLevel": "activity level",
+      "budget.missing": "Complete in settings: {fields}",
+      "budget.details": "BMR {bmr} · TDEE {tdee} · losing {rate} per week",
+      "budget.floored":
+        "Raised to the recommended minimum – consider a slower loss rate",
+      "budget.remaining": "{amount} kcal left today",
+      "budget.over": "{amount} kcal over today",
+      // BMI
+      "bmi.current": "Current BMI",
+      "bmi.underweight": "Underweight",
+      "bmi.normal": "Normal range",
+      "bmi.overweight": "Overweight",
+      "bmi.obese": "Obesity",
+      "bmi.needWeight": "Enter a weight to calculate BMI",
+      "bmi.needHeight": "Set your height in settings to calculate BMI",
+      // Motivation
+      "motivation.title": "Daily motivation",
+      "motivation.fallback1": "The first step is always the hardest.",
+      "motivation.fallback2": "Persistence is the key to success.",
+      "motivation.fallback3":
+        "Don't give up what you want most for what you want now.",
+      "motivation.fallback4":
+        "Your body can do anything. It's your mind you need to convince.",
+      "motivation.fallback5": "Every day is a new opportunity.",
+      "motivation.fallback6": "Believe in yourself and your abilities.",
+      // Charts
+      "chart.weightTitle": "Weight over time",
+      "chart.tip": "Tip: logging consistently helps you spot real trends.",
+      "chart.weight": "Weight",
+      "chart.goal": "Goal",
+      "chart.trend": "Trend",
+      "chart.forecastUpper": "Forecast range",
+      "chart.forecastLower": "Forecast range",
+      "chart.forecast": "Forecast",
+      "chart.sleepHours": "Hours of sleep",
+      "chart.calories": "Calories burned",
+      "chart.range.30": "30 days",
+      "chart.range.90": "90 days",
+      "chart.range.365": "1 year",
+      "chart.range.all": "All",
+      "chart.range.custom": "Custom",
+      "chart.rangeFrom": "From",
+      "chart.rangeTo": "To",
+      "chart.showCalories": "Show calories burned (bars)",
+      "chart.trendRate":
+        "Trend: {rate} per week (from {samples} weigh-ins in the last {days} days)",
+      // Body measurements
+      "measurements.title": "Body measurements",
+      "measurements.choose": "Choose a measurement",
+      "measurements.empty":
+        'No measurements yet. You can add them in the log form under "Body measurements".',
+      "measurements.optional": "Body measurements (optional)",
+      "measurement.waistCm": "Waist",
+      "measurement.hipsCm": "Hips",
+      "measurement.chestCm": "Chest",
+      "measurement.armCm": "Arm",
+      "measurement.thighCm": "Thigh",
+      "measurement.bodyFatPctLabel": "Body fat (%)",
+      "measurement.bodyFatPct": "Body fat",
+      "waistToHeight.low": "below recommended",
+      "waistToHeight.normal": "healthy",
+      "waistToHeight.elevated": "elevated",
+      "waistToHeight.high": "high",
+      "waistToHeight.display": "Waist-to-height: {value} ({category})",
+      // Log form
+      "entry.showForm": "Show log form",
+      "entry.title": "Quick daily log",
+      "entry.subtitle": "Takes less than a minute",
+      "entry.weightPlaceholder": "e.g. 72.5",
+      "entry.activityType": "Activity type",
+      "entry.duration": "Duration (minutes)",
+      "entry.durationPlaceholder": "e.g. 30",
+      "entry.notes": "Short notes (optional)",
+      "entry.notesPlaceholder":
+        "How did you feel today? Anything worth remembering?",
+      "entry.save": "Save today's log",
+      "entry.invalidWeight": "Please enter a valid weight or leave it empty.",
+      "entry.invalidDuration":
+        "Please enter the duration in whole minutes or leave it empty.",
+      "entry.invalidMeasurement":
+        "Please enter {name} between {min} and {max} {unit} or leave it empty.",
+      "entry.dateRequired": "Please choose a date.",
+      "entry.saved": "Saved! 🔥",
+      "entry.hideForm": "Hide log form",
+      // Shared
+      "common.date": "Date",
+      "common.weight": "Weight",
+      "common.activity": "Activity",
+      "common.calories": "Calories",
+      "common.notes": "Notes",
+      "common.add": "Add",
+      "common.cancel": "Cancel",
+      "common.choose": "Choose...",
+      "common.copyToClipboard": "Copy to clipboard",
+      "common.delete": "Delete",
+      // Water
+      "water.title": "Water tracker",
+      "water.glass": "Glass (250 ml)",
+      "water.bottle": "Bottle (500 ml)",
+      "water.undo": "Undo last",
+      "water.customPlaceholder": "Other amount (ml)",
+      "water.today": "{amount} / {target} ml",
+      "water.day": "{date}: {amount} ml",
+      "water.invalidAmount": "Please enter an amount in ml (up to 3000).",
+      // Sleep
+      "sleep.title": "Sleep log",
+      "sleep.wakeDate": "Morning of waking",
+      "sleep.quality": "Sleep quality",
+      "sleep.option.5": "⭐⭐⭐⭐⭐ Excellent",
+      "sleep.option.4": "⭐⭐⭐⭐ Good",
+      "sleep.option.3": "⭐⭐⭐ Fair",
+      "sleep.option.2": "⭐⭐ Poor",
+      "sleep.option.1": "⭐ Bad",
+      "sleep.bedtime": "Went to bed",
+      "sleep.wakeTime": "Woke up",
+      "sleep.save": "Save sleep",
+      "sleep.insightsTitle": "Insights: sleep, weight and activity",
+      "sleep.confirmDelete": "Delete the sleep log of {date}?",
+      "sleep.empty": "No sleep logged yet",
+      "sleep.logLine":
+        "{date} · {bedtime}–{wakeTime} · {duration} h · {quality}",
+      "sleepQuality.1": "Bad",
+      "sleepQuality.2": "Poor",
+      "sleepQuality.3": "Fair",
+      "sleepQuality.4": "Good",
+      "sleepQuality.5": "Excellent",
+      "sleep.insightsPending":
+        "Insights appear after at least {nights} short nights (under {hours} hours) and {nights} long ones.",
+      "sleep.notEnoughWeighIns": "Not enough consecutive weigh-ins",
+      "sleep.weightChange":
+        "Average weight change {change} per day ({days} days)",
+      "sleep.insightLine":
+        "{label} ({nights} nights): {weight} · {minutes} min of activity on average",
+      "sleep.afterShort": "After short sleep (under {hours} h)",
+      "sleep.afterLong": "After long sleep ({hours} h or more)",
+      "sleep.qualityTooltip": "Quality: {quality}",
+      "sleep.timesRequired": "Please enter a bedtime and a wake-up time.",
+      // Meal log
+      "meals.title": "Meal log",
+      "meals.total": "Total",
+      "mealType.breakfast": "Breakfast",
+      "mealType.lunch": "Lunch",
+      "mealType.dinner": "Dinner",
+      "mealType.snack": "Snacks",
+      "meals.namePlaceholder": "What did you eat?",
+      "meals.add": "Add to meal",
+      "meals.empty": "No meals logged on this day",
+      "meals.delete": "Delete item",
+      "meals.defaultName": "this item",
+      "meals.confirmDelete": 'Delete "{name}"?',
+      "meals.invalidCalories": "Please enter a valid number of calories.",
+      // Units
+      "unit.kcal": "kcal",
+      "unit.kg": "kg",
+      "unit.cm": "cm",
+      "unit.kcalAmount": "{amount} kcal",
+      "unit.mlAmount": "{amount} ml",
+      // History
+      "history.title": "Log history",
+      "history.actions": "Actions",
+      "history.tip":
+        "Tip: you can edit a log to fix a mistake, or delete old logs to keep the table clean and simple.",
+      "history.noEntries": "No entries",
+      "history.empty": "No data yet",
+      "history.showNote": "Show note",
+      "history.edit": "Edit entry",
+      "history.delete": "Delete entry",
+      "history.count": "{count} entries",
+      "history.count_one": "1 entry",
+      "history.confirmDelete": "Delete the entry from {date}?",
+      "history.from": "From",
+      "history.to": "To",
+      "history.activityFilter": "Activity type",
+      "history.allActivities": "All activities",
+      "history.noActivity": "No activity",
+      "history.searchPlaceholder": "Search notes...",
+      "history.clearFilters": "Clear filters",
+      "history.exportFiltered": "Export filtered logs to CSV",
+      "history.exportFilteredHint":
+        "Only the filtered log entries, without meals",
+      "history.noMatches": "No entries match the filters",
+      "history.filteredCount": "{count} of {total} entries",
+      "history.page": "Page {page} of {pages}",
+      "history.prevPage": "Previous page",
+      "history.nextPage": "Next page",
+      // Reminders
+      "reminders.title": "Reminders & motivation",
+      "reminders.intro":
+        "Set a fixed daily reminder so you don't forget to log your activity and weight.",
+      "reminders.addToCalendar": "Export reminders to your calendar",
+      "reminders.calendarHint":
+        "*Creates an .ics file that any calendar app can open",
+      "reminders.enableNotifications": "Enable browser notifications",
+      // Activity catalog
+      "activities.title": "Activity catalog",
+      "activities.intro":
+        "The MET value sets how many calories an activity burns (MET × weight × hours). Hidden activities aren't offered in the form; existing logs are kept even after renaming or deleting.",
+      "activities.newPlaceholder": "New activity, e.g. swimming",
+      "activities.intensity": "Intensity",
+      "intensity.light": "Light",
+      "intensity.moderate": "Moderate",
+      "intensity.vigorous": "Vigorous",
+      "activities.met": "MET value",
+      "activities.add": "Add activity",
+      "activity.walking": "Walking",
+      "activity.running": "Running",
+      "activity.cycling": "Cycling",
+      "activity.gym": "Gym",
+      "activity.other": "Other",
+      "activities.name": "Activity name",
+      "activities.show": "Show in the form",
+      "activities.hide": "Hide from the form",
+      "activities.delete": "Delete activity",
+      "activities.nameRequired": "Please enter a name for the activity.",
+      "activities.nameTaken": "An activity with this name already exists.",
+      "activities.invalidMet":
+        "The MET value must be a number between 1 and 25.",
+      "activities.lastVisible":
+        "At least one activity has to stay in the form.",
+      "activities.confirmDelete":
+        'Delete "{name}" from the list? Existing logs with this activity are kept as they are.',
+      // Data & backup
+      "data.title": "Data & backup",
+      "data.backupIntro":
+        "A full backup (JSON) includes both your personal settings and all of your logs.",
+      "data.downloadBackup": "Download backup (file)",
+      "data.restoreIntro":
+        "Restoring a backup (JSON) shows a preview first: how many logs are new, identical or in conflict, and lets you choose what to keep before anything is written.",
+      "data.restoreFile": "Restore from file",
+      "data.restorePaste": "Restore from pasted text",
+      "data.csvIntro":
+        "CSV export is meant for opening in Excel and includes your logs, calories, times and meal log. You can also import a CSV file back (including a hand-edited one).",
+      "data.exportCsv": "Export CSV (file)",
+      "data.importCsv": "Import CSV",
+      "data.resetTitle": "Reset data",
+      "data.resetIntro":
+        "Resetting deletes all logs stored locally on this device. Export your data to a CSV file first.",
+      "data.resetAll": "Reset all data",
+      "data.confirmReset": "Delete everything? This can't be undone.",
+      // Weekdays (0 = Sunday)
+      "weekday.0": "Sunday",
+      "weekday.1": "Monday",
+      "weekday.2": "Tuesday",
+      "weekday.3": "Wednesday",
+      "weekday.4": "Thursday",
+      "weekday.5": "Friday",
+      "weekday.6": "Saturday",
+      // Edit entry
+      "edit.title": "Edit log",
+      "edit.close": "Close edit window",
+      "edit.save": "Save changes",
+      "edit.noActivity": "No activity",
+      "edit.notFound":
+        "The entry wasn't found (it may have been deleted meanwhile).",
+      // Restore
+      "restore.previewTitle": "Restore preview",
+      "restore.close": "Close preview",
+      "restore.invalidRecords": "Invalid records (will be skipped):",
+      "restore.conflicts": "Conflicts",
+      "restore.allLocal": "All local",
+      "restore.allBackup": "All from backup",
+      "restore.apply": "Restore",
+      "restore.collection.log": "logs",
+      "restore.item.log": "Log",
+      "restore.collection.meal": "meals",
+      "restore.item.meal": "Meal",
+      "restore.collection.water": "water",
+      "restore.item.water": "Water",
+      "restore.collection.sleep": "nights of sleep",
+      "restore.item.sleep": "Sleep",
+      "restore.noName": "No name",
+      "restore.height": "height {height}",
+      "restore.goal": "goal {weight}",
+      "restore.activity": "{activity} {minutes} min",
+      "restore.error": "Error: {error}",
+      "restore.nothingToRestore":
+        "The backup matches the data already on this device – nothing to restore.",
+      "restore.switchProfile":
+        'This backup belongs to the profile "{name}". Switch to that profile and restore into it?',
+      "restore.createProfile":
+        'This backup belongs to the profile "{name}", which isn\'t on this device. Create it and restore into it?',
+      "restore.intoActiveProfile":
+        'Restore the backup into the current profile ("{name}") instead?',
+      "restore.profileCancelled":
+        "Restore cancelled, so data of different profiles isn't mixed.",
+      "restore.settings.none": "not included",
+      "restore.settings.identical": "identical",
+      "restore.settings.conflict": "different",
+      "restore.counts":
+        "{added} new · {identical} identical · {conflicts} in conflict",
+      "restore.oldFormat":
+        "Backup in an old format (version {version}) – converted automatically.",
+      "restore.settings": "Settings",
+      "restore.item.settings": "Personal settings",
+      "restore.local": "On this device",
+      "restore.backup": "From the backup",
+      "restore.profileChanged":
+        "The profile was switched since the preview. Please restore again.",
+      "restore.done":
+        "Restore complete! Updated: {written}. There are now {count} entries.",
+      "restore.pastePrompt": "Paste the backup code (JSON) you copied:",
+      // CSV import dialog
+      "csvImport.close": "Close import window",
+      "csvImport.import": "Import",
+      // App update
+      "update.ready": "A new version of the app is ready",
+      "update.reload": "Reload now",
+      // Navigation
+      "nav.home": "Home / Log",
+      "nav.history": "History",
+      "nav.reports": "Reports",
+      "nav.achievements": "Badges",
+      "nav.settings": "Settings",
+      // Storage
+      "storage.saveFailed":
+        "Couldn't save the data on this device. Please try again.",
+      "storage.loadFailed": "Couldn't load the data saved on this device.",
+      // Milestones
+      "milestone.lost": "You've lost {amount}!",
+      "milestone.gained": "You've gained {amount}!",
+      "milestone.belowObese": "You're out of the obesity range (BMI below 30)!",
+      "milestone.normalBmi": "You've reached a normal BMI range!",
+      "milestone.goal": "You've reached your goal weight: {weight}! 🏆",
+      "milestone.notificationTitle": "🎉 New milestone!",
+      "milestone.alertTitle": "🎉 Well done!",
+      // Notifications
+      "notify.weighInTitle": "Hi {name}, today is your weigh-in day!",
+      "notify.weighInBody": "Don't forget to step on the scale and log it.",
+      "notify.waterTitle": "Don't forget to drink 💧",
+      "notify.waterBody":
+        "You've had {amount} of {target} ml today. Another glass?",
+      "notify.unsupported": "This browser doesn't support notifications",
+      "notify.granted": "Notifications are on ✅",
+      "notify.denied": "Notifications are blocked ❌",
+      "notify.prompt": "Tap to turn on notifications",
+      // Export
+      "export.shareText": "Here is your data file",
+      "export.copiedInstead":
+        "Your phone's security settings blocked the automatic download.\n\n✅ But the data was copied to the clipboard!\n\nTo keep it:\n1. Open WhatsApp or your email.\n2. Paste.\n3. Send the message to yourself.",
+      "export.clipboardBlocked":
+        "Sorry, your phone also blocks automatic copying. Try the manual copy buttons.",
+      "export.noData": "There's no data to export",
+      // Backup file
+      "backup.filePrefix": "diet_backup",
+      "backup.shareTitle": "Full backup - diet & fitness log",
+      "backup.invalidJson": "The file isn't valid JSON.",
+      "backup.invalidStructure": "The backup structure is invalid.",
+      "backup.wrongFormat": "The file isn't a diet log backup.",
+      "backup.noLogs": "No logs were found in the backup.",
+      "backup.invalidProfile": "The profile details in the backup are invalid.",
+      "backup.unknownVersion": "Unknown backup version: {version}",
+      "backup.newerVersion":
+        "The backup was made by a newer version of the app (version {version}). Please update the app.",
+      "backup.recordNotObject": "The record isn't an object",
+      "backup.itemNotObject": "The item isn't an object",
+      "backup.missingId": "missing id",
+      "backup.invalidDate": "date must be in YYYY-MM-DD format",
+      "backup.invalidTimestamp": "invalid timestamp",
+      "backup.invalidWeight": "weight must be a positive number or empty",
+      "backup.invalidDuration": "duration must be whole minutes or empty",
+      "backup.mustBeObject": "must be an object",
+      "backup.mustBeText": "must be text",
+      "backup.missingMealType": "missing meal type",
+      "backup.invalidCalories": "calories must be a non-negative number",
+      "backup.invalidAmount": "amount must be a positive number",
+      "backup.invalidTime": "time must be in HH:MM format",
+      "backup.invalidQuality": "sleep quality must be a whole number 1–5",
+      "backup.invalidHeight": "height must be a positive number",
+      "backup.invalidWeighInDay": "weigh-in day must be 0–6",
+      "backup.mustBeList": "must be a list",
+      "backup.missingName": "missing name",
+      "backup.invalidMet": "MET must be a positive number",
+      "backup.mustBePositive": "must be a positive number",
+      "backup.duplicateId": 'the id "{id}" appears more than once',
+      // CSV
+      "csv.column.date": "Date",
+      "csv.column.weight": "Weight (kg)",
+      "csv.column.weightLb": "Weight (lb)",
+      "csv.column.activityType": "Activity",
+      "csv.column.durationMinutes": "Duration (min)",
+      "csv.column.caloriesBurned": "Calories burned",
+      "csv.column.notes": "Notes",
+      "csv.column.mealType": "Meal type",
+      "csv.column.foodName": "Food",
+      "csv.column.intake": "Calories eaten",
+      "csv.column.id": "ID",
+      "csv.column.createdAt": "Created at",
+      "csv.shareTitle": "Activity log export to CSV",
+      "csv.invalidDate": 'Invalid date: "{value}"',
+      "csv.mixedRow": "The row has both log data and meal data",
+      "csv.unknownMealType": 'Unknown meal type: "{value}"',
+      "csv.invalidCalories": 'Invalid calories: "{value}"',
+      "csv.invalidWeight": 'Invalid weight: "{value}"',
+      "csv.invalidDuration": 'Invalid duration: "{value}"',
+      "csv.invalidMeasurement": 'Invalid {name}: "{value}"',
+      "csv.emptyRow": "The row has no data",
+      "csv.noRows": "The file is empty or has no data rows below the headers.",
+      "csv.summary":
+        "Found {rows} rows and {columns} columns. Check that each column is matched to the right field:",
+      "csv.columnNumber": "Column {number}",
+      "csv.example": "e.g. {value}",
+      "csv.ignore": "Ignore",
+      "csv.dateRequired": "Choose which column holds the date.",
+      "csv.duplicateMapping": "Each field can be matched to one column only.",
+      "csv.report":
+        "{added} added · {updated} updated · {unchanged} unchanged · {errors} errors",
+      "csv.rowError": "Row {line}: {problems}",
+      // Clipboard
+      "copy.noData": "There's no data to copy",
+      "copy.csvCopied":
+        "The data was copied to the clipboard! You can paste it in WhatsApp.",
+      "copy.failedRetry": "Copying failed. Please try again.",
+      "copy.backupCopied":
+        "The backup code was copied! Keep it somewhere safe.",
+      "copy.failed": "Copying failed.",
+      // Calendar
+      "calendar.details": "Your time to log weight and activity in the app!",
+      "calendar.event.weighIn": "⚖️ Weigh-in",
+      "calendar.event.activity": "🏃 Activity",
+      "calendar.event.water": "💧 Water",
+      "calendar.event.eveningLog": "📝 Log your day",
+      "calendar.noReminders": "There are no active reminders to export.",
+      "calendar.shareTitle": "Calendar reminders",
+      // Reports
+      "reports.title": "Reports",
+      "reports.week": "Week",
+      "reports.month": "Month",
+      "reports.previousPeriod": "Previous period",
+      "reports.nextPeriod": "Next period",
+      "reports.minutesByActivity": "Minutes by activity",
+      "reports.weightChange": "Weight change",
+      "reports.averageWeight": "Average weight",
+      "reports.activeDays": "Active days",
+      "reports.caloriesBurned": "Calories burned",
+      "reports.caloriesEaten": "Calories eaten",
+      "reports.previous": "Previous: {value}",
+      "reports.previousWithDiff": "Previous: {value} ({diff})",
+      "reports.minutes": "{minutes} min",
+      "reports.noActivity": "No activity in this period or the previous one",
+      // Streaks
+      "dashboard.longestStreak": "Best: {count}",
+      "streak.hint.logging": "Days in a row with a log",
+      "streak.hint.activity": "Days in a row with activity",
+      "streak.hint.weighIn": "Weeks in a row with a weigh-in",
+      "settings.streakType": "Streak type",
+      "streak.type.logging": "Daily log",
+      "streak.type.activity": "Daily activity",
+      "streak.type.weighIn": "Weekly weigh-in",
+      "settings.streakGrace": "Misses a streak survives (days / weeks)",
+      "settings.streakGraceNone": "None (any miss breaks it)",
+      // Achievements
+      "achievements.title": "Achievements",
+      "achievements.count": "{unlocked} of {total}",
+      "achievements.unlockedOn": "Unlocked {date}",
+      "achievements.locked": "Not yet unlocked",
+      "achievements.notificationTitle": "New badge! 🏅",
+      "achievements.alertTitle": "🏅 Well done! New badge:",
+      "achievement.firstLog.title": "First step",
+      "achievement.firstLog.description": "Your first log",
+      "achievement.lost5kg.title": "First 5 kg",
+      "achievement.lost5kg.description": "5 kg below your first weigh-in",
+      "achievement.lost10kg.title": "10 kg down",
+      "achievement.lost10kg.description": "10 kg below your first weigh-in",
+      "achievement.streak30.title": "30-day streak",
+      "achievement.streak30.description": "30 days in a row with a log",
+      "achievement.walked100km.title": "100 km walked",
+      "achievement.walked100km.description":
+        "Estimated from walking minutes (about 5 km/h)",
+      "achievement.workoutMonth.title": "A month of workouts",
+      "achievement.workoutMonth.description":
+        "3 workouts a week, 4 weeks in a row",
+      // Reminder schedule
+      "reminders.scheduleTitle": "Scheduled reminders",
+      "reminders.add": "Add reminder",
+      "reminders.none": "No reminders",
+      "reminders.type": "Reminder type",
+      "reminders.time": "Time",
+      "reminders.enable": "Turn reminder on",
+      "reminders.disable": "Turn reminder off",
+      "reminders.delete": "Delete reminder",
+      "reminders.type.weighIn": "Weigh-in",
+      "reminders.type.activity": "Activity",
+      "reminders.type.water": "Water",
+      "reminders.type.eveningLog": "Evening log",
+      "reminders.quietStart": "Quiet hours from",
+      "reminders.quietEnd": "To",
+      "reminders.scheduleHint":
+        "A reminder is skipped if you already logged what it asks for, and during quiet hours.",
+      "notify.activityTitle": "Time to move 🏃",
+      "notify.activityBody":
+        "No activity logged today yet. A short walk counts too!",
+      "notify.eveningLogTitle": "How was your day? 📝",
+      "notify.eveningLogBody":
+        "Nothing logged today yet. One minute in the log and you're done.",
+      // Calendar heatmap
+      "heatmap.title": "The past year",
+      "heatmap.minutes": "Minutes",
+      "heatmap.calories": "Calories",
+      "heatmap.less": "Less",
+      "heatmap.more": "More",
+      "heatmap.weighIn": "Weigh-in",
+      "heatmap.noEntries": "Nothing logged on this day",
+    },
+  };
+
+  // Attributes translated by translateDom (data-i18n-<attribute>)
+  const TRANSLATED_ATTRIBUTES = ["placeholder", "aria-label", "title"];
+
+  let currentLocale = DEFAULT_LOCALE;
+
+  function isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+  }
+
+  function lookup(key, locale) {
+    const messages = MESSAGES[locale] || {};
+    return key in messages ? messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+  }
+
+  // Message `key` in `locale` (default: the current one), with {name}
+  // placeholders filled from params
+  function t(key, params, locale = currentLocale) {
+    let message;
+    if (params && params.count === 1) message = lookup(`${key}_one`, locale);
+    if (message === undefined) message = lookup(key, locale);
+    if (message === undefined) {
+      console.warn(`Missing message: ${key}`);
+      return key;
+    }
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? String(params[name]) : match,
+    );
+  }
+
+  // The message in every language (without repeats), for matching text
+  // that may have been saved or typed in any of them
+  function translateAll(key) {
+    return Array.from(
+      new Set(Object.keys(LOCALES).map((locale) => t(key, null, locale))),
+    );
+  }
+
+  function getLocale() {
+    return currentLocale;
+  }
+
+  // Locale for Intl / toLocaleDateString
+  function getIntlLocale() {
+    return LOCALES[currentLocale].intl;
+  }
+
+  function setLocale(locale) {
+    currentLocale = isSupported(locale) ? locale : DEFAULT_LOCALE;
+  }
+
+  // Fill the data-i18n* marked elements under root and set the page
+  // language and direction (RTL / LTR)
+  function translateDom(root = global.document) {
+    if (!root) return;
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = t(el.getAttribute("data-i18n"));
+    });
+    TRANSLATED_ATTRIBUTES.forEach((attribute) => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+        el.setAttribute(
+          attribute,
+          t(el.getAttribute(`data-i18n-${attribute}`)),
+        );
+      });
+    });
+
+    const html = global.document && global.document.documentElement;
+    if (html) {
+      html.lang = currentLocale;
+      html.dir = LOCALES[currentLocale].dir;
+    }
+  }
+
+  global.DietI18n = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    MESSAGES,
+    t,
+    translateAll,
+    isSupported,
+    getLocale,
+    getIntlLocale,
+    setLocale,
+    translateDom,
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,219 @@
+// ics.js
+// Minimal iCalendar (RFC 5545) writer for recurring reminder events.
+// Exposes a global `DietIcs`; which events to write is decided in app.js.
+//
+// Times are written in the device's IANA time zone (TZID=Asia/Jerusalem),
+// with a VTIMEZONE built from the offsets the browser reports, so an event
+// at 20:00 stays at 20:00 local time across daylight saving changes.
+// Without a named zone, times are written in UTC.
+
+(function (global) {
+  "use strict";
+
+  const PRODID = "-//Diet Tracker//Reminders//EN";
+  const MAX_LINE_OCTETS = 75;
+  // VTIMEZONE covers this many years before / after the current one
+  const TZ_YEARS_BEFORE = 1;
+  const TZ_YEARS_AFTER = 10;
+  const DAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+  const MINUTE_MS = 60 * 1000;
+
+  // TEXT values: backslash, ";", "," and line breaks are escaped
+  function escapeText(value) {
+    return String(value || "")
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space.
+  // Counted in UTF-8 octets (Hebrew letters take 2) and never split inside
+  // a character.
+  function foldLine(line) {
+    const parts = [];
+    let current = "";
+    let octets = 0;
+    for (const char of line) {
+      const size = utf8Length(char);
+      // Continuation lines start with a space, which counts too
+      const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = "";
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+  }
+
+  const pad = (n) => String(n).padStart(2, "0");
+
+  // Local wall time (20261019T200000)
+  function formatLocal(date) {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+      date.getDate(),
+    )}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(
+      date.getSeconds(),
+    )}`;
+  }
+
+  // UTC time (20261019T170000Z)
+  function formatUtc(date) {
+    return `${date.toISOString().slice(0, 19).replace(/[-:]/g, "")}Z`;
+  }
+
+  // UTC offset in minutes at `time` (Israel summer: +180)
+  function utcOffsetAt(time) {
+    return -new Date(time).getTimezoneOffset();
+  }
+
+  // +0300 / -0430
+  function formatOffset(minutes) {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}${pad(
+      abs % 60,
+    )}`;
+  }
+
+  // Offset changes of the local zone between two times, found day by day
+  // and then narrowed to the minute: [{ time, from, to }]
+  function findOffsetChanges(fromTime, toTime) {
+    const changes = [];
+    const dayMs = 24 * 60 * MINUTE_MS;
+    for (let t = fromTime; t < toTime; t += dayMs) {
+      const from = utcOffsetAt(t);
+      const to = utcOffsetAt(t + dayMs);
+      if (from === to) continue;
+
+      let low = t;
+      let high = t + dayMs; // offset at high is already `to`
+      while (high - low > MINUTE_MS) {
+        const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (utcOffsetAt(mid) === from) low = mid;
+        else high = mid;
+      }
+      changes.push({ time: high, from, to });
+    }
+    return changes;
+  }
+
+  // VTIMEZONE lines for the local zone, one observance per offset change.
+  // An observance's DTSTART is the wall time just before the change, in the
+  // old offset, as RFC 5545 requires.
+  function buildTimeZone(tzid, now = new Date()) {
+    const start = new Date(now.getFullYear() - TZ_YEARS_BEFORE, 0, 1);
+    const end = new Date(now.getFullYear() + TZ_YEARS_AFTER + 1, 0, 1);
+    const changes = findOffsetChanges(start.getTime(), end.getTime());
+    const lines = ["BEGIN:VTIMEZONE", `TZID:${tzid}`];
+
+    if (!changes.length) {
+      const offset = formatOffset(utcOffsetAt(now.getTime()));
+      lines.push(
+        "BEGIN:STANDARD",
+        "DTSTART:19700101T000000",
+        `TZOFFSETFROM:${offset}`,
+        `TZOFFSETTO:${offset}`,
+        "END:STANDARD",
+      );
+    }
+
+    changes.forEach((change) => {
+      const kind = change.to > change.from ? "DAYLIGHT" : "STANDARD";
+      // Wall time in the old offset, read through the UTC getters
+      const wall = new Date(change.time + change.from * MINUTE_MS);
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${formatUtc(wall).slice(0, -1)}`,
+        `TZOFFSETFROM:${formatOffset(change.from)}`,
+        `TZOFFSETTO:${formatOffset(change.to)}`,
+        `END:${kind}`,
+      );
+    });
+
+    lines.push("END:VTIMEZONE");
+    return lines;
+  }
+
+  // The device's IANA zone, or null (then times are written in UTC)
+  function getLocalTimeZone() {
+    try {
+      const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      return zone && zone !== "UTC" && zone !== "Etc/UTC" ? zone : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // RRULE for days of the week (0 = Sunday): daily when all 7 are chosen
+  function buildWeeklyRule(days) {
+    return days.length === 7
+      ? "FREQ=DAILY"
+      : `FREQ=WEEKLY;BYDAY=${days.map((d) => DAY_CODES[d]).join(",")}`;
+  }
+
+  // events: [{ uid, start: Date (local), durationMinutes, summary,
+  //            description, rrule, alarm }] -> .ics text
+  function stringify(events, { now = new Date() } = {}) {
+    const tzid = getLocalTimeZone();
+    const dateTime = (name, date) =>
+      tzid
+        ? `${name};TZID=${tzid}:${formatLocal(date)}`
+        : `${name}:${formatUtc(date)}`;
+
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${PRODID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+    ];
+    if (tzid) lines.push(...buildTimeZone(tzid, now));
+
+    events.forEach((event) => {
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatUtc(now)}`,
+        dateTime("DTSTART", event.start),
+        `DURATION:PT${event.durationMinutes}M`,
+        `SUMMARY:${escapeText(event.summary)}`,
+      );
+      if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      }
+      if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+      if (event.alarm) {
+        lines.push(
+          "BEGIN:VALARM",
+          "ACTION:DISPLAY",
+          `DESCRIPTION:${escapeText(event.summary)}`,
+          "TRIGGER:PT0M",
+          "END:VALARM",
+        );
+      }
+      lines.push("END:VEVENT");
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+  }
+
+  global.DietIcs = {
+    escapeText,
+    foldLine,
+    buildTimeZone,
+    buildWeeklyRule,
+    stringify,
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,253 @@
+// reminders.js
+// Reminder schedule shared by the page and the service worker.
+// Exposes a global `DietReminders`. The page loads it with a script tag,
+// sw.js with importScripts, so both decide the same way what is due.
+//
+// A reminder is { id, type, time: "HH:MM", days: [0-6], enabled } and lives
+// in userSettings.reminders (0 = Sunday, like weighInDay). It is due once a
+// day, from its time on, unless:
+//   - the day's matching record already exists (see isDone),
+//   - it is quiet hours (userSettings.quietHoursStart / End),
+//   - it was already shown today (settings record "reminderLog").
+//
+// runInWorker() is the service worker side: it reads the active profile's
+// data from IndexedDB (DietStorage) and shows the notifications itself, so
+// reminders also arrive when the page isn't in the foreground.
+
+(function (global) {
+  "use strict";
+
+  // Types and the time a new reminder of that type starts with
+  // (labels: reminders.type.<id>)
+  const REMINDER_TYPES = [
+    { id: "weighIn", time: "08:00" },
+    { id: "activity", time: "17:00" },
+    { id: "water", time: "18:00" },
+    { id: "eveningLog", time: "21:00" },
+  ];
+  const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const LOG_RECORD_KEY = "reminderLog";
+
+  function minutesOfDay(hhmm) {
+    const [h, m] = hhmm.split(":").map(Number);
+    return h * 60 + m;
+  }
+
+  function formatYMD(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate(),
+    )}`;
+  }
+
+  function generateId() {
+    return global.crypto && global.crypto.randomUUID
+      ? global.crypto.randomUUID()
+      : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+
+  // What the old one-shot check did: weigh-in reminder on the weigh-in day
+  // (every day if none is set) and the evening water check. Fixed ids, so
+  // settings saved before reminders existed give the same ids on every
+  // check and "already shown today" still works.
+  function getDefaultReminders(weighInDay) {
+    return [
+      {
+        id: "default-weighIn",
+        type: "weighIn",
+        time: "08:00",
+        days: typeof weighInDay === "number" ? [weighInDay] : ALL_DAYS,
+        enabled: true,
+      },
+      {
+        id: "default-water",
+        type: "water",
+        time: "18:00",
+        days: ALL_DAYS,
+        enabled: true,
+      },
+    ];
+  }
+
+  // Drop malformed reminders. Settings from before reminders existed get
+  // the defaults.
+  function normalizeReminders(list, weighInDay) {
+    if (!Array.isArray(list)) return getDefaultReminders(weighInDay);
+    return list
+      .filter(
+        (r) =>
+          r &&
+          REMINDER_TYPES.some((type) => type.id === r.type) &&
+          TIME_PATTERN.test(r.time || "") &&
+          Array.isArray(r.days),
+      )
+      .map((r) => ({
+        id: typeof r.id === "string" && r.id ? r.id : generateId(),
+        type: r.type,
+        time: r.time,
+        days: ALL_DAYS.filter((d) => r.days.includes(d)),
+        enabled: r.enabled !== false,
+      }));
+  }
+
+  // Quiet hours may wrap past midnight (22:00 - 07:00). Equal or missing
+  // start / end = no quiet hours.
+  function isQuietTime(settings, now) {
+    const { quietHoursStart: start, quietHoursEnd: end } = settings;
+    if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || "")) {
+      return false;
+    }
+    const from = minutesOfDay(start);
+    const to = minutesOfDay(end);
+    const minute = now.getHours() * 60 + now.getMinutes();
+    if (from === to) return false;
+    return from < to
+      ? minute >= from && minute < to
+      : minute >= from || minute < to;
+  }
+
+  // Has the record this reminder asks for been logged on `day`?
+  // day = { entries, meals, water } of that date only
+  function isDone(type, day, settings) {
+    switch (type) {
+      case "weighIn":
+        return day.entries.some((e) => typeof e.weight === "number");
+      case "activity":
+        return day.entries.some((e) => e.durationMinutes > 0);
+      case "water":
+        return (
+          day.water.reduce((sum, w) => sum + (Number(w.amountMl) || 0), 0) >=
+          settings.waterTargetMl
+        );
+      case "eveningLog":
+        return day.entries.length > 0 || day.meals.length > 0;
+      default:
+        return true;
+    }
+  }
+
+  // Reminders to show now. `shownToday` = ids already shown today.
+  function findDue(settings, day, now, shownToday = []) {
+    if (isQuietTime(settings, now)) return [];
+    const minute = now.getHours() * 60 + now.getMinutes();
+    return normalizeReminders(settings.reminders, settings.weighInDay).filter(
+      (r) =>
+        r.enabled &&
+        r.days.includes(now.getDay()) &&
+        minutesOfDay(r.time) <= minute &&
+        !shownToday.includes(r.id) &&
+        !isDone(r.type, day, settings),
+    );
+  }
+
+  // Notification text for a due reminder, in the user's language
+  function getMessage(reminder, day, settings) {
+    const { t } = global.DietI18n;
+    const locale = settings.language;
+    switch (reminder.type) {
+      case "weighIn":
+        return {
+          title: t(
+            "notify.weighInTitle",
+            { name: settings.firstName || "" },
+            locale,
+          ),
+          body: t("notify.weighInBody", null, locale),
+        };
+      case "water":
+        return {
+          title: t("notify.waterTitle", null, locale),
+          body: t(
+            "notify.waterBody",
+            {
+              amount: day.water.reduce((sum, w) => sum + w.amountMl, 0),
+              target: settings.waterTargetMl,
+            },
+            locale,
+          ),
+        };
+      default:
+        return {
+          title: t(`notify.${reminder.type}Title`, null, locale),
+          body: t(`notify.${reminder.type}Body`, null, locale),
+        };
+    }
+  }
+
+  // { date, ids } -> the ids shown on `date` (the log resets every day)
+  function getShownIds(log, date) {
+    return log && log.date === date && Array.isArray(log.ids) ? log.ids : [];
+  }
+
+  // Service worker: check the active profile and show what is due.
+  // showNotification(title, options) is registration.showNotification.
+  // Only reminders that were actually shown are logged as shown today;
+  // the rest are tried again on the next check.
+  async function runInWorker(showNotification) {
+    if (global.Notification && global.Notification.permission !== "granted") {
+      return;
+    }
+    const storage = global.DietStorage;
+    const registry = await storage.getProfileRegistry();
+    const profile =
+      registry && Array.isArray(registry.profiles)
+        ? registry.profiles.find((p) => p.id === registry.activeId) ||
+          registry.profiles[0]
+        : null;
+    await storage.useDatabase(profile ? profile.dbName : undefined);
+
+    const settings = await storage.getSetting("userSettings");
+    if (!settings) return;
+
+    const now = new Date();
+    const today = formatYMD(now);
+    const onToday = (r) => r && r.date === today;
+    const [entries, meals, water, log] = await Promise.all([
+      storage.getAll("entries"),
+      storage.getAll("meals"),
+      storage.getAll("water"),
+      storage.getSetting(LOG_RECORD_KEY),
+    ]);
+    const day = {
+      entries: entries.filter(onToday),
+      meals: meals.filter(onToday),
+      water: water.filter(onToday),
+    };
+
+    const shown = getShownIds(log, today);
+    const due = findDue(settings, day, now, shown);
+    if (!due.length) return;
+
+    const results = await Promise.allSettled(
+      due.map((reminder) => {
+        const { title, body } = getMessage(reminder, day, settings);
+        return showNotification(title, {
+          body,
+          icon: "icon.png",
+          tag: `reminder-${reminder.id}`,
+        });
+      }),
+    );
+    const delivered = due.filter((r, i) => results[i].status === "fulfilled");
+    if (!delivered.length) return;
+
+    await storage.setSetting(LOG_RECORD_KEY, {
+      date: today,
+      ids: shown.concat(delivered.map((r) => r.id)),
+    });
+  }
+
+  global.DietReminders = {
+    REMINDER_TYPES,
+    ALL_DAYS,
+    LOG_RECORD_KEY,
+    getDefaultReminders,
+    normalizeReminders,
+    isQuietTime,
+    findDue,
+    getMessage,
+    getShownIds,
+    runInWorker,
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,296 @@
+// storage.js
+// Async persistence layer backed by IndexedDB.
+// Exposes a global `DietStorage` that app.js reads and writes through.
+//
+// Object stores:
+//   entries  - daily logs, keyed by entry id (index: date)
+//   meals    - food log items, keyed by meal id (index: date)
+//   water    - water intake logs, keyed by id (index: date)
+//   sleep    - one sleep log per night, keyed by id (index: date)
+//   settings - key/value records ({ key, value }), e.g. "userSettings"
+//
+// Schema changes are added as a new step at the end of MIGRATIONS. The DB
+// version is the number of steps, so never edit or reorder a shipped step.
+//
+// Profiles: every profile has its own database with the stores above, so
+// one person's data can never end up in another's. The main database
+// ("dietTracker") belongs to the first profile and also holds the profile
+// registry (settings record "profiles"). useDatabase() picks the database
+// that getAll / put / ... work on.
+
+(function (global) {
+  "use strict";
+
+  const MAIN_DB_NAME = "dietTracker";
+  const PROFILES_RECORD_KEY = "profiles";
+
+  // localStorage keys used before IndexedDB (imported by migration 1)
+  const LEGACY_ENTRIES_KEY = "dietEntries";
+  const LEGACY_SETTINGS_KEY = "dietUserSettings";
+  const LEGACY_MEALS_KEY = "dietMeals";
+
+  function readLegacyJson(key) {
+    try {
+      const raw = global.localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      console.error(`Failed to parse legacy ${key}:`, e);
+      return null;
+    }
+  }
+
+  // Copy the old localStorage blobs into the new stores. Records without an
+  // id get the same deterministic id app.js uses for date-keyed data.
+  // The old keys are removed only once the upgrade transaction commits.
+  function importLegacyLocalStorage(tx) {
+    // Legacy data belongs to the first profile only
+    if (!global.localStorage || tx.db.name !== MAIN_DB_NAME) return;
+
+    const legacyEntries = readLegacyJson(LEGACY_ENTRIES_KEY);
+    if (Array.isArray(legacyEntries)) {
+      const store = tx.objectStore("entries");
+      legacyEntries.forEach((e) => {
+        if (!e || !e.date) return;
+        store.put({ ...e, id: e.id || `legacy-${e.date}` });
+      });
+    }
+
+    const legacyMeals = readLegacyJson(LEGACY_MEALS_KEY);
+    if (Array.isArray(legacyMeals)) {
+      const store = tx.objectStore("meals");
+      legacyMeals.forEach((m) => {
+        if (!m || !m.id) return;
+        store.put(m);
+      });
+    }
+
+    const legacySettings = readLegacyJson(LEGACY_SETTINGS_KEY);
+    if (legacySettings && typeof legacySettings === "object") {
+      tx.objectStore("settings").put({
+        key: "userSettings",
+        value: legacySettings,
+      });
+    }
+
+    tx.addEventListener("complete", () => {
+      [LEGACY_ENTRIES_KEY, LEGACY_SETTINGS_KEY, LEGACY_MEALS_KEY].forEach(
+        (key) => global.localStorage.removeItem(key),
+      );
+    });
+  }
+
+  // MIGRATIONS[i] upgrades the DB from version i to version i + 1.
+  const MIGRATIONS = [
+    // 1: initial stores + import of the localStorage data
+    (db, tx) => {
+      db.createObjectStore("entries", { keyPath: "id" }).createIndex(
+        "date",
+        "date",
+      );
+      db.createObjectStore("meals", { keyPath: "id" }).createIndex(
+        "date",
+        "date",
+      );
+      db.createObjectStore("settings", { keyPath: "key" });
+      importLegacyLocalStorage(tx);
+    },
+    // 2: water intake log
+    (db) => {
+      db.createObjectStore("water", { keyPath: "id" }).createIndex(
+        "date",
+        "date",
+      );
+    },
+    // 3: sleep log
+    (db) => {
+      db.createObjectStore("sleep", { keyPath: "id" }).createIndex(
+        "date",
+        "date",
+      );
+    },
+  ];
+
+  const SCHEMA_VERSION = MIGRATIONS.length;
+
+  let currentDbName = MAIN_DB_NAME;
+
+  /** @type {Map<string, Promise<IDBDatabase>>} open connections by name */
+  const connections = new Map();
+
+  function openDatabase(name) {
+    if (connections.has(name)) return connections.get(name);
+
+    const dbPromise = new Promise((resolve, reject) => {
+      if (!global.indexedDB) {
+        reject(new Error("IndexedDB is not supported in this browser"));
+        return;
+      }
+
+      const request = global.indexedDB.open(name, SCHEMA_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const tx = request.transaction;
+        for (let v = event.oldVersion; v < SCHEMA_VERSION; v++) {
+          MIGRATIONS[v](db, tx);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab opened a newer schema (or deletes the DB): let it
+        db.onversionchange = () => {
+          db.close();
+          connections.delete(name);
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () =>
+        console.warn("Storage upgrade blocked by another open tab");
+    });
+
+    // Allow a retry after a failed open
+    dbPromise.catch(() => {
+      connections.delete(name);
+    });
+
+    connections.set(name, dbPromise);
+    return dbPromise;
+  }
+
+  // The database of the active profile
+  function open() {
+    return openDatabase(currentDbName);
+  }
+
+  // Switch the active database (opening / creating it). Writes already
+  // started keep going to the database they were issued against.
+  function useDatabase(name) {
+    currentDbName = name || MAIN_DB_NAME;
+    return open();
+  }
+
+  // Run `work(tx)` in one transaction. Resolves when the transaction
+  // commits, with work's return value (or its IDBRequest's result).
+  function runTransaction(storeNames, mode, work, dbPromise = open()) {
+    return dbPromise.then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(storeNames, mode);
+          let result;
+          tx.oncomplete = () =>
+            resolve(result instanceof IDBRequest ? result.result : result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+          result = work(tx);
+        }),
+    );
+  }
+
+  function getAll(storeName) {
+    return runTransaction(storeName, "readonly", (tx) =>
+      tx.objectStore(storeName).getAll(),
+    );
+  }
+
+  function put(storeName, record) {
+    return runTransaction(storeName, "readwrite", (tx) => {
+      tx.objectStore(storeName).put(record);
+    });
+  }
+
+  function putMany(storeName, records) {
+    return runTransaction(storeName, "readwrite", (tx) => {
+      const store = tx.objectStore(storeName);
+      records.forEach((record) => store.put(record));
+    });
+  }
+
+  function remove(storeName, id) {
+    return runTransaction(storeName, "readwrite", (tx) => {
+      tx.objectStore(storeName).delete(id);
+    });
+  }
+
+  // Clear a store and write the given records, atomically
+  function replaceAll(storeName, records) {
+    return runTransaction(storeName, "readwrite", (tx) => {
+      const store = tx.objectStore(storeName);
+      store.clear();
+      records.forEach((record) => store.put(record));
+    });
+  }
+
+  function getSetting(key) {
+    return runTransaction("settings", "readonly", (tx) =>
+      tx.objectStore("settings").get(key),
+    ).then((record) => (record ? record.value : undefined));
+  }
+
+  function setSetting(key, value) {
+    return put("settings", { key, value });
+  }
+
+  // Profile registry, always kept in the main database
+  function getProfileRegistry() {
+    return runTransaction(
+      "settings",
+      "readonly",
+      (tx) => tx.objectStore("settings").get(PROFILES_RECORD_KEY),
+      openDatabase(MAIN_DB_NAME),
+    ).then((record) => (record ? record.value : undefined));
+  }
+
+  function setProfileRegistry(value) {
+    return runTransaction(
+      "settings",
+      "readwrite",
+      (tx) => {
+        tx.objectStore("settings").put({ key: PROFILES_RECORD_KEY, value });
+      },
+      openDatabase(MAIN_DB_NAME),
+    );
+  }
+
+  // Delete a profile's database (never the main one)
+  function deleteDatabase(name) {
+    if (name === MAIN_DB_NAME || name === currentDbName) {
+      return Promise.reject(new Error("Cannot delete an active database"));
+    }
+    const closing = connections.has(name)
+      ? connections
+          .get(name)
+          .then((db) => db.close())
+          .catch(() => {})
+      : Promise.resolve();
+    connections.delete(name);
+
+    return closing.then(
+      () =>
+        new Promise((resolve, reject) => {
+          const request = global.indexedDB.deleteDatabase(name);
+          request.onsuccess = () => resolve();
+          request.onerror = () => reject(request.error);
+        }),
+    );
+  }
+
+  global.DietStorage = {
+    SCHEMA_VERSION,
+    MAIN_DB_NAME,
+    open,
+    useDatabase,
+    getAll,
+    put,
+    putMany,
+    remove,
+    replaceAll,
+    getSetting,
+    setSetting,
+    getProfileRegistry,
+    setProfileRegistry,
+    deleteDatabase,
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,155 @@
+// sw.js
+// Service worker: precaches the app shell so the installed PWA works offline.
+// Bump CACHE_VERSION whenever a shell file changes; the new worker waits
+// until the page tells it to take over (see registerServiceWorker in app.js).
+
+"use strict";
+
+// Reminder schedule and the data it checks (see reminders.js)
+importScripts("i18n.js", "storage.js", "reminders.js");
+
+const CACHE_VERSION = "v37";
+const CACHE_PREFIX = "diet-tracker-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+// Local files: install fails if any of these cannot be cached.
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "app.js",
+  "data.js",
+  "i18n.js",
+  "storage.js",
+  "backup.js",
+  "csv.js",
+  "ics.js",
+  "reminders.js",
+  "manifest.json",
+  "icon.png",
+];
+
+// CDN files: cached best-effort, so a CDN hiccup doesn't block the install.
+const CDN_ASSETS = [
+  "https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js",
+  "https://cdn.tailwindcss.com",
+  "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(async (cache) => {
+      await cache.addAll(APP_SHELL);
+      await Promise.all(
+        CDN_ASSETS.map((url) =>
+          cache
+            .add(url)
+            .catch((e) => console.warn("Could not precache", url, e)),
+        ),
+      );
+    }),
+  );
+});
+
+// Remove caches of older versions
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith(CACHE_PREFIX) &&
+                key !== SHELL_CACHE &&
+                key !== RUNTIME_CACHE,
+            )
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+function checkReminders() {
+  return DietReminders.runInWorker((title, options) =>
+    self.registration.showNotification(title, options),
+  ).catch((e) => console.error("Reminder check failed:", e));
+}
+
+// The page asks the waiting worker to activate after the user agrees to
+// reload, and asks for a reminder check every minute while it is open
+self.addEventListener("message", (event) => {
+  if (!event.data) return;
+  if (event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  } else if (event.data.type === "CHECK_REMINDERS") {
+    event.waitUntil(checkReminders());
+  }
+});
+
+// Wake-ups while the app is closed (registered by registerReminderSync)
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "reminders") event.waitUntil(checkReminders());
+});
+
+// Tapping a reminder focuses the open app, or opens it
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) =>
+        windows.length ? windows[0].focus() : self.clients.openWindow("./"),
+      ),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  // Pages: network first (fresh when online), cached shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches
+          .match(request, { ignoreSearch: true })
+          .then((cached) => cached || caches.match("index.html")),
+      ),
+    );
+    return;
+  }
+
+  // Same-origin shell files: cache first (updated by a new CACHE_VERSION)
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      caches
+        .match(request, { ignoreSearch: true })
+        .then((cached) => cached || fetch(request)),
+    );
+    return;
+  }
+
+  // CDN files (Tailwind, Chart.js, Font Awesome + its webfonts):
+  // stale-while-revalidate in the runtime cache
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((response) => {
+          if (response && (response.ok || response.type === "opaque")) {
+            const copy = response.clone();
+            caches
+              .open(RUNTIME_CACHE)
+              .then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+        .catch(() => cached);
+      return cached || network;
+    }),
+  );
+});